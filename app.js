@@ -6,17 +6,24 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { TRUST_PROXY } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
 const authRoutes = require("./routes/auth");
+const autocompleteRoutes = require("./routes/autocomplete");
 const companiesRoutes = require("./routes/companies");
 const jobsRoutes = require("./routes/jobs");
+const rolesRoutes = require("./routes/roles");
+const settingsRoutes = require("./routes/settings");
 const usersRoutes = require("./routes/users");
 
 const morgan = require("morgan");
 
 const app = express();
 
+// req.ip is the client's address behind a proxy, see TRUST_PROXY in config.js.
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
@@ -26,6 +33,9 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes);
+app.use("/autocomplete", autocompleteRoutes);
+app.use("/settings", settingsRoutes);
+app.use("/roles", rolesRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -39,9 +49,16 @@ app.use(function (err, req, res, next) {
   const status = err.status || 500;
   const message = err.message;
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  // FilterError has the list of problems with the filters as well, and a
+  //  search that finds nothing can have a didYouMean suggestion.
+  const error = { message, status };
+  if (err.errors) error.errors = err.errors;
+  if (err.didYouMean !== undefined) error.didYouMean = err.didYouMean;
+
+  // TooManyRequestsError says when to try again.
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
+
+  return res.status(status).json({ error });
 });
 
 module.exports = app;
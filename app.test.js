@@ -16,6 +16,11 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("trust proxy is TRUST_PROXY", function () {
+  const { TRUST_PROXY } = require("./config");
+  expect(app.get("trust proxy")).toEqual(TRUST_PROXY);
+});
+
 afterAll(function () {
   db.end();
 });
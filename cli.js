@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+"use strict";
+/** The jobly command-line tool for admin operations, on the database from
+ *  config.js. It uses the models, so the data is checked the same way the
+ *  routes check it.
+ *
+ *    jobly create-admin <username> --first-name <name> --last-name <name>
+ *                       --email <email> [--password <password>]
+ *    jobly reset-password <username> [--password <password>]
+ *    jobly promote <username>
+ *    jobly demote <username>
+ *    jobly export companies|jobs [--file <path>]
+ *    jobly import companies|jobs <path>
+ *    jobly seed
+ *    jobly show-config
+ *
+ * The password is --password or, so it is not in the shell history, the
+ *  JOBLY_PASSWORD environment variable.
+ *
+ * --json prints the result as JSON. An error is printed to stderr, as
+ *  { "error": { "message", "status" } } with --json.
+ *
+ * Exit codes:
+ *    0   the command worked
+ *    1   the command failed, e.g. the user was not found or the data is not valid
+ *    2   the command line is not valid, e.g. an unknown command or option
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const jsonschema = require("jsonschema");
+
+const db = require("./db");
+const config = require("./config");
+const { BadRequestError } = require("./expressError");
+const User = require("./models/user");
+const Company = require("./models/company");
+const Job = require("./models/jobModel");
+const companyNewSchema = require("./schemas/companyNew.json");
+const jobNewSchema = require("./schemas/jobNew.json");
+const userNewSchema = require("./schemas/userNew.json");
+const userUpdateSchema = require("./schemas/userUpdate.json");
+
+const SEED_FILE = path.join(__dirname, "jobly-seed.sql");
+
+// Rows read per page when exporting.
+const EXPORT_PAGE_SIZE = 100;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+
+/** The command line is not valid. */
+
+class UsageError extends Error {}
+
+
+/** The message of an error, the schema messages are an array. */
+
+function messageOf(err) {
+  return (Array.isArray(err.message)) ? err.message.join("; ") : err.message;
+}
+
+
+/** Throws BadRequestError with the schema messages when data is not valid. */
+
+function validate(data, schema) {
+  const validator = jsonschema.validate(data, schema);
+  if (!validator.valid) {
+    const errs = validator.errors.map(e => e.stack);
+    throw new BadRequestError(errs);
+  }
+}
+
+
+function passwordFrom(options) {
+  const password = options.password || process.env.JOBLY_PASSWORD;
+  if (!password) throw new UsageError("A password is needed, use --password or JOBLY_PASSWORD.");
+  return password;
+}
+
+
+function resourceFrom(resource) {
+  if (!["companies", "jobs"].includes(resource)) {
+    throw new UsageError(`Use 'companies' or 'jobs', not '${resource}'.`);
+  }
+  return resource;
+}
+
+
+/** Each command gets the positional arguments and the options and returns
+ *  { data, text } where data is printed with --json and text otherwise.
+ **/
+
+async function createAdmin([username], options) {
+  const data = {
+    username,
+    password: passwordFrom(options),
+    firstName: options["first-name"],
+    lastName: options["last-name"],
+    email: options.email,
+    isAdmin: true
+  };
+  validate(data, userNewSchema);
+  const user = await User.register(data);
+  return { data: { user }, text: `Created admin '${user.username}'.` };
+}
+
+
+async function resetPassword([username], options) {
+  const data = { password: passwordFrom(options) };
+  validate(data, userUpdateSchema);
+  const user = await User.update(username, data);
+  return { data: { user }, text: `Reset the password for '${user.username}'.` };
+}
+
+
+async function setAdmin(username, isAdmin) {
+  const user = await User.update(username, { isAdmin });
+  const text = (isAdmin)
+    ? `'${user.username}' is an admin.` : `'${user.username}' is not an admin.`;
+  return { data: { user }, text };
+}
+
+
+/** Reads every page of companies or jobs, [{ ... }, ...] in the same form
+ *  import takes.
+ **/
+
+async function exportRows(resource) {
+  const rows = [];
+  let cursor;
+
+  do {
+    if (resource === "companies") {
+      const page = { limit: EXPORT_PAGE_SIZE, cursor, sort: "handle" };
+      const { companies, pagination } = await Company.findAll({}, page);
+      rows.push(...companies);
+      cursor = pagination.nextCursor;
+    } else {
+      const page = { limit: EXPORT_PAGE_SIZE, cursor, sort: "id" };
+      const { jobs, pagination } = await Job.findAll("", "", {}, page);
+      jobs.forEach(company => company.jobs.forEach(job => rows.push({
+        title: job.title,
+        salary: job.salary,
+        equity: job.equity,
+        companyHandle: company.handle
+      })));
+      cursor = pagination.nextCursor;
+    }
+  } while (cursor);
+
+  // optional values that are null are left out, import does not take nulls.
+  return rows.map(row => Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value !== null)));
+}
+
+async function exportCommand([resource], options) {
+  const rows = await exportRows(resourceFrom(resource));
+
+  if (!options.file) return { data: rows, text: JSON.stringify(rows, null, 2) };
+
+  fs.writeFileSync(options.file, JSON.stringify(rows, null, 2) + "\n");
+  return {
+    data: { exported: rows.length, file: options.file },
+    text: `Exported ${rows.length} ${resource} to ${options.file}.`
+  };
+}
+
+
+/** Imports every row in the file or none of them. */
+
+async function importCommand([resource, file]) {
+  resourceFrom(resource);
+
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new BadRequestError(`Cannot read ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(rows)) {
+    throw new BadRequestError(`${file} must have an array of ${resource}.`);
+  }
+
+  const schema = (resource === "companies") ? companyNewSchema : jobNewSchema;
+  const create = (resource === "companies")
+    ? (row) => Company.create(row) : (row) => Job.create(row);
+
+  await db.transaction(async () => {
+    for (const [idx, row] of rows.entries()) {
+      try {
+        validate(row, schema);
+        await create(row);
+      } catch (err) {
+        err.message = `${resource} [${idx}]: ${messageOf(err)}`;
+        throw err;
+      }
+    }
+  });
+
+  return {
+    data: { imported: rows.length },
+    text: `Imported ${rows.length} ${resource} from ${file}.`
+  };
+}
+
+
+async function seed() {
+  await db.transaction(async () => {
+    await db.query(fs.readFileSync(SEED_FILE, "utf8"));
+  });
+  return { data: { seeded: SEED_FILE }, text: `Loaded ${SEED_FILE}.` };
+}
+
+
+/** The database name or url, without the password a url may have. */
+
+function databaseFor(uri) {
+  try {
+    const url = new URL(uri);
+    if (url.password) url.password = "****";
+    return url.toString();
+  } catch (err) {
+    return uri;
+  }
+}
+
+async function showConfig() {
+  const data = {
+    database: databaseFor(config.getDatabaseUri()),
+    port: config.PORT,
+    bcryptWorkFactor: config.BCRYPT_WORK_FACTOR,
+    autocompleteMax: config.AUTOCOMPLETE_MAX,
+    dbPoolMax: config.DB_POOL_MAX,
+    accessTokenTtl: config.ACCESS_TOKEN_TTL,
+    refreshTokenTtl: config.REFRESH_TOKEN_TTL,
+    passwordResetTtl: config.PASSWORD_RESET_TTL,
+    emailVerificationTtl: config.EMAIL_VERIFICATION_TTL,
+    twoFactorTtl: config.TWO_FACTOR_TTL,
+    mailTransport: config.MAIL_TRANSPORT,
+    loginThrottleStore: config.LOGIN_THROTTLE_STORE,
+    // the key itself is never shown, only whether it is the development default.
+    secretKey: (config.SECRET_KEY === "secret-dev") ? "development default" : "set"
+  };
+  const text = Object.keys(data).map(key => `${key}: ${data[key]}`).join("\n");
+  return { data, text };
+}
+
+
+// The commands: usage, options (for util.parseArgs), positional arguments
+//  needed, and the function that runs it.
+const COMMANDS = {
+  "create-admin": {
+    usage: "create-admin <username> --first-name <name> --last-name <name> --email <email> [--password <password>]",
+    options: {
+      "first-name": { type: "string" },
+      "last-name": { type: "string" },
+      email: { type: "string" },
+      password: { type: "string" }
+    },
+    args: 1,
+    run: createAdmin
+  },
+  "reset-password": {
+    usage: "reset-password <username> [--password <password>]",
+    options: { password: { type: "string" } },
+    args: 1,
+    run: resetPassword
+  },
+  promote: {
+    usage: "promote <username>",
+    args: 1,
+    run: ([username]) => setAdmin(username, true)
+  },
+  demote: {
+    usage: "demote <username>",
+    args: 1,
+    run: ([username]) => setAdmin(username, false)
+  },
+  export: {
+    usage: "export companies|jobs [--file <path>]",
+    options: { file: { type: "string" } },
+    args: 1,
+    run: exportCommand
+  },
+  import: {
+    usage: "import companies|jobs <path>",
+    args: 2,
+    run: importCommand
+  },
+  seed: {
+    usage: "seed",
+    args: 0,
+    run: seed
+  },
+  "show-config": {
+    usage: "show-config",
+    args: 0,
+    run: showConfig
+  }
+};
+
+function usage() {
+  return ["Usage: jobly <command> [--json]", ...Object.values(COMMANDS).map(c => `  jobly ${c.usage}`)]
+    .join("\n");
+}
+
+
+/**
+ * run runs the jobly command in argv, the arguments after 'jobly'.
+ * stdout and stderr are the streams the output and errors are written to.
+ * Function returns the exit code.
+ *
+ * @param {*} argv
+ * @param {*} streams { stdout, stderr }
+ * @returns exit code
+ */
+
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const json = argv.includes("--json");
+
+  try {
+    const [name, ...rest] = argv.filter(arg => arg !== "--json");
+    const command = COMMANDS[name];
+    if (!command) {
+      throw new UsageError((name) ? `Unknown command '${name}'.` : "No command.");
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: rest,
+        options: command.options || {},
+        allowPositionals: true
+      });
+    } catch (err) {
+      throw new UsageError(`${err.message}\nUsage: jobly ${command.usage}`);
+    }
+    if (parsed.positionals.length !== command.args) {
+      throw new UsageError(`Usage: jobly ${command.usage}`);
+    }
+
+    const result = await command.run(parsed.positionals, parsed.values);
+    stdout.write(((json) ? JSON.stringify(result.data, null, 2) : result.text) + "\n");
+    return EXIT_OK;
+
+  } catch (err) {
+    const status = (err instanceof UsageError) ? undefined : (err.status || 500);
+    const message = messageOf(err);
+    if (json) {
+      stderr.write(JSON.stringify({ error: { message, status } }, null, 2) + "\n");
+    } else {
+      stderr.write(`${message}\n`);
+      if ((err instanceof UsageError) && (!message.startsWith("Usage:"))) {
+        stderr.write(`${usage()}\n`);
+      }
+    }
+    return (err instanceof UsageError) ? EXIT_USAGE : EXIT_FAILED;
+  }
+}
+
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(async (code) => {
+      await db.end();
+      process.exitCode = code;
+    });
+}
+
+
+module.exports = {
+  EXIT_FAILED
+  , EXIT_OK
+  , EXIT_USAGE
+  , run
+};
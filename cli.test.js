@@ -0,0 +1,306 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("./db.js");
+const User = require("./models/user");
+const { EXIT_FAILED, EXIT_OK, EXIT_USAGE, run } = require("./cli");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterEach(function () {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  tempDirs = [];
+});
+afterAll(commonAfterAll);
+
+/** Runs the command, returns { code, stdout, stderr }. */
+
+async function jobly(...argv) {
+  const output = { stdout: "", stderr: "" };
+  const streams = {
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } }
+  };
+  const code = await run(argv, streams);
+  return { code, ...output };
+}
+
+// the temporary directories of tempFile, removed after each test.
+let tempDirs = [];
+
+function tempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-cli-"));
+  tempDirs.push(dir);
+  const file = path.join(dir, name);
+  if (content !== undefined) fs.writeFileSync(file, content);
+  return file;
+}
+
+
+/************************************** usage */
+
+describe("usage", function () {
+  test("unknown command", async function () {
+    const result = await jobly("nope");
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(result.stderr).toEqual(expect.stringContaining("Unknown command 'nope'."));
+    expect(result.stderr).toEqual(expect.stringContaining("Usage: jobly <command> [--json]"));
+  });
+
+  test("no command", async function () {
+    const result = await jobly();
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(result.stderr).toEqual(expect.stringContaining("No command."));
+  });
+
+  test("unknown option", async function () {
+    const result = await jobly("promote", "u1", "--nope");
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(result.stderr).toEqual(expect.stringContaining("Usage: jobly promote <username>"));
+  });
+
+  test("missing argument", async function () {
+    const result = await jobly("promote");
+    expect(result).toEqual({
+      code: EXIT_USAGE,
+      stdout: "",
+      stderr: "Usage: jobly promote <username>\n"
+    });
+  });
+
+  test("json error", async function () {
+    const result = await jobly("--json", "nope");
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(JSON.parse(result.stderr)).toEqual({ error: { message: "Unknown command 'nope'." } });
+  });
+});
+
+
+/************************************** create-admin */
+
+describe("create-admin", function () {
+  test("works", async function () {
+    const result = await jobly("create-admin", "new", "--first-name", "New",
+      "--last-name", "Admin", "--email", "new@email.com", "--password", "password");
+    expect(result).toEqual({ code: EXIT_OK, stdout: "Created admin 'new'.\n", stderr: "" });
+
+    const user = await User.authenticate("new", "password");
+    expect(user.isAdmin).toEqual(true);
+  });
+
+  test("works: password from JOBLY_PASSWORD, json", async function () {
+    process.env.JOBLY_PASSWORD = "password";
+    try {
+      const result = await jobly("create-admin", "new", "--first-name", "New",
+        "--last-name", "Admin", "--email", "new@email.com", "--json");
+      expect(result.code).toEqual(EXIT_OK);
+      expect(JSON.parse(result.stdout)).toEqual({
+        user: {
+          username: "new",
+          firstName: "New",
+          lastName: "Admin",
+          email: "new@email.com",
+          isAdmin: true
+        }
+      });
+    } finally {
+      delete process.env.JOBLY_PASSWORD;
+    }
+  });
+
+  test("fails: duplicate username", async function () {
+    const result = await jobly("create-admin", "u1", "--first-name", "New",
+      "--last-name", "Admin", "--email", "new@email.com", "--password", "password", "--json");
+    expect(result.code).toEqual(EXIT_FAILED);
+    expect(JSON.parse(result.stderr)).toEqual({
+      error: { message: "Duplicate username: u1", status: 400 }
+    });
+  });
+
+  test("fails: not valid", async function () {
+    const result = await jobly("create-admin", "new", "--first-name", "New",
+      "--last-name", "Admin", "--email", "not-an-email", "--password", "password");
+    expect(result.code).toEqual(EXIT_FAILED);
+    expect(result.stderr).toEqual(expect.stringContaining("email"));
+  });
+
+  test("usage: no password", async function () {
+    const result = await jobly("create-admin", "new", "--first-name", "New",
+      "--last-name", "Admin", "--email", "new@email.com");
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(result.stderr).toEqual(expect.stringContaining("A password is needed"));
+  });
+});
+
+
+/************************************** reset-password */
+
+describe("reset-password", function () {
+  test("works", async function () {
+    const result = await jobly("reset-password", "u1", "--password", "new-password");
+    expect(result.code).toEqual(EXIT_OK);
+    expect(result.stdout).toEqual("Reset the password for 'u1'.\n");
+
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+  });
+
+  test("fails: no such user", async function () {
+    const result = await jobly("reset-password", "nope", "--password", "new-password");
+    expect(result).toEqual({ code: EXIT_FAILED, stdout: "", stderr: "No user: nope\n" });
+  });
+});
+
+
+/************************************** promote / demote */
+
+describe("promote / demote", function () {
+  test("works", async function () {
+    let result = await jobly("promote", "u1", "--json");
+    expect(result.code).toEqual(EXIT_OK);
+    expect(JSON.parse(result.stdout).user.isAdmin).toEqual(true);
+
+    result = await jobly("demote", "u1");
+    expect(result.stdout).toEqual("'u1' is not an admin.\n");
+    expect((await User.get("u1")).isAdmin).toEqual(false);
+  });
+
+  test("fails: no such user", async function () {
+    const result = await jobly("promote", "nope");
+    expect(result.code).toEqual(EXIT_FAILED);
+  });
+});
+
+
+/************************************** export / import */
+
+describe("export / import", function () {
+  test("export companies to stdout", async function () {
+    const result = await jobly("export", "companies");
+    expect(result.code).toEqual(EXIT_OK);
+    const companies = JSON.parse(result.stdout);
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c2", "c3", "d1", "e1"]);
+    expect(companies[0]).toEqual({
+      handle: "c1",
+      name: "C1",
+      description: "Desc1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img"
+    });
+  });
+
+  test("export jobs to a file, nulls left out", async function () {
+    const file = tempFile("jobs.json");
+    const result = await jobly("export", "jobs", "--file", file, "--json");
+    expect(JSON.parse(result.stdout)).toEqual({ exported: 5, file });
+
+    const jobs = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(jobs[0]).toEqual({ title: "one", salary: 50000, companyHandle: "c1" });
+    expect(jobs[4]).toEqual({ title: "oone", salary: 120000, equity: 0, companyHandle: "d1" });
+  });
+
+  test("exported companies and jobs import again", async function () {
+    const companiesFile = tempFile("companies.json");
+    const jobsFile = tempFile("jobs.json");
+    await jobly("export", "companies", "--file", companiesFile);
+    await jobly("export", "jobs", "--file", jobsFile);
+    await db.query("DELETE FROM companies");
+
+    let result = await jobly("import", "companies", companiesFile);
+    expect(result).toEqual({
+      code: EXIT_OK, stdout: `Imported 5 companies from ${companiesFile}.\n`, stderr: ""
+    });
+    result = await jobly("import", "jobs", jobsFile, "--json");
+    expect(JSON.parse(result.stdout)).toEqual({ imported: 5 });
+
+    const count = await db.query("SELECT COUNT(*) AS total FROM jobs");
+    expect(+count.rows[0].total).toEqual(5);
+  });
+
+  test("fails: nothing is imported when a row fails", async function () {
+    const file = tempFile("companies.json", JSON.stringify([
+      { handle: "new1", name: "New1", description: "d" },
+      { handle: "c1", name: "Another C1", description: "d" }
+    ]));
+    const result = await jobly("import", "companies", file);
+    expect(result).toEqual({
+      code: EXIT_FAILED, stdout: "", stderr: "companies [1]: Duplicate company: c1\n"
+    });
+
+    const found = await db.query("SELECT handle FROM companies WHERE handle = 'new1'");
+    expect(found.rows).toEqual([]);
+  });
+
+  test("fails: row not valid", async function () {
+    const file = tempFile("jobs.json", JSON.stringify([{ title: "new" }]));
+    const result = await jobly("import", "jobs", file);
+    expect(result.code).toEqual(EXIT_FAILED);
+    expect(result.stderr).toEqual(
+      "jobs [0]: instance requires property \"companyHandle\"\n");
+  });
+
+  test("fails: not an array", async function () {
+    const file = tempFile("jobs.json", "{}");
+    const result = await jobly("import", "jobs", file);
+    expect(result.stderr).toEqual(`${file} must have an array of jobs.\n`);
+  });
+
+  test("usage: unknown resource", async function () {
+    const result = await jobly("export", "users");
+    expect(result.code).toEqual(EXIT_USAGE);
+    expect(result.stderr).toEqual(expect.stringContaining("Use 'companies' or 'jobs', not 'users'."));
+  });
+});
+
+
+/************************************** seed */
+
+describe("seed", function () {
+  test("works", async function () {
+    const result = await jobly("seed", "--json");
+    expect(result.code).toEqual(EXIT_OK);
+
+    const user = await User.get("testadmin");
+    expect(user.isAdmin).toEqual(true);
+  });
+});
+
+
+/************************************** show-config */
+
+describe("show-config", function () {
+  test("works", async function () {
+    const result = await jobly("show-config", "--json");
+    expect(result.code).toEqual(EXIT_OK);
+    expect(JSON.parse(result.stdout)).toEqual({
+      database: "jobly_test",
+      port: 3001,
+      bcryptWorkFactor: 1,
+      autocompleteMax: 10,
+      dbPoolMax: 10,
+      accessTokenTtl: 900,
+      refreshTokenTtl: 2592000,
+      passwordResetTtl: 3600,
+      emailVerificationTtl: 86400,
+      twoFactorTtl: 300,
+      mailTransport: "memory",
+      loginThrottleStore: "memory",
+      secretKey: "development default"
+    });
+  });
+
+  test("works: text", async function () {
+    const result = await jobly("show-config");
+    expect(result.stdout).toEqual(expect.stringContaining("database: jobly_test\n"));
+  });
+});
@@ -16,21 +16,111 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// The most database connections the pool opens.
+const DB_POOL_MAX = +process.env.DB_POOL_MAX || 10;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
-console.log("Jobly Config:".green);
-console.log("SECRET_KEY:".yellow, SECRET_KEY);
-console.log("PORT:".yellow, PORT.toString());
-console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
-console.log("Database:".yellow, getDatabaseUri());
-console.log("---");
+// The most matches GET /autocomplete returns, and the number returned when the
+//  request does not have a limit.
+const AUTOCOMPLETE_MAX = +process.env.AUTOCOMPLETE_MAX || 10;
+
+// Access tokens (JWTs) expire after ACCESS_TOKEN_TTL seconds. The refresh
+//  token from the same login gets a new one until it expires after
+//  REFRESH_TOKEN_TTL seconds.
+const ACCESS_TOKEN_TTL = +process.env.ACCESS_TOKEN_TTL || 15 * 60;
+const REFRESH_TOKEN_TTL = +process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60;
+
+// Password reset tokens expire after PASSWORD_RESET_TTL seconds.
+const PASSWORD_RESET_TTL = +process.env.PASSWORD_RESET_TTL || 60 * 60;
+
+// Email verification tokens expire after EMAIL_VERIFICATION_TTL seconds.
+const EMAIL_VERIFICATION_TTL = +process.env.EMAIL_VERIFICATION_TTL || 24 * 60 * 60;
+
+// How mail is sent, see helpers/mail.js. "console" logs it, "file" adds it to
+//  MAIL_FILE, and "memory" keeps it for the tests to read.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+  || ((process.env.NODE_ENV === "test") ? "memory" : "console");
+const MAIL_FILE = process.env.MAIL_FILE || "mail.log";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+
+// The token from the password step of a login with two-factor authentication
+//  expires after TWO_FACTOR_TTL seconds, see POST /auth/token.
+const TWO_FACTOR_TTL = +process.env.TWO_FACTOR_TTL || 5 * 60;
+
+// Failed logins, see helpers/loginThrottle.js. After LOGIN_FREE_ATTEMPTS
+//  failures for a username the next try waits, twice as long after each
+//  failure. At LOGIN_LOCKOUT_ATTEMPTS the username is locked for
+//  LOGIN_LOCKOUT_TTL seconds, which is also how long failures are counted. An
+//  IP address gets ten times the attempts. The failures are kept in
+//  LOGIN_THROTTLE_STORE, "memory" for one server or "postgres" for many.
+const LOGIN_FREE_ATTEMPTS = +process.env.LOGIN_FREE_ATTEMPTS || 3;
+const LOGIN_LOCKOUT_ATTEMPTS = +process.env.LOGIN_LOCKOUT_ATTEMPTS || 10;
+const LOGIN_LOCKOUT_TTL = +process.env.LOGIN_LOCKOUT_TTL || 15 * 60;
+const LOGIN_THROTTLE_STORE = process.env.LOGIN_THROTTLE_STORE || "memory";
+
+// The proxies in front of the app, Express's "trust proxy". The client's IP
+//  address, req.ip, which failed logins are counted by, is the one they pass
+//  in X-Forwarded-For. "false" (the default) is no proxy, "true" trusts every
+//  proxy, a number is how many proxies there are, and other values are comma
+//  separated addresses and subnets, such as "loopback, 10.0.0.0/8". Behind
+//  Heroku's router it is 1. Without it every client has the proxy's address.
+function parseTrustProxy(value) {
+  if ((value === undefined) || (value === "") || (value === "false")) return false;
+  if (value === "true") return true;
+  if (/^[0-9]+$/.test(value)) return +value;
+  return value;
+}
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Logged by the server at start up. The jobly command-line tool does not log
+//  it, so its output is only the command's output.
+function logConfig() {
+  console.log("Jobly Config:".green);
+  console.log("SECRET_KEY:".yellow, SECRET_KEY);
+  console.log("PORT:".yellow, PORT.toString());
+  console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+  console.log("AUTOCOMPLETE_MAX:".yellow, AUTOCOMPLETE_MAX);
+  console.log("Database:".yellow, getDatabaseUri());
+  console.log("DB_POOL_MAX:".yellow, DB_POOL_MAX);
+  console.log("ACCESS_TOKEN_TTL:".yellow, ACCESS_TOKEN_TTL);
+  console.log("REFRESH_TOKEN_TTL:".yellow, REFRESH_TOKEN_TTL);
+  console.log("PASSWORD_RESET_TTL:".yellow, PASSWORD_RESET_TTL);
+  console.log("EMAIL_VERIFICATION_TTL:".yellow, EMAIL_VERIFICATION_TTL);
+  console.log("TWO_FACTOR_TTL:".yellow, TWO_FACTOR_TTL);
+  console.log("MAIL_TRANSPORT:".yellow, MAIL_TRANSPORT);
+  console.log("LOGIN_FREE_ATTEMPTS:".yellow, LOGIN_FREE_ATTEMPTS);
+  console.log("LOGIN_LOCKOUT_ATTEMPTS:".yellow, LOGIN_LOCKOUT_ATTEMPTS);
+  console.log("LOGIN_LOCKOUT_TTL:".yellow, LOGIN_LOCKOUT_TTL);
+  console.log("LOGIN_THROTTLE_STORE:".yellow, LOGIN_THROTTLE_STORE);
+  console.log("TRUST_PROXY:".yellow, TRUST_PROXY);
+  console.log("---");
+}
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  AUTOCOMPLETE_MAX,
+  DB_POOL_MAX,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  TWO_FACTOR_TTL,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_LOCKOUT_ATTEMPTS,
+  LOGIN_LOCKOUT_TTL,
+  LOGIN_THROTTLE_STORE,
+  TRUST_PROXY,
   getDatabaseUri,
+  logConfig,
+  parseTrustProxy,
 };
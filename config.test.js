@@ -6,22 +6,71 @@ describe("config can come from env", function () {
     process.env.PORT = "5000";
     process.env.DATABASE_URL = "other";
     process.env.NODE_ENV = "other";
+    process.env.AUTOCOMPLETE_MAX = "25";
+    process.env.DB_POOL_MAX = "4";
+    process.env.ACCESS_TOKEN_TTL = "60";
+    process.env.REFRESH_TOKEN_TTL = "3600";
+    process.env.PASSWORD_RESET_TTL = "600";
+    process.env.EMAIL_VERIFICATION_TTL = "7200";
+    process.env.TWO_FACTOR_TTL = "120";
+    process.env.MAIL_TRANSPORT = "file";
+    process.env.LOGIN_FREE_ATTEMPTS = "5";
+    process.env.LOGIN_LOCKOUT_ATTEMPTS = "20";
+    process.env.LOGIN_LOCKOUT_TTL = "60";
+    process.env.LOGIN_THROTTLE_STORE = "postgres";
+    process.env.TRUST_PROXY = "1";
 
     const config = require("./config");
     expect(config.SECRET_KEY).toEqual("abc");
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual("other");
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.AUTOCOMPLETE_MAX).toEqual(25);
+    expect(config.DB_POOL_MAX).toEqual(4);
+    expect(config.ACCESS_TOKEN_TTL).toEqual(60);
+    expect(config.REFRESH_TOKEN_TTL).toEqual(3600);
+    expect(config.PASSWORD_RESET_TTL).toEqual(600);
+    expect(config.EMAIL_VERIFICATION_TTL).toEqual(7200);
+    expect(config.TWO_FACTOR_TTL).toEqual(120);
+    expect(config.MAIL_TRANSPORT).toEqual("file");
+    expect(config.LOGIN_FREE_ATTEMPTS).toEqual(5);
+    expect(config.LOGIN_LOCKOUT_ATTEMPTS).toEqual(20);
+    expect(config.LOGIN_LOCKOUT_TTL).toEqual(60);
+    expect(config.LOGIN_THROTTLE_STORE).toEqual("postgres");
+    expect(config.TRUST_PROXY).toEqual(1);
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
+    delete process.env.AUTOCOMPLETE_MAX;
+    delete process.env.DB_POOL_MAX;
+    delete process.env.ACCESS_TOKEN_TTL;
+    delete process.env.REFRESH_TOKEN_TTL;
+    delete process.env.PASSWORD_RESET_TTL;
+    delete process.env.EMAIL_VERIFICATION_TTL;
+    delete process.env.TWO_FACTOR_TTL;
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.LOGIN_FREE_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_TTL;
+    delete process.env.LOGIN_THROTTLE_STORE;
+    delete process.env.TRUST_PROXY;
 
     expect(config.getDatabaseUri()).toEqual("jobly");
     process.env.NODE_ENV = "test";
 
     expect(config.getDatabaseUri()).toEqual("jobly_test");
   });
-})
+});
 
+describe("parseTrustProxy", function () {
+  test("works", function () {
+    const { parseTrustProxy } = require("./config");
+    expect(parseTrustProxy(undefined)).toEqual(false);
+    expect(parseTrustProxy("false")).toEqual(false);
+    expect(parseTrustProxy("true")).toEqual(true);
+    expect(parseTrustProxy("2")).toEqual(2);
+    expect(parseTrustProxy("loopback, 10.0.0.0/8")).toEqual("loopback, 10.0.0.0/8");
+  });
+});
@@ -1,23 +1,115 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+/** Database setup for jobly.
+ *
+ * Queries run on a pool of connections. db.query(text, values) takes a
+ *  connection from the pool for the query, or runs on the connection of the
+ *  transaction it is called in.
+ *
+ * db.transaction(fn) runs the async function fn in a transaction. Every
+ *  db.query made while fn runs, in the model calls fn makes as well, is part of
+ *  the transaction. The transaction commits when fn returns and rolls back
+ *  when fn throws, the error is then thrown again. A transaction started inside
+ *  another is a savepoint, so it rolls back on its own without ending the outer
+ *  transaction.
+ *
+ * db.begin() / db.rollback() hold one connection in a transaction for every
+ *  query until rollback. The tests use them to undo the changes each test makes.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_MAX } = require("./config");
 
-let db;
-
-if (process.env.NODE_ENV === "production") {
-  db = new Client({
+const pool = (process.env.NODE_ENV === "production")
+  ? new Pool({
     connectionString: getDatabaseUri(),
+    max: DB_POOL_MAX,
     ssl: {
       rejectUnauthorized: false
     }
+  })
+  : new Pool({
+    connectionString: getDatabaseUri(),
+    max: DB_POOL_MAX
   });
-} else {
-  db = new Client({
-    connectionString: getDatabaseUri()
-  });
+
+// The transaction a query is running in, { client, depth }.
+const transactions = new AsyncLocalStorage();
+
+// The connection held by begin(), { client, depth }.
+let held = null;
+
+function current() {
+  return transactions.getStore() || held;
+}
+
+
+async function query(text, values) {
+  const tx = current();
+  return (tx) ? tx.client.query(text, values) : pool.query(text, values);
+}
+
+
+async function transaction(fn) {
+  const outer = current();
+
+  if (outer) {
+    const tx = { client: outer.client, depth: outer.depth + 1 };
+    const savepoint = `jobly_savepoint_${tx.depth}`;
+    await tx.client.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await transactions.run(tx, fn);
+      await tx.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await tx.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
+    }
+  }
+
+  const tx = { client: await pool.connect(), depth: 0 };
+  try {
+    await tx.client.query("BEGIN");
+    const result = await transactions.run(tx, fn);
+    await tx.client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await tx.client.query("ROLLBACK");
+    throw err;
+  } finally {
+    tx.client.release();
+  }
+}
+
+
+async function begin() {
+  held = { client: await pool.connect(), depth: 0 };
+  await held.client.query("BEGIN");
+}
+
+
+async function rollback() {
+  if (!held) return;
+  const { client } = held;
+  held = null;
+  try {
+    await client.query("ROLLBACK");
+  } finally {
+    client.release();
+  }
+}
+
+
+async function end() {
+  await rollback();
+  await pool.end();
 }
 
-db.connect();
 
-module.exports = db;
\ No newline at end of file
+module.exports = {
+  begin
+  , end
+  , pool
+  , query
+  , rollback
+  , transaction
+};
@@ -0,0 +1,99 @@
+"use strict";
+
+const db = require("./db.js");
+const { migrate } = require("./migrate");
+
+// These run outside db.begin() so the transactions really commit and roll
+//  back. Every row they add uses a 'db-test' handle and is removed after.
+
+async function handles() {
+  const result = await db.query(
+    `SELECT handle FROM companies WHERE handle LIKE 'db-test%' ORDER BY handle`);
+  return result.rows.map(r => r.handle);
+}
+
+function insert(handle) {
+  return db.query(
+    `INSERT INTO companies (handle, name, description)
+     VALUES ($1, $2, 'db test')`,
+    [handle, handle]);
+}
+
+beforeAll(async function () {
+  await migrate();
+});
+
+afterEach(async function () {
+  await db.query(`DELETE FROM companies WHERE handle LIKE 'db-test%'`);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+
+describe("transaction", function () {
+  test("commits when fn returns", async function () {
+    const result = await db.transaction(async () => {
+      await insert("db-test-1");
+      await insert("db-test-2");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await handles()).toEqual(["db-test-1", "db-test-2"]);
+  });
+
+  test("rolls back and rethrows when fn throws", async function () {
+    try {
+      await db.transaction(async () => {
+        await insert("db-test-1");
+        throw new Error("stop");
+      });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("stop");
+    }
+    expect(await handles()).toEqual([]);
+  });
+
+  test("queries are not seen outside until commit", async function () {
+    await db.transaction(async () => {
+      await insert("db-test-1");
+      const outside = await db.pool.query(
+        `SELECT handle FROM companies WHERE handle = 'db-test-1'`);
+      expect(outside.rows).toEqual([]);
+    });
+    expect(await handles()).toEqual(["db-test-1"]);
+  });
+
+  test("nested transaction rolls back to its savepoint", async function () {
+    await db.transaction(async () => {
+      await insert("db-test-1");
+      try {
+        await db.transaction(async () => {
+          await insert("db-test-2");
+          throw new Error("inner");
+        });
+      } catch (err) {
+        expect(err.message).toEqual("inner");
+      }
+      await insert("db-test-3");
+    });
+    expect(await handles()).toEqual(["db-test-1", "db-test-3"]);
+  });
+
+  test("transactions at the same time use their own connections", async function () {
+    const failing = db.transaction(async () => {
+      await insert("db-test-1");
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error("stop");
+    });
+    const passing = db.transaction(async () => {
+      await insert("db-test-2");
+    });
+
+    await expect(failing).rejects.toThrow("stop");
+    await passing;
+    expect(await handles()).toEqual(["db-test-2"]);
+  });
+});
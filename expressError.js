@@ -36,18 +36,46 @@ class BadRequestError extends ExpressError {
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 400 BAD REQUEST error for a list filter that cannot be used.
+ *
+ *  errors is every problem found, [{ field, code, message }, ...]. The
+ *  message is the messages joined so it reads like a BadRequestError.
+ */
+
+class FilterError extends BadRequestError {
+  constructor(errors) {
+    super(errors.map(e => e.message).join(" "));
+    this.errors = errors;
+  }
+}
+
+/** 403 FORBIDDEN error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Forbidden") {
     super(message, 403);
   }
 }
 
+/** 429 TOO MANY REQUESTS error.
+ *
+ *  retryAfter is the number of seconds to wait before trying again, it is sent
+ *  in the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  FilterError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
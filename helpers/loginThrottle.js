@@ -0,0 +1,266 @@
+"use strict";
+
+const db = require("../db");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  LOGIN_FREE_ATTEMPTS,
+  LOGIN_LOCKOUT_ATTEMPTS,
+  LOGIN_LOCKOUT_TTL,
+  LOGIN_THROTTLE_STORE
+} = require("../config");
+
+/** Slowing down password guessing on POST /auth/token, and password reset
+ *  requests on POST /auth/password-reset/request.
+ *
+ * Failed logins are counted for the username and for the IP address. After
+ *  the free attempts each failure makes the next try wait, 1 second and then
+ *  twice as long each time. Enough failures lock the username, or the IP
+ *  address, for LOGIN_LOCKOUT_TTL seconds. Failures are forgotten
+ *  LOGIN_LOCKOUT_TTL seconds after the last one. See config.js.
+ *
+ * The counts are kept in a store, an object with:
+ *  - async fail(key, ttl): count a failure, returns the failures. The key is
+ *      forgotten ttl seconds after its last failure.
+ *  - async lock(key, seconds): the key can not log in for seconds.
+ *  - async lockedFor(key): the seconds until the key can log in, 0 if it can.
+ *  - async reset(key): forget the key.
+ * The store is picked by LOGIN_THROTTLE_STORE in config.js. "memory" is for
+ *  one server, "postgres" is shared by every server using the database.
+ *
+ * Every reset request is counted for the username and the email it is for,
+ *  with the same waits and lockout as failed logins.
+ *
+ * The IP address is req.ip, which is only the client's behind a proxy when
+ *  TRUST_PROXY is set for it, see config.js.
+ */
+
+// The failures before waiting starts and the failures that lock, for each
+//  kind of key. Many users can share an IP address, so it gets more.
+const LIMITS = {
+  username: { free: LOGIN_FREE_ATTEMPTS, lockout: LOGIN_LOCKOUT_ATTEMPTS },
+  ip: { free: LOGIN_FREE_ATTEMPTS * 10, lockout: LOGIN_LOCKOUT_ATTEMPTS * 10 },
+  reset: { free: LOGIN_FREE_ATTEMPTS, lockout: LOGIN_LOCKOUT_ATTEMPTS }
+};
+
+// The memory store removes the expired keys at most once every
+//  PRUNE_INTERVAL milliseconds, when a failure is counted.
+const PRUNE_INTERVAL = 60 * 1000;
+
+const STORES = {
+  memory: () => {
+    const entries = new Map();
+    let prunedAt = Date.now();
+
+    // remove the expired keys, so failures for ever new usernames or IP
+    //  addresses do not fill the memory.
+    function prune() {
+      const now = Date.now();
+      if (now - prunedAt < PRUNE_INTERVAL) return;
+      prunedAt = now;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+      }
+    }
+
+    // the entry for key, when it has not expired.
+    function entryFor(key) {
+      const entry = entries.get(key);
+      if ((entry) && (entry.expiresAt <= Date.now())) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry;
+    }
+
+    return {
+      entries,
+      async fail(key, ttl) {
+        prune();
+        const entry = entryFor(key) || { failures: 0, lockedUntil: 0 };
+        entry.failures += 1;
+        entry.expiresAt = Date.now() + ttl * 1000;
+        entries.set(key, entry);
+        return entry.failures;
+      },
+      async lock(key, seconds) {
+        const entry = entryFor(key);
+        if (entry) entry.lockedUntil = Date.now() + seconds * 1000;
+      },
+      async lockedFor(key) {
+        const entry = entryFor(key);
+        if ((!entry) || (entry.lockedUntil <= Date.now())) return 0;
+        return Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+      },
+      async reset(key) {
+        entries.delete(key);
+      }
+    };
+  },
+
+  // the login_attempts table.
+  postgres: () => ({
+    async fail(key, ttl) {
+      await db.query(`DELETE FROM login_attempts WHERE expires_at < now()`);
+
+      const result = await db.query(
+        `INSERT INTO login_attempts (key, failures, expires_at)
+             VALUES ($1, 1, now() + make_interval(secs => $2))
+             ON CONFLICT (key) DO UPDATE
+               SET failures = login_attempts.failures + 1,
+                   expires_at = EXCLUDED.expires_at
+             RETURNING failures`,
+        [key, ttl]);
+      return result.rows[0].failures;
+    },
+    async lock(key, seconds) {
+      await db.query(
+        `UPDATE login_attempts
+             SET locked_until = now() + make_interval(secs => $2)
+             WHERE key = $1`,
+        [key, seconds]);
+    },
+    async lockedFor(key) {
+      const result = await db.query(
+        `SELECT ceil(extract(epoch FROM locked_until - now()))::INTEGER AS "seconds"
+             FROM login_attempts
+             WHERE key = $1 AND locked_until > now() AND expires_at > now()`,
+        [key]);
+      return (result.rows[0]) ? result.rows[0].seconds : 0;
+    },
+    async reset(key) {
+      await db.query(`DELETE FROM login_attempts WHERE key = $1`, [key]);
+    }
+  })
+};
+
+
+/** Returns a new store by name. Throws Error for an unknown name. */
+
+function createStore(name) {
+  if (Object.hasOwnProperty.call(STORES, name) === false) {
+    throw new Error(`Unknown login throttle store '${name}', use ${Object.keys(STORES).join(", ")}.`);
+  }
+  return STORES[name]();
+}
+
+let store = createStore(LOGIN_THROTTLE_STORE);
+
+
+/** Returns the store in use. */
+
+function getStore() {
+  return store;
+}
+
+
+/** Use newStore to keep the failed logins. */
+
+function setStore(newStore) {
+  store = newStore;
+}
+
+
+/** The keys for a login { username, ip } and their limits. */
+
+function keysFor({ username, ip }) {
+  return [
+    { key: `username:${username}`, limits: LIMITS.username },
+    { key: `ip:${ip}`, limits: LIMITS.ip }
+  ];
+}
+
+
+/** The seconds to wait after failures, 0 for none. */
+
+function delayFor(failures, limits) {
+  if (failures >= limits.lockout) return LOGIN_LOCKOUT_TTL;
+  if (failures < limits.free) return 0;
+  return Math.min(2 ** (failures - limits.free), LOGIN_LOCKOUT_TTL);
+}
+
+
+/** Check that the login { username, ip } can be tried now.
+ *
+ * Throws TooManyRequestsError, with the seconds to wait, when the username or
+ *  the IP address has to wait.
+ **/
+
+async function checkLogin(login) {
+  let wait = 0;
+  for (const { key } of keysFor(login)) {
+    wait = Math.max(wait, await store.lockedFor(key));
+  }
+
+  if (wait > 0) {
+    throw new TooManyRequestsError(
+      `Too many failed logins, try again in ${wait} seconds.`, wait);
+  }
+}
+
+
+/** Count a failed login { username, ip }; returns undefined. */
+
+async function loginFailed(login) {
+  for (const { key, limits } of keysFor(login)) {
+    const delay = delayFor(await store.fail(key, LOGIN_LOCKOUT_TTL), limits);
+    if (delay > 0) await store.lock(key, delay);
+  }
+}
+
+
+/** Forget the failures for the username of a login that worked. The IP
+ *  address keeps its failures, a login to one account does not let it guess
+ *  the passwords of others. Returns undefined.
+ **/
+
+async function loginSucceeded({ username }) {
+  await store.reset(`username:${username}`);
+}
+
+
+/** Check and count a password reset request { username, email }, for each of
+ *  them in it. Every request counts, whether or not the account exists.
+ *
+ * Throws TooManyRequestsError, with the seconds to wait, when the username or
+ *  the email has to wait.
+ **/
+
+async function resetRequested({ username, email }) {
+  const keys = [];
+  if (username !== undefined) keys.push(`reset:username:${username}`);
+  if (email !== undefined) keys.push(`reset:email:${email.toLowerCase()}`);
+
+  let wait = 0;
+  for (const key of keys) {
+    wait = Math.max(wait, await store.lockedFor(key));
+  }
+  if (wait > 0) {
+    throw new TooManyRequestsError(
+      `Too many password reset requests, try again in ${wait} seconds.`, wait);
+  }
+
+  for (const key of keys) {
+    const delay = delayFor(await store.fail(key, LOGIN_LOCKOUT_TTL), LIMITS.reset);
+    if (delay > 0) await store.lock(key, delay);
+  }
+}
+
+
+/** Unlock username, and forget its failures; returns undefined. */
+
+async function unlock(username) {
+  await store.reset(`username:${username}`);
+}
+
+
+module.exports = {
+  checkLogin
+  , createStore
+  , delayFor
+  , getStore
+  , loginFailed
+  , loginSucceeded
+  , resetRequested
+  , setStore
+  , unlock
+};
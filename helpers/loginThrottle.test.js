@@ -0,0 +1,182 @@
+"use strict";
+
+const db = require("../db.js");
+const { migrate } = require("../migrate");
+const { TooManyRequestsError } = require("../expressError");
+const {
+  checkLogin,
+  createStore,
+  delayFor,
+  getStore,
+  loginFailed,
+  loginSucceeded,
+  resetRequested,
+  setStore,
+  unlock
+} = require("./loginThrottle");
+const { LOGIN_LOCKOUT_TTL } = require("../config");
+
+const login = { username: "u1", ip: "10.0.0.1" };
+
+beforeAll(async function () {
+  await migrate();
+});
+beforeEach(async function () {
+  await db.begin();
+  setStore(createStore("memory"));
+});
+afterEach(async function () {
+  await db.rollback();
+});
+afterAll(async function () {
+  await db.end();
+});
+
+
+/************************************** stores */
+
+describe.each(["memory", "postgres"])("%s store", function (name) {
+  let store;
+  beforeEach(function () {
+    store = createStore(name);
+  });
+
+  test("counts failures", async function () {
+    expect(await store.fail("k", 60)).toEqual(1);
+    expect(await store.fail("k", 60)).toEqual(2);
+    expect(await store.fail("other", 60)).toEqual(1);
+  });
+
+  test("locks", async function () {
+    await store.fail("k", 60);
+    expect(await store.lockedFor("k")).toEqual(0);
+    await store.lock("k", 30);
+    expect(await store.lockedFor("k")).toEqual(30);
+    expect(await store.lockedFor("other")).toEqual(0);
+  });
+
+  test("reset forgets the key", async function () {
+    await store.fail("k", 60);
+    await store.lock("k", 30);
+    await store.reset("k");
+    expect(await store.lockedFor("k")).toEqual(0);
+    expect(await store.fail("k", 60)).toEqual(1);
+  });
+});
+
+describe("memory store", function () {
+  afterEach(function () {
+    jest.useRealTimers();
+  });
+
+  test("the expired keys are removed when failures are counted", async function () {
+    jest.useFakeTimers("modern");
+    const store = createStore("memory");
+    await store.fail("old", 60);
+    await store.fail("recent", 600);
+
+    jest.setSystemTime(Date.now() + 120 * 1000);
+    await store.fail("new", 60);
+    expect([...store.entries.keys()]).toEqual(["recent", "new"]);
+  });
+});
+
+test("createStore: unknown store", function () {
+  expect(() => createStore("nope")).toThrow(
+    "Unknown login throttle store 'nope', use memory, postgres.");
+});
+
+
+/************************************** delayFor */
+
+describe("delayFor", function () {
+  const limits = { free: 3, lockout: 10 };
+
+  test("works", function () {
+    expect(delayFor(2, limits)).toEqual(0);
+    expect(delayFor(3, limits)).toEqual(1);
+    expect(delayFor(4, limits)).toEqual(2);
+    expect(delayFor(9, limits)).toEqual(64);
+    expect(delayFor(10, limits)).toEqual(LOGIN_LOCKOUT_TTL);
+  });
+});
+
+
+/************************************** checkLogin */
+
+describe("checkLogin", function () {
+  test("works: no failures", async function () {
+    await checkLogin(login);
+  });
+
+  test("too many requests when the username has to wait", async function () {
+    for (let i = 0; i < 3; i++) await loginFailed(login);
+    try {
+      await checkLogin({ ...login, ip: "10.0.0.2" });
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(1);
+    }
+  });
+
+  test("too many requests when the IP address has to wait", async function () {
+    for (let i = 0; i < 30; i++) await loginFailed({ username: `u${i}`, ip: login.ip });
+    await expect(checkLogin({ username: "other", ip: login.ip }))
+      .rejects.toThrow(TooManyRequestsError);
+    await checkLogin({ username: "other", ip: "10.0.0.2" });
+  });
+
+  test("locked after the lockout attempts", async function () {
+    for (let i = 0; i < 10; i++) await loginFailed(login);
+    expect(await getStore().lockedFor("username:u1")).toEqual(LOGIN_LOCKOUT_TTL);
+  });
+});
+
+
+/************************************** resetRequested */
+
+describe("resetRequested", function () {
+  test("too many requests for the same username", async function () {
+    for (let i = 0; i < 3; i++) await resetRequested({ username: "u1" });
+    try {
+      await resetRequested({ username: "u1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(1);
+    }
+    await resetRequested({ username: "u2" });
+  });
+
+  test("the email is counted case-insensitively", async function () {
+    for (let i = 0; i < 3; i++) await resetRequested({ email: "U1@mail.com" });
+    await expect(resetRequested({ username: "u2", email: "u1@mail.com" }))
+      .rejects.toThrow(TooManyRequestsError);
+  });
+
+  test("does not count failed logins", async function () {
+    for (let i = 0; i < 3; i++) await resetRequested({ username: "u1" });
+    await checkLogin(login);
+  });
+});
+
+
+/************************************** loginSucceeded, unlock */
+
+describe("loginSucceeded", function () {
+  test("forgets the username's failures, not the IP address's", async function () {
+    for (let i = 0; i < 2; i++) await loginFailed(login);
+    await loginSucceeded(login);
+    expect(await getStore().fail("username:u1", 60)).toEqual(1);
+    expect(await getStore().fail("ip:10.0.0.1", 60)).toEqual(3);
+  });
+});
+
+describe("unlock", function () {
+  test("works", async function () {
+    for (let i = 0; i < 10; i++) await loginFailed(login);
+    await unlock("u1");
+    await checkLogin({ ...login, ip: "10.0.0.2" });
+  });
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const fs = require("fs");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+/** Sending mail.
+ *
+ * Mail goes through a transport, an object with an async send(message) where
+ *  message is { from, to, subject, text }. The transport is picked by
+ *  MAIL_TRANSPORT in config.js. Another transport, one for an SMTP server or a
+ *  mail service, is plugged in with setTransport at start up.
+ */
+
+const TRANSPORTS = {
+  // logs the mail, for development.
+  console: () => ({
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // adds the mail to MAIL_FILE, one JSON message per line.
+  file: () => ({
+    async send(message) {
+      const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(MAIL_FILE, line + "\n");
+    }
+  }),
+
+  // keeps the mail in outbox, for the tests.
+  memory: () => {
+    const outbox = [];
+    return {
+      outbox,
+      async send(message) {
+        outbox.push(message);
+      }
+    };
+  }
+};
+
+
+/** Returns a new transport by name. Throws Error for an unknown name. */
+
+function createTransport(name) {
+  if (Object.hasOwnProperty.call(TRANSPORTS, name) === false) {
+    throw new Error(`Unknown mail transport '${name}', use ${Object.keys(TRANSPORTS).join(", ")}.`);
+  }
+  return TRANSPORTS[name]();
+}
+
+let transport = createTransport(MAIL_TRANSPORT);
+
+
+/** Returns the transport in use. */
+
+function getTransport() {
+  return transport;
+}
+
+
+/** Use transport, an object with an async send(message), to send mail. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+
+/** Send the mail { to, subject, text } from MAIL_FROM. */
+
+async function sendMail({ to, subject, text }) {
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+
+/** Send the mail { to, subject, text } without waiting for it. A transport
+ *  error is logged, not thrown, so the response does not depend on the mail.
+ */
+
+function sendMailLater(message) {
+  sendMail(message).catch(err =>
+    console.error(`Mail to ${message.to} was not sent: ${err.message}`));
+}
+
+
+module.exports = {
+  createTransport
+  , getTransport
+  , sendMail
+  , sendMailLater
+  , setTransport
+};
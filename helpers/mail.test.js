@@ -0,0 +1,75 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTransport, getTransport, sendMail, setTransport } = require("./mail");
+
+const message = { to: "u1@email.com", subject: "Hello", text: "Hi there." };
+
+// the temporary directory of a test, removed after it.
+let tempDir;
+
+afterEach(function () {
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  tempDir = undefined;
+});
+
+
+describe("transports", function () {
+  test("memory keeps the mail", async function () {
+    const transport = createTransport("memory");
+    await transport.send(message);
+    expect(transport.outbox).toEqual([message]);
+  });
+
+  test("console logs the mail", async function () {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await createTransport("console").send(message);
+      expect(log).toHaveBeenCalledWith("Mail to u1@email.com: Hello\nHi there.");
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test("file adds the mail to MAIL_FILE", async function () {
+    const dir = tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-mail-"));
+    const cwd = process.cwd();
+    process.chdir(dir);
+    try {
+      const transport = createTransport("file");
+      await transport.send(message);
+      await transport.send(message);
+      const lines = fs.readFileSync(path.join(dir, "mail.log"), "utf8").trim().split("\n");
+      expect(lines.length).toEqual(2);
+      expect(JSON.parse(lines[0])).toEqual({ ...message, sentAt: expect.any(String) });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  test("error: unknown transport", function () {
+    expect(() => createTransport("pigeon")).toThrowError(
+      new Error("Unknown mail transport 'pigeon', use console, file, memory."));
+  });
+});
+
+
+describe("sendMail", function () {
+  test("the tests use the memory transport", function () {
+    expect(getTransport().outbox).toEqual([]);
+  });
+
+  test("sends from MAIL_FROM with the transport set", async function () {
+    const before = getTransport();
+    const sent = [];
+    setTransport({ send: async (m) => { sent.push(m); } });
+    try {
+      await sendMail(message);
+    } finally {
+      setTransport(before);
+    }
+    expect(sent).toEqual([{ from: "Jobly <no-reply@jobly.local>", ...message }]);
+  });
+});
@@ -0,0 +1,338 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+
+// Rows per page when the query string does not have a limit. The largest limit
+//  allowed is enforced by the filter schemas.
+const DEFAULT_LIMIT = 20;
+
+
+/**
+ * pageFromQuery pulls the paging values out of the query string values.
+ * Paging works one of two ways:
+ *  - offset, the page starts offset rows into the results. This is used when
+ *    the query string has an offset.
+ *  - cursor (keyset), the page starts after (or before) the row identified by
+ *    the cursor. This is the default. A request without a cursor is the first
+ *    page and the next / prev links carry the cursor for the following pages.
+ * The query string values are validated by the filter schemas in the routes.
+ *
+ * The sort order is part of the page since the cursor is made of the sort values.
+ *
+ * Function returns {
+ *    limit, integer, rows per page
+ *    offset, integer or undefined when the page is cursor based
+ *    cursor, string or undefined, the opaque cursor from a next / prev link
+ *    sort, string or undefined, the sort fields, see sortKeys
+ *  }
+ *
+ * Throws BadRequestError when both offset and cursor are in the query string.
+ *
+ * @param {*} queryValues
+ * @returns {limit, offset, cursor, sort}
+ */
+
+function pageFromQuery({ limit, offset, cursor, sort } = {}) {
+  if ((offset !== undefined) && (cursor !== undefined)) {
+    throw new BadRequestError("Paging is by 'offset' or by 'cursor', not both.");
+  }
+
+  return {
+    limit: (limit !== undefined) ? +limit : DEFAULT_LIMIT,
+    offset: (offset !== undefined) ? +offset : undefined,
+    cursor,
+    sort
+  };
+}
+
+
+/**
+ * sortKeys converts the sort value from the query string into the keys used by
+ *  sqlForPage to order and page the rows.
+ * sort, string, comma separated field names. A leading '-' sorts the field in
+ *  descending order, "-numEmployees,name". The sort field names are the field
+ *  names in the returned rows, not the db column names.
+ * sortable, object, the fields a resource can be sorted by. The key is the sort field
+ *  name and the value is { dbName, key, type, nullAs } where type is the type of
+ *  the field's cursor values, see CURSOR_TYPES, and nullAs is the value a null
+ *  sorts as. Nullable columns must have nullAs so they can be compared in the keyset.
+ * uniqueField, string, the sortable field that is unique for every row. It is added
+ *  as the last key when it is not already in sort so every row has a distinct position.
+ * resource, string, the name used in the error message.
+ * Function returns [{ dbName, key, type, direction, nullAs }, ...]
+ *
+ * Throws BadRequestError when a field in sort is not in sortable.
+ *
+ * @param {*} sort
+ * @param {*} sortable
+ * @param {*} uniqueField
+ * @param {*} resource
+ * @returns [keys]
+ */
+
+function sortKeys(sort, sortable, uniqueField, resource) {
+  const keys = [];
+  const used = [];
+
+  const fields = (sort) ? sort.split(",") : [];
+  fields.push(uniqueField);
+
+  fields.forEach(field => {
+    const direction = (field[0] === "-") ? "DESC" : "ASC";
+    const name = field.replace(/^-/, "").trim();
+
+    if (Object.hasOwnProperty.call(sortable, name) === false) {
+      throw new BadRequestError(`Sorting '${resource}' by '${name}' is not possible.`);
+    }
+
+    // a field listed more than once sorts by the first listing.
+    if (!used.includes(name)) {
+      used.push(name);
+      keys.push({ ...sortable[name], direction });
+    }
+  });
+
+  return keys;
+}
+
+
+/** Cursors are base64url encoded JSON: { after: [values] } or { before: [values] }
+ *  where values are the sort key values of the row the page starts after / before.
+ */
+
+// The largest magnitude of an INTEGER column.
+const MAX_INTEGER = 2147483647;
+
+// The values a cursor can have for each sort key type. numeric columns come
+//  back from pg as strings. A key without a type takes any string or number.
+const CURSOR_TYPES = {
+  string: value => typeof value === "string",
+  integer: value => Number.isInteger(value) && (Math.abs(value) <= MAX_INTEGER),
+  number: value => (typeof value === "number") ||
+    ((typeof value === "string") && /^-?[0-9]+(\.[0-9]+)?$/.test(value))
+};
+
+function validCursorValue(value, key) {
+  if ((typeof value !== "string") && (typeof value !== "number")) return false;
+  return (key.type === undefined) || CURSOR_TYPES[key.type](value);
+}
+
+function encodeCursor(direction, values) {
+  return Buffer.from(JSON.stringify({ [direction]: values })).toString("base64url");
+}
+
+function decodeCursor(cursor, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new BadRequestError(`Invalid cursor: '${cursor}'.`);
+  }
+
+  const direction = (decoded && Array.isArray(decoded.after)) ? "after"
+    : (decoded && Array.isArray(decoded.before)) ? "before" : undefined;
+
+  if ((direction === undefined) || (decoded[direction].length !== keys.length) ||
+    (!decoded[direction].every((value, idx) => validCursorValue(value, keys[idx])))) {
+    throw new BadRequestError(`Invalid cursor: '${cursor}'.`);
+  }
+
+  return { direction, values: decoded[direction] };
+}
+
+
+/**
+ * sqlForPage builds the keyset condition, ORDER BY, and LIMIT / OFFSET for a page.
+ * page, object, from pageFromQuery.
+ * keys, array, the sort keys in order. The last key must be unique so every row
+ *  has a distinct position. Each key is { dbName, key, type, direction, nullAs } 
+ *  where dbName is the column in the SELECT, key is the name of the value in the
+ *  returned rows, type is the type of its cursor values, direction is "ASC"
+ *  (default) or "DESC", and nullAs is the value NULL sorts as for a nullable
+ *  column. sortKeys builds the keys from the sort query value.
+ * firstIdx, integer, the $-parameter number to start at. The query values for the
+ *  filter come before the paging values.
+ * One more row than the limit is selected. pageResult uses the extra row to decide
+ *  whether there is another page.
+ * Function returns {
+ *    condition, string, the keyset comparison to AND to the WHERE clause or ""
+ *    orderBy, string, "ORDER BY ..."
+ *    limitClause, string, "LIMIT $x" and "OFFSET $y" for offset paging
+ *    values, array, the values for the $-parameters in condition and limitClause
+ *    cursor, the decoded cursor or undefined
+ *  }
+ *
+ * Throws BadRequestError when the cursor is not valid for the keys.
+ *
+ * @param {*} page
+ * @param {*} keys
+ * @param {*} firstIdx
+ * @returns {condition, orderBy, limitClause, values, cursor}
+ */
+
+function sqlForPage(page, keys, firstIdx = 1) {
+  const values = [];
+  let condition = "";
+  let cursor;
+
+  if (page.cursor !== undefined) {
+    cursor = decodeCursor(page.cursor, keys);
+  }
+
+  // Going backwards (before) flips the sort so the LIMIT picks up the rows
+  //  closest to the cursor. pageResult puts the rows back in order.
+  const flip = (cursor && cursor.direction === "before");
+  const directionOf = (key) => {
+    const direction = key.direction || "ASC";
+    if (!flip) return direction;
+    return (direction === "ASC") ? "DESC" : "ASC";
+  };
+
+  // NULL never compares equal, greater, or less so nullable columns are
+  //  ordered and compared as their nullAs value.
+  const sqlOf = (key) => (key.nullAs !== undefined)
+    ? `COALESCE(${key.dbName}, ${key.nullAs})` : key.dbName;
+
+  if (cursor) {
+    // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... handles mixed sort directions
+    //  where a row comparison, (k1, k2) > (v1, v2), does not.
+    cursor.values.forEach(value => values.push(value));
+    const ors = keys.map((key, idx) => {
+      const ands = keys.slice(0, idx).map((prior, priorIdx) =>
+        `${sqlOf(prior)} = $${firstIdx + priorIdx}`);
+      const op = (directionOf(key) === "ASC") ? ">" : "<";
+      ands.push(`${sqlOf(key)} ${op} $${firstIdx + idx}`);
+      return `(${ands.join(" AND ")})`;
+    });
+    condition = `(${ors.join(" OR ")})`;
+  }
+
+  const orderBy = `ORDER BY ${keys.map(key => `${sqlOf(key)} ${directionOf(key)}`).join(", ")}`;
+
+  values.push(page.limit + 1);
+  let limitClause = `LIMIT $${firstIdx + values.length - 1}`;
+  if (page.offset !== undefined) {
+    values.push(page.offset);
+    limitClause += ` OFFSET $${firstIdx + values.length - 1}`;
+  }
+
+  return { condition, orderBy, limitClause, values, cursor };
+}
+
+
+/**
+ * pageResult trims the extra row selected by sqlForPage, puts rows from a
+ *  'before' cursor back in order, and works out the cursors for the pages on
+ *  either side.
+ * rows, array, the rows selected with the sqlForPage clauses.
+ * page, keys, cursor are the same values passed to / returned by sqlForPage.
+ * total, integer, the number of rows across all pages.
+ * Function returns {
+ *    rows, array, the rows for the page
+ *    pagination, { total, limit, offset, nextCursor, prevCursor } where the
+ *      cursors are null when there is no page in that direction.
+ *  }
+ *
+ * @param {*} rows
+ * @param {*} page
+ * @param {*} keys
+ * @param {*} cursor
+ * @param {*} total
+ * @returns {rows, pagination}
+ */
+
+function pageResult(rows, page, keys, cursor, total) {
+  const hasExtra = rows.length > page.limit;
+  const pageRows = rows.slice(0, page.limit);
+
+  let hasNext = hasExtra;
+  let hasPrev = (page.offset !== undefined) ? (page.offset > 0) : (cursor !== undefined);
+  if (cursor && cursor.direction === "before") {
+    pageRows.reverse();
+    hasNext = true;
+    hasPrev = hasExtra;
+  }
+
+  const keyValues = (row) => keys.map(key =>
+    ((row[key.key] === null) && (key.nullAs !== undefined)) ? key.nullAs : row[key.key]);
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  let prevCursor = null;
+  if (hasPrev) {
+    // a page past the end has no rows, so the previous page ends at the cursor.
+    prevCursor = first ? encodeCursor("before", keyValues(first))
+      : (cursor ? encodeCursor("before", cursor.values) : null);
+  }
+
+  return {
+    rows: pageRows,
+    pagination: {
+      total,
+      limit: page.limit,
+      offset: page.offset,
+      nextCursor: (hasNext && last) ? encodeCursor("after", keyValues(last)) : null,
+      prevCursor
+    }
+  };
+}
+
+
+/**
+ * pageLinks converts the pagination from pageResult into the pagination
+ *  returned by the list routes. The next and prev links are the request url with
+ *  the paging values for the page on either side, or null when there is no page.
+ * Offset requests get offset links and cursor requests get cursor links. All other
+ *  query string values in the request are kept in the links.
+ *
+ * Returns { total, limit, next, prev }
+ *
+ * @param {*} req
+ * @param {*} pagination
+ * @returns {total, limit, next, prev}
+ */
+
+function pageLinks(req, pagination) {
+  const { total, limit, offset, nextCursor, prevCursor } = pagination;
+
+  const link = (pageValues) => {
+    const params = new URLSearchParams();
+    Object.keys(req.query).forEach(key => {
+      if (!["limit", "offset", "cursor"].includes(key)) params.append(key, req.query[key]);
+    });
+    params.set("limit", limit);
+    Object.keys(pageValues).forEach(key => params.set(key, pageValues[key]));
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params.toString()}`;
+  };
+
+  let next = null;
+  let prev = null;
+  if (offset !== undefined) {
+    if (nextCursor) next = link({ offset: offset + limit });
+    if (prevCursor) prev = link({ offset: Math.max(offset - limit, 0) });
+  } else {
+    if (nextCursor) next = link({ cursor: nextCursor });
+    if (prevCursor) prev = link({ cursor: prevCursor });
+  }
+
+  return { total, limit, next, prev };
+}
+
+
+/** Adds condition to a "WHERE ..." clause from sqlForFilter, which may be "". */
+
+function addCondition(whereClause, condition) {
+  if (!condition) return whereClause;
+  return (whereClause) ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+}
+
+
+module.exports = {
+  DEFAULT_LIMIT
+  , addCondition
+  , pageFromQuery
+  , pageLinks
+  , pageResult
+  , sortKeys
+  , sqlForPage
+};
@@ -0,0 +1,251 @@
+const {
+  DEFAULT_LIMIT,
+  addCondition,
+  pageFromQuery,
+  pageLinks,
+  pageResult,
+  sortKeys,
+  sqlForPage
+} = require("./pagination");
+
+const keys = [{ dbName: "c.handle", key: "handle" }, { dbName: "j.id", key: "id" }];
+
+function cursorFor(direction, values) {
+  return Buffer.from(JSON.stringify({ [direction]: values })).toString("base64url");
+}
+
+
+describe("pageFromQuery", function () {
+  test("defaults when there are no paging values", function () {
+    expect(pageFromQuery({})).toEqual({
+      limit: DEFAULT_LIMIT, offset: undefined, cursor: undefined, sort: undefined
+    });
+  });
+
+  test("query string values are converted to integers", function () {
+    expect(pageFromQuery({ limit: "5", offset: "10", sort: "-name" })).toEqual({
+      limit: 5, offset: 10, cursor: undefined, sort: "-name"
+    });
+  });
+
+  test("error: offset and cursor together", function () {
+    function pageFromQueryBoth() {
+      pageFromQuery({ offset: "10", cursor: "abc" });
+    }
+    expect(pageFromQueryBoth).toThrowError(new Error("Paging is by 'offset' or by 'cursor', not both."));
+  });
+});
+
+
+describe("sortKeys", function () {
+  const sortable = {
+    handle: { dbName: "handle", key: "handle" },
+    name: { dbName: "name", key: "name" },
+    numEmployees: { dbName: "num_employees", key: "numEmployees", nullAs: -1 }
+  };
+
+  test("descending and ascending fields, unique field added last", function () {
+    expect(sortKeys("-numEmployees,name", sortable, "handle", "companies")).toEqual([
+      { dbName: "num_employees", key: "numEmployees", nullAs: -1, direction: "DESC" },
+      { dbName: "name", key: "name", direction: "ASC" },
+      { dbName: "handle", key: "handle", direction: "ASC" }
+    ]);
+  });
+
+  test("unique field is not added twice", function () {
+    expect(sortKeys("-handle", sortable, "handle", "companies")).toEqual([
+      { dbName: "handle", key: "handle", direction: "DESC" }
+    ]);
+  });
+
+  test("no sort, unique field only", function () {
+    expect(sortKeys(undefined, sortable, "handle", "companies")).toEqual([
+      { dbName: "handle", key: "handle", direction: "ASC" }
+    ]);
+  });
+
+  test("error: field is not sortable", function () {
+    function sortKeysBadField() {
+      sortKeys("-description", sortable, "handle", "companies");
+    }
+    expect(sortKeysBadField).toThrowError(new Error("Sorting 'companies' by 'description' is not possible."));
+  });
+});
+
+
+describe("sqlForPage", function () {
+  test("first page, no cursor", function () {
+    const result = sqlForPage({ limit: 5 }, keys, 3);
+    expect(result.condition).toEqual("");
+    expect(result.orderBy).toEqual("ORDER BY c.handle ASC, j.id ASC");
+    expect(result.limitClause).toEqual("LIMIT $3");
+    expect(result.values).toEqual([6]);
+  });
+
+  test("offset page", function () {
+    const result = sqlForPage({ limit: 5, offset: 10 }, keys);
+    expect(result.condition).toEqual("");
+    expect(result.limitClause).toEqual("LIMIT $1 OFFSET $2");
+    expect(result.values).toEqual([6, 10]);
+  });
+
+  test("after cursor", function () {
+    const result = sqlForPage({ limit: 5, cursor: cursorFor("after", ["c1", 7]) }, keys, 2);
+    expect(result.condition).toEqual("((c.handle > $2) OR (c.handle = $2 AND j.id > $3))");
+    expect(result.orderBy).toEqual("ORDER BY c.handle ASC, j.id ASC");
+    expect(result.limitClause).toEqual("LIMIT $4");
+    expect(result.values).toEqual(["c1", 7, 6]);
+  });
+
+  test("before cursor flips the sort", function () {
+    const result = sqlForPage({ limit: 5, cursor: cursorFor("before", ["c1", 7]) }, keys);
+    expect(result.condition).toEqual("((c.handle < $1) OR (c.handle = $1 AND j.id < $2))");
+    expect(result.orderBy).toEqual("ORDER BY c.handle DESC, j.id DESC");
+  });
+
+  test("descending key", function () {
+    const descKeys = [{ dbName: "salary", key: "salary", direction: "DESC" }, { dbName: "id", key: "id" }];
+    const result = sqlForPage({ limit: 5, cursor: cursorFor("after", [100, 7]) }, descKeys);
+    expect(result.condition).toEqual("((salary < $1) OR (salary = $1 AND id > $2))");
+    expect(result.orderBy).toEqual("ORDER BY salary DESC, id ASC");
+  });
+
+  test("nullable key is compared as its nullAs value", function () {
+    const nullKeys = [{ dbName: "salary", key: "salary", direction: "DESC", nullAs: -1 }, { dbName: "id", key: "id" }];
+    const result = sqlForPage({ limit: 5, cursor: cursorFor("after", [-1, 7]) }, nullKeys);
+    expect(result.condition).toEqual(
+      "((COALESCE(salary, -1) < $1) OR (COALESCE(salary, -1) = $1 AND id > $2))");
+    expect(result.orderBy).toEqual("ORDER BY COALESCE(salary, -1) DESC, id ASC");
+  });
+
+  test("error: cursor is not valid", function () {
+    function sqlForPageBadCursor() {
+      sqlForPage({ limit: 5, cursor: "not-a-cursor" }, keys);
+    }
+    expect(sqlForPageBadCursor).toThrowError(new Error("Invalid cursor: 'not-a-cursor'."));
+  });
+
+  test("error: cursor has the wrong number of keys", function () {
+    const cursor = cursorFor("after", ["c1"]);
+    function sqlForPageBadCursor() {
+      sqlForPage({ limit: 5, cursor }, keys);
+    }
+    expect(sqlForPageBadCursor).toThrowError(new Error(`Invalid cursor: '${cursor}'.`));
+  });
+
+  test("works: cursor values of the key types", function () {
+    const typedKeys = [
+      { dbName: "c.handle", key: "handle", type: "string" },
+      { dbName: "j.equity", key: "equity", type: "number" },
+      { dbName: "j.id", key: "id", type: "integer" }
+    ];
+    const cursor = cursorFor("after", ["c1", "0.02", 3]);
+    expect(sqlForPage({ limit: 5, cursor }, typedKeys).values).toEqual(["c1", "0.02", 3, 6]);
+  });
+
+  test("error: cursor value is not a string or number", function () {
+    const cursor = cursorFor("after", ["c1", {}]);
+    function sqlForPageBadCursor() {
+      sqlForPage({ limit: 5, cursor }, keys);
+    }
+    expect(sqlForPageBadCursor).toThrowError(new Error(`Invalid cursor: '${cursor}'.`));
+  });
+
+  test("error: cursor value is not the key's type", function () {
+    const typedKeys = [
+      { dbName: "c.handle", key: "handle", type: "string" },
+      { dbName: "j.id", key: "id", type: "integer" }
+    ];
+    for (const values of [["c1", "3"], ["c1", 1.5], ["c1", 99999999999], [3, 3]]) {
+      const cursor = cursorFor("after", values);
+      expect(() => sqlForPage({ limit: 5, cursor }, typedKeys))
+        .toThrowError(new Error(`Invalid cursor: '${cursor}'.`));
+    }
+  });
+});
+
+
+describe("pageResult", function () {
+  const rows = [{ handle: "c1", id: 1 }, { handle: "c1", id: 2 }, { handle: "c2", id: 3 }];
+
+  test("first page with more rows", function () {
+    const result = pageResult(rows, { limit: 2 }, keys, undefined, 10);
+    expect(result.rows).toEqual(rows.slice(0, 2));
+    expect(result.pagination).toEqual({
+      total: 10,
+      limit: 2,
+      offset: undefined,
+      nextCursor: cursorFor("after", ["c1", 2]),
+      prevCursor: null
+    });
+  });
+
+  test("last page after a cursor", function () {
+    const cursor = { direction: "after", values: ["c1", 0] };
+    const result = pageResult(rows, { limit: 5 }, keys, cursor, 3);
+    expect(result.rows).toEqual(rows);
+    expect(result.pagination.nextCursor).toEqual(null);
+    expect(result.pagination.prevCursor).toEqual(cursorFor("before", ["c1", 1]));
+  });
+
+  test("before cursor rows are put back in order", function () {
+    const cursor = { direction: "before", values: ["c3", 4] };
+    const result = pageResult([...rows].reverse(), { limit: 2 }, keys, cursor, 10);
+    expect(result.rows).toEqual([{ handle: "c1", id: 2 }, { handle: "c2", id: 3 }]);
+    expect(result.pagination.nextCursor).toEqual(cursorFor("after", ["c2", 3]));
+    expect(result.pagination.prevCursor).toEqual(cursorFor("before", ["c1", 2]));
+  });
+
+  test("null key values in the cursor use nullAs", function () {
+    const nullKeys = [{ dbName: "salary", key: "salary", nullAs: -1 }, { dbName: "id", key: "id" }];
+    const result = pageResult([{ salary: null, id: 1 }, { salary: 5, id: 2 }], { limit: 1 }, nullKeys, undefined, 2);
+    expect(result.pagination.nextCursor).toEqual(cursorFor("after", [-1, 1]));
+  });
+
+  test("offset page", function () {
+    const result = pageResult(rows.slice(0, 2), { limit: 2, offset: 2 }, keys, undefined, 4);
+    expect(result.pagination.nextCursor).toEqual(null);
+    expect(result.pagination.prevCursor).toEqual(cursorFor("before", ["c1", 1]));
+  });
+});
+
+
+describe("pageLinks", function () {
+  const req = { baseUrl: "/companies", path: "/", query: { nameLike: "c", limit: "2", offset: "2" } };
+
+  test("offset links keep the other query string values", function () {
+    const links = pageLinks(req, { total: 10, limit: 2, offset: 2, nextCursor: "n", prevCursor: "p" });
+    expect(links).toEqual({
+      total: 10,
+      limit: 2,
+      next: "/companies?nameLike=c&limit=2&offset=4",
+      prev: "/companies?nameLike=c&limit=2&offset=0"
+    });
+  });
+
+  test("cursor links", function () {
+    const links = pageLinks({ ...req, query: { nameLike: "c" } },
+      { total: 10, limit: 20, nextCursor: "n", prevCursor: null });
+    expect(links).toEqual({
+      total: 10,
+      limit: 20,
+      next: "/companies?nameLike=c&limit=20&cursor=n",
+      prev: null
+    });
+  });
+});
+
+
+describe("addCondition", function () {
+  test("no WHERE clause yet", function () {
+    expect(addCondition("", "a = $1")).toEqual("WHERE a = $1");
+  });
+
+  test("existing WHERE clause", function () {
+    expect(addCondition("WHERE b = $1", "a = $2")).toEqual("WHERE b = $1 AND a = $2");
+  });
+
+  test("no condition", function () {
+    expect(addCondition("WHERE b = $1", "")).toEqual("WHERE b = $1");
+  });
+});
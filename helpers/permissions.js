@@ -0,0 +1,100 @@
+"use strict";
+
+/** Roles and the permissions they give.
+ *
+ * A user's roles are in the user_roles table, see models/role.js, except
+ *  admin, which is the user's isAdmin. The roles are in the access token and
+ *  the permissions come from them here, so checking a permission does not use
+ *  the db.
+ *
+ * A member of a company also has the permissions of their role in it, for
+ *  that company only, see models/companyMember.js.
+ */
+
+// The permissions and the roles that have them. A role here has its
+//  permissions for every company, the permissions for the jobs and
+//  applications of one company come from the user's role in it, see
+//  COMPANY_ROLE_PERMISSIONS.
+//  companies:write  create, update and remove companies.
+//  jobs:write       create, update and remove jobs.
+//  applications:read   see the applications for a job, company or user.
+//  applications:write  apply for other users and move their applications
+//                      through every state.
+//  users:read       see every user.
+//  users:unlock     unlock users locked by failed logins.
+//  users:write      create, update and remove other users, their API keys,
+//                   two-factor authentication and roles.
+//  members:read     see the members of a company.
+//  members:write    invite and remove the members of a company.
+//  settings:write   see and change the site settings.
+const ROLE_PERMISSIONS = {
+  admin: [
+    "companies:write",
+    "jobs:write",
+    "applications:read",
+    "applications:write",
+    "users:read",
+    "users:unlock",
+    "users:write",
+    "members:read",
+    "members:write",
+    "settings:write"
+  ],
+  // finds candidates. They recruit for the companies they are a member of.
+  recruiter: ["users:read"],
+  support: ["applications:read", "users:read", "users:unlock"],
+  // every user who registers. A candidate only uses the site for themselves.
+  candidate: []
+};
+
+// The permissions the roles in a company give, for that company.
+const COMPANY_ROLE_PERMISSIONS = {
+  owner: [
+    "companies:write",
+    "jobs:write",
+    "applications:read",
+    "applications:write",
+    "members:read",
+    "members:write"
+  ],
+  recruiter: ["jobs:write", "applications:read", "applications:write", "members:read"]
+};
+
+
+/** Returns the roles of a user { isAdmin, roles } where roles are the roles in
+ *  user_roles. admin comes first when isAdmin is true.
+ *
+ * An access token from before there were roles does not have them, the user
+ *  is then a candidate, and an admin when isAdmin is true.
+ */
+
+function rolesFor({ isAdmin, roles = ["candidate"] }) {
+  const others = roles.filter(role => role !== "admin");
+  return (isAdmin) ? ["admin", ...others] : others;
+}
+
+
+/** Returns true when the logged in user, res.locals.user, has permission. */
+
+function hasPermission(user, permission) {
+  return rolesFor(user).some(role =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission));
+}
+
+
+/** Returns true when role, the user's role in a company or undefined when they
+ *  are not a member, has permission for the company.
+ */
+
+function hasCompanyPermission(role, permission) {
+  return (COMPANY_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+
+module.exports = {
+  COMPANY_ROLE_PERMISSIONS
+  , ROLE_PERMISSIONS
+  , hasCompanyPermission
+  , hasPermission
+  , rolesFor
+};
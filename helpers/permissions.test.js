@@ -0,0 +1,71 @@
+"use strict";
+
+const {
+  COMPANY_ROLE_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasCompanyPermission,
+  hasPermission,
+  rolesFor
+} = require("./permissions");
+
+
+describe("rolesFor", function () {
+  test("works", function () {
+    expect(rolesFor({ isAdmin: false, roles: ["candidate", "recruiter"] }))
+      .toEqual(["candidate", "recruiter"]);
+  });
+
+  test("admin comes from isAdmin, first", function () {
+    expect(rolesFor({ isAdmin: true, roles: ["candidate"] })).toEqual(["admin", "candidate"]);
+    expect(rolesFor({ isAdmin: false, roles: ["admin", "candidate"] })).toEqual(["candidate"]);
+  });
+
+  test("a user without roles, from an older token, is a candidate", function () {
+    expect(rolesFor({ isAdmin: false })).toEqual(["candidate"]);
+    expect(rolesFor({ isAdmin: true })).toEqual(["admin", "candidate"]);
+  });
+});
+
+
+describe("hasPermission", function () {
+  test("works", function () {
+    const recruiter = { username: "r", isAdmin: false, roles: ["recruiter"] };
+    expect(hasPermission(recruiter, "users:read")).toEqual(true);
+    expect(hasPermission(recruiter, "companies:write")).toEqual(false);
+  });
+
+  test("the recruiter role has none of the permissions for one company", function () {
+    const recruiter = { username: "r", isAdmin: false, roles: ["recruiter"] };
+    COMPANY_ROLE_PERMISSIONS.recruiter.forEach(permission =>
+      expect(hasPermission(recruiter, permission)).toEqual(false));
+  });
+
+  test("an admin has every permission", function () {
+    const admin = { username: "a", isAdmin: true, roles: ["candidate"] };
+    const permissions = new Set(Object.values(ROLE_PERMISSIONS).flat());
+    permissions.forEach(permission => expect(hasPermission(admin, permission)).toEqual(true));
+  });
+
+  test("a candidate has none", function () {
+    expect(hasPermission({ username: "c", isAdmin: false }, "users:read")).toEqual(false);
+  });
+
+  test("false for an unknown role", function () {
+    expect(hasPermission({ username: "x", isAdmin: false, roles: ["nope"] }, "users:read"))
+      .toEqual(false);
+  });
+});
+
+
+describe("hasCompanyPermission", function () {
+  test("works", function () {
+    expect(hasCompanyPermission("owner", "members:write")).toEqual(true);
+    expect(hasCompanyPermission("recruiter", "jobs:write")).toEqual(true);
+    expect(hasCompanyPermission("recruiter", "applications:write")).toEqual(true);
+    expect(hasCompanyPermission("recruiter", "members:write")).toEqual(false);
+  });
+
+  test("false for a user who is not a member", function () {
+    expect(hasCompanyPermission(undefined, "jobs:write")).toEqual(false);
+  });
+});
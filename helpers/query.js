@@ -0,0 +1,250 @@
+"use strict";
+
+const { FilterError } = require("../expressError");
+
+/** The search query language, one search box for all of the filters:
+ *
+ *    title:engineer salary>=120000 equity:yes company:hall-davis remote
+ *
+ *  A term is field:value, field>=value, or field<=value. A value with spaces
+ *  is in double quotes, title:"senior engineer". A word that is not a term is
+ *  search text. The fields, the operators each field allows, and the filter
+ *  each one sets are declared by the model:
+ *
+ *    {
+ *      text, string, the filter the search text goes to, "q"
+ *      fields: {
+ *        salary: {
+ *          ">=": { filter: "minSalary", type: "integer" },
+ *          "<=": { filter: "maxSalary", type: "integer" }
+ *        },
+ *        company: { ":": { filter: "handle", type: "string", list: true } }
+ *      }
+ *    }
+ *
+ *  type is "string", "integer", "number", or "boolean" (yes / no / true /
+ *  false). A list filter can be used more than once, every other field and
+ *  operator can be used once.
+ */
+
+const OPERATORS = [":", ">=", "<="];
+
+// Converts the text of a value to its type. Returns undefined when it is not
+//  valid for the type.
+const TYPES = {
+  string: { description: "text", parse: (text) => text },
+  integer: {
+    description: "an integer",
+    parse: (text) => (/^[0-9]+$/.test(text)) ? +text : undefined
+  },
+  number: {
+    description: "a number",
+    parse: (text) => (/^[0-9]*\.?[0-9]+$/.test(text)) ? +text : undefined
+  },
+  boolean: {
+    description: "yes or no",
+    parse: (text) => {
+      const lower = text.toLowerCase();
+      if (["yes", "true"].includes(lower)) return true;
+      if (["no", "false"].includes(lower)) return false;
+      return undefined;
+    }
+  }
+};
+
+
+/** Throws the FilterError for a problem at position in the query text. */
+
+function queryError(position, message) {
+  throw new FilterError([{
+    field: "query",
+    code: "parseError",
+    position,
+    message: `Query error at position ${position}: ${message}`
+  }]);
+}
+
+
+/** Reads a double quoted value that starts at text[start]. \" and \\ are a
+ *  quote and a backslash in the value. Returns { value, end }.
+ **/
+
+function readQuoted(text, start) {
+  let value = "";
+  let idx = start + 1;
+  while (idx < text.length) {
+    const ch = text[idx];
+    if (ch === "\\" && idx + 1 < text.length) {
+      value += text[idx + 1];
+      idx += 2;
+    } else if (ch === "\"") {
+      return { value, end: idx + 1 };
+    } else {
+      value += ch;
+      idx++;
+    }
+  }
+  return queryError(start, "the quote is not closed.");
+}
+
+
+/** Reads up to the next space. Returns { value, end }. */
+
+function readWord(text, start) {
+  let end = start;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  return { value: text.slice(start, end), end };
+}
+
+
+/**
+ * parseQuery parses the query text into the filter AST.
+ * text, string, the query from the query string.
+ * language, object, the model's query language declaration, see above.
+ * Function returns {
+ *    type: "query",
+ *    terms: [
+ *      { type: "comparison", field, op, filter, value, position }, or
+ *      { type: "text", value, position }, ...
+ *    ]
+ *  } where value has the type of the filter and position is the index of
+ *  the start of the term in text.
+ *
+ * Throws FilterError, [{ field: "query", code: "parseError", position, message }],
+ *  at the first problem in text.
+ *
+ * @param {*} text
+ * @param {*} language
+ * @returns {type, terms}
+ */
+
+function parseQuery(text, language) {
+  const terms = [];
+  const used = {};
+  let idx = 0;
+
+  while (idx < text.length) {
+    if (/\s/.test(text[idx])) {
+      idx++;
+      continue;
+    }
+
+    const position = idx;
+    const name = /^[A-Za-z]+/.exec(text.slice(idx));
+    const afterName = idx + ((name) ? name[0].length : 0);
+    const op = (name) ? OPERATORS.find(o => text.startsWith(o, afterName)) : undefined;
+
+    if (!op) {
+      // search text, a word or a "quoted phrase" kept as it is for the search.
+      if (name && /^[<>=!]/.test(text.slice(afterName))) {
+        queryError(afterName, `use ':', '>=', or '<=' after '${name[0]}'.`);
+      }
+      const word = (text[idx] === "\"")
+        ? readQuoted(text, idx) : readWord(text, idx);
+      const value = (text[idx] === "\"") ? `"${word.value}"` : word.value;
+      terms.push({ type: "text", value, position });
+      idx = word.end;
+      continue;
+    }
+
+    const field = name[0];
+    if (Object.hasOwnProperty.call(language.fields, field) === false) {
+      queryError(position, `'${field}' is not a field. Fields are: ${Object.keys(language.fields).join(", ")}.`);
+    }
+    const target = language.fields[field][op];
+    if (!target) {
+      queryError(afterName, `'${field}' does not allow '${op}', it allows ${Object.keys(language.fields[field]).map(o => `'${o}'`).join(", ")}.`);
+    }
+
+    const valueStart = afterName + op.length;
+    if ((valueStart >= text.length) || (/\s/.test(text[valueStart]))) {
+      queryError(valueStart, `'${field}${op}' needs a value.`);
+    }
+    const raw = (text[valueStart] === "\"")
+      ? readQuoted(text, valueStart) : readWord(text, valueStart);
+
+    const type = TYPES[target.type];
+    const value = type.parse(raw.value);
+    if ((value === undefined) || (raw.value === "")) {
+      queryError(valueStart, `'${field}${op}' must be ${type.description}, not '${raw.value}'.`);
+    }
+
+    if ((used[`${field}${op}`]) && (!target.list)) {
+      queryError(position, `'${field}${op}' is used more than once.`);
+    }
+    used[`${field}${op}`] = true;
+
+    terms.push({ type: "comparison", field, op, filter: target.filter, value, position });
+    idx = raw.end;
+  }
+
+  return { type: "query", terms };
+}
+
+
+/**
+ * compileQuery converts the filter AST into the filter values sqlForFilter
+ *  takes, so a query and the same filters in the query string build the same
+ *  WHERE clause. List filters are an array of values and the search text is
+ *  the text terms joined by spaces.
+ *
+ * @param {*} ast
+ * @param {*} language
+ * @returns filterValues
+ */
+
+function compileQuery(ast, language) {
+  const filterValues = {};
+  const text = [];
+
+  ast.terms.forEach(term => {
+    if (term.type === "text") {
+      text.push(term.value);
+    } else if (language.fields[term.field][term.op].list) {
+      filterValues[term.filter] = [...(filterValues[term.filter] || []), String(term.value)];
+    } else {
+      filterValues[term.filter] = String(term.value);
+    }
+  });
+
+  if (text.length > 0) filterValues[language.text] = text.join(" ");
+
+  return filterValues;
+}
+
+
+/**
+ * applyQuery replaces the query in filterValues with the filters it compiles
+ *  to. filterValues without a query are returned as they are.
+ *
+ * Throws FilterError when the query does not parse or when it sets a filter
+ *  that is also in filterValues.
+ *
+ * @param {*} filterValues
+ * @param {*} language
+ * @returns filterValues
+ */
+
+function applyQuery(filterValues, language) {
+  if (!filterValues || filterValues.query === undefined) return filterValues;
+
+  const { query, ...others } = filterValues;
+  const ast = parseQuery(String(query), language);
+  const fromQuery = compileQuery(ast, language);
+
+  Object.keys(fromQuery).forEach(filter => {
+    if (Object.hasOwnProperty.call(others, filter)) {
+      const term = ast.terms.find(t => (t.filter || language.text) === filter);
+      queryError(term.position, `'${filter}' is in the query and in the query string.`);
+    }
+  });
+
+  return { ...others, ...fromQuery };
+}
+
+
+module.exports = {
+  applyQuery
+  , compileQuery
+  , parseQuery
+};
@@ -0,0 +1,141 @@
+"use strict";
+
+const { FilterError } = require("../expressError");
+const { applyQuery, compileQuery, parseQuery } = require("./query");
+
+const language = {
+  text: "q",
+  fields: {
+    title: { ":": { filter: "title", type: "string" } },
+    salary: {
+      ">=": { filter: "minSalary", type: "integer" },
+      "<=": { filter: "maxSalary", type: "integer" }
+    },
+    equity: {
+      ":": { filter: "hasEquity", type: "boolean" },
+      ">=": { filter: "minEquity", type: "number" }
+    },
+    company: { ":": { filter: "handle", type: "string", list: true } }
+  }
+};
+
+// returns the error thrown by fn.
+function errorFrom(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error("no error thrown");
+}
+
+
+describe("parseQuery", function () {
+  test("typed terms and search text with positions", function () {
+    const ast = parseQuery('title:"senior engineer" salary>=120000 equity:yes remote', language);
+    expect(ast).toEqual({
+      type: "query",
+      terms: [
+        { type: "comparison", field: "title", op: ":", filter: "title", value: "senior engineer", position: 0 },
+        { type: "comparison", field: "salary", op: ">=", filter: "minSalary", value: 120000, position: 24 },
+        { type: "comparison", field: "equity", op: ":", filter: "hasEquity", value: true, position: 39 },
+        { type: "text", value: "remote", position: 50 }
+      ]
+    });
+  });
+
+  test("quoted values can have escaped quotes, phrases stay quoted", function () {
+    const ast = parseQuery('title:"the \\"best\\" job" "full stack"', language);
+    expect(ast.terms.map(t => t.value)).toEqual(['the "best" job', '"full stack"']);
+  });
+
+  test("a list field can repeat", function () {
+    const ast = parseQuery("company:c1 company:c2", language);
+    expect(ast.terms.map(t => t.value)).toEqual(["c1", "c2"]);
+  });
+
+  test("empty query", function () {
+    expect(parseQuery("   ", language)).toEqual({ type: "query", terms: [] });
+  });
+
+  test("error: unknown field", function () {
+    const err = errorFrom(() => parseQuery("remote color:red", language));
+    expect(err instanceof FilterError).toBeTruthy();
+    expect(err.errors).toEqual([{
+      field: "query",
+      code: "parseError",
+      position: 7,
+      message: "Query error at position 7: 'color' is not a field. Fields are: title, salary, equity, company."
+    }]);
+  });
+
+  test("error: operator the field does not allow", function () {
+    const err = errorFrom(() => parseQuery("salary:100", language));
+    expect(err.errors[0].position).toEqual(6);
+    expect(err.message).toEqual(
+      "Query error at position 6: 'salary' does not allow ':', it allows '>=', '<='.");
+  });
+
+  test("error: operator that is not in the language", function () {
+    const err = errorFrom(() => parseQuery("salary>100", language));
+    expect(err.message).toEqual(
+      "Query error at position 6: use ':', '>=', or '<=' after 'salary'.");
+  });
+
+  test("error: value of the wrong type", function () {
+    const err = errorFrom(() => parseQuery("title:x salary>=lots", language));
+    expect(err.message).toEqual(
+      "Query error at position 16: 'salary>=' must be an integer, not 'lots'.");
+  });
+
+  test("error: missing value", function () {
+    const err = errorFrom(() => parseQuery("title: x", language));
+    expect(err.message).toEqual("Query error at position 6: 'title:' needs a value.");
+  });
+
+  test("error: quote not closed", function () {
+    const err = errorFrom(() => parseQuery('title:"open', language));
+    expect(err.message).toEqual("Query error at position 6: the quote is not closed.");
+  });
+
+  test("error: field used twice", function () {
+    const err = errorFrom(() => parseQuery("title:a title:b", language));
+    expect(err.message).toEqual("Query error at position 8: 'title:' is used more than once.");
+  });
+});
+
+
+describe("compileQuery", function () {
+  test("filter values for sqlForFilter", function () {
+    const ast = parseQuery("engineer title:dev salary>=100 equity:no company:c1 company:c2 remote", language);
+    expect(compileQuery(ast, language)).toEqual({
+      title: "dev",
+      minSalary: "100",
+      hasEquity: "false",
+      handle: ["c1", "c2"],
+      q: "engineer remote"
+    });
+  });
+});
+
+
+describe("applyQuery", function () {
+  test("query is replaced by its filters", function () {
+    expect(applyQuery({ query: "salary>=5 dev", minEquity: "0.1" }, language)).toEqual({
+      minEquity: "0.1",
+      minSalary: "5",
+      q: "dev"
+    });
+  });
+
+  test("no query", function () {
+    const filterValues = { title: "dev" };
+    expect(applyQuery(filterValues, language)).toBe(filterValues);
+  });
+
+  test("error: filter in the query and in the query string", function () {
+    const err = errorFrom(() => applyQuery({ query: "dev salary>=5", minSalary: "6" }, language));
+    expect(err.message).toEqual(
+      "Query error at position 4: 'minSalary' is in the query and in the query string.");
+  });
+});
@@ -1,4 +1,4 @@
-const { BadRequestError } = require("../expressError");
+const { BadRequestError, FilterError } = require("../expressError");
 
 /** 
  * sqlForPartialUpdate builds the column names and $-parameters, "first_name"=$x,
@@ -49,159 +49,315 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-
 /**
  * sqlForFilter builds the WHERE clause for an SQL SELECT based on the key:values
- *  in dataForFilter. Both companies and jobs tables have mostly similar logic and this 
- *  function builds the where clause for both filtered companies and filtered jobs.
- * This function DOES NOT validate the contents of dataForFilter - the validation of 
- *  query string must occur in the routes.
+ *  in dataForFilter and the filters a model declares for its list.
  * dataForFilter, object, contains the key:value pairs for the values entered in the 
- *  query string. Again, a validator in the route should ensure the values are valid.
- * table, string, is the table that will use the filter. This function contains a mapping
- *  of how to handle the fields. 
- * This function may get split and placed in the Company and Job model.
+ *  query string (or set by the model). The routes validate the query string with
+ *  the filter schemas, this function checks each value again against the type of
+ *  its filter.
+ * filters, object, the model's filter declaration: {
+ *    resource, string, the name used in error messages, "companies"
+ *    fields, object, the key is the filter name in dataForFilter and the value is
+ *      { dbName, type, op, sql } where
+ *        dbName is the column (or expression) to filter,
+ *        type is "string", "integer", "number", "date", or "boolean",
+ *        op is the operator, see OPERATORS below,
+ *        sql is optional, { true, false }, the SQL used in place of 'dbName = $x'
+ *          by a boolean filter that is not a simple column, hasEquity.
+ *    ranges, array, optional, [[minField, maxField], ...] pairs where the min 
+ *      filter must be less than the max filter when both are used.
+ *  }
+ * All values are passed as $-parameters. A boolean filter with sql, and isNull,
+ *  have no parameter because the value picks which SQL is used.
  * Function returns {
- *    whereClause, string of "WHERE field1 comparison2 $1, field2 comparion2 $2... for each 
- *      field in dataForFilter
- *    values, array, the values in the same order as the fields listed in setCols. 
+ *    whereClause, string of "WHERE field1 comparison1 $1 AND field2 comparison2 $2..." 
+ *      for each field in dataForFilter, or "" when there is nothing to filter.
+ *    values, array, the values in the same order as the $-parameters.
+ *    params, object, the $-parameter of each field, { q: "$2" }, so the SELECT
+ *      can use a filter value again, as the search ranking does. A field with
+ *      two parameters, between, has the second one.
  *  } 
  *
+ * Throws FilterError with every problem found, [{ field, code, message }, ...],
+ *  when a filter is not declared, a value is not valid for its type, or a
+ *  min / max pair is out of order.
+ *
  * @param {*} dataForFilter 
- * @param {*} table 
- * @returns 
+ * @param {*} filters 
+ * @returns {whereClause, values}
  */
 
-function sqlForFilter(dataForFilter, table) {
-
-  if (dataForFilter) {
-
-    const keys = Object.keys(dataForFilter);
-    if (keys.length > 0) {
-
-      // before we start declaring stuff, check whether both min and max exist and
-      //  error when max is <= min.
-      if ((Object.hasOwnProperty.call(dataForFilter, "minEmployees")) &&
-        (Object.hasOwnProperty.call(dataForFilter, "maxEmployees"))) {
-        // error if max is less than or equal to min.
-        if (+dataForFilter["maxEmployees"] <= +dataForFilter["minEmployees"]) {
-          throw new BadRequestError(
-            `Filter is incorrect: 'minEmployees', ${dataForFilter["minEmployees"]}, is NOT less than 'maxEmployees', ${dataForFilter["maxEmployees"]}.`);
-        }
-
-      }
-
-      // Some commonality exists between company and job fields. strings and numerics
-      //  will have some consistent and formatting. As an example, a string filter
-      //  needs to result in dbName ILIKE "%filterVal%"
-      const fields = {
-        companies: {
-          nameLike: { dbName: "name", type: "string", comparison: "ILIKE" },
-          minEmployees: { dbName: "num_employees", type: "integer", comparison: ">=" },
-          maxEmployees: { dbName: "num_employees", type: "integer", comparison: "<=" }
-        },
-        jobs: {
-          handle: { dbName: "c.handle", type: "string", comparison: "=" },
-          title: { dbName: "title", type: "string", comparison: "ILIKE" },
-          minSalary: { dbName: "salary", type: "integer", comparison: ">=" },
-          hasEquity: { dbName: "equity" }
-        }
-      };
-
-      const valuesOut = [];
-      const cols = keys.map((colName) => {
-
-        let tempClause = "";
-
-        // throw an error when colName is in not in fields
-        if (Object.hasOwnProperty.call(fields[table], colName) === false) {
-          throw new BadRequestError(`Filtering '${table}' by '${colName}' is not possible.`);
-        }
-
-        // if (fields[table][colName] === "hasEquity") {
-        if (colName === "hasEquity") {
-          // hasEquity value of "true" or "false" as a string, not as a boolean.
-          // check the first character to see if it is t or f
-          // dataForFilter[colName][0].toLowerCase() === "t"
-          if ((dataForFilter[colName][0]).toLowerCase() === "t") {
-            // When hasEquity is true, filter to jobs that provide a non-zero amount of equity.
-            // return because the value passed in for hasEquity is true / false and is not
-            //  parameterized.
-            return `${fields[table][colName]["dbName"]} > 0`;
-          } else {
-            // We need to have something returned When hasEquity = false because when the cols 
-            //  array is converted to a string via .join(' AND '), the empty cell will mess things
-            //  up. A workaround to this would be to build a string. 
-            return `((${fields[table][colName]["dbName"]} >= 0) OR (${fields[table][colName]["dbName"]} IS NULL))`;
-          }
-        }
-
-        if (fields[table][colName]["type"] === "string") {
-
-          // temp clause is common to both '=' and 'ILIKE'. fields.table.colName.comparison has the proper operation
-          // Build tempClause BEFORE valuesOut.push because the $x parameters will not match since x is valuesOut.length + 1.
-          tempClause = `${fields[table][colName]["dbName"]} ${fields[table][colName]["comparison"]} $${valuesOut.length + 1}`;
-
-          if (fields[table][colName]["comparison"] === "ILIKE") {
-            // need to build '%value%' for valuesOut.
-            valuesOut.push(`%${dataForFilter[colName].trim()}%`);
-          } else {
-            // need to build 'value' for valuesOut.
-            valuesOut.push(`${dataForFilter[colName].trim()}`);
-          }
-
-        } else {
-          // field is not a string so it must be an integer.
-          if (fields[table][colName]["type"] === "integer") {
-            tempClause = `${fields[table][colName]["dbName"]} ${fields[table][colName]["comparison"]} $${valuesOut.length + 1}`;
-            valuesOut.push(+dataForFilter[colName]);
-
-          } else {
-            // this should only run when new fields to the fields object and the new fields 
-            //  are not string or integer.
-            throw new BadRequestError(`Filtering '${table}' by '${colName}' is not possible.`);
-          }
-        }
-
-        return tempClause;
+function sqlForFilter(dataForFilter, filters) {
+
+  const keys = (dataForFilter) ? Object.keys(dataForFilter) : [];
+  if (keys.length === 0) {
+    // returns empty string whereClause and empty values array. The "" whereClause 
+    //  and empty values array will not affect the SELECT.
+    return {
+      whereClause: "",
+      values: [],
+      params: {}
+    };
+  }
+
+  const errors = [];
+  const parsed = {};
 
+  keys.forEach(field => {
+    if (Object.hasOwnProperty.call(filters.fields, field) === false) {
+      errors.push({
+        field,
+        code: "unknownFilter",
+        message: `Filtering '${filters.resource}' by '${field}' is not possible.`
       });
+      return;
+    }
 
-      return {
-        whereClause: `WHERE ${cols.join(" AND ")}`,
-        values: valuesOut
-      };
+    const result = parseFilterValue(field, filters.fields[field], dataForFilter[field]);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      parsed[field] = result.value;
+    }
+  });
 
+  // min must be less than max when both are used.
+  (filters.ranges || []).forEach(([minField, maxField]) => {
+    if ((Object.hasOwnProperty.call(parsed, minField)) &&
+      (Object.hasOwnProperty.call(parsed, maxField)) &&
+      (parsed[maxField] <= parsed[minField])) {
+      errors.push({
+        field: maxField,
+        code: "invalidRange",
+        message: `Filter is incorrect: '${minField}', ${dataForFilter[minField]}, is NOT less than '${maxField}', ${dataForFilter[maxField]}.`
+      });
     }
-  }
+  });
+
+  if (errors.length > 0) throw new FilterError(errors);
+
+  const values = [];
+  const params = {};
+
+  const conditions = keys.map(field => {
+    const filter = filters.fields[field];
+    // param adds a value and returns its $-parameter.
+    const param = (value) => {
+      values.push(value);
+      params[field] = `$${values.length}`;
+      return params[field];
+    };
+    return OPERATORS[filter.op].sql(filter, parsed[field], param);
+  });
 
-  // returns empty string whereClause and empty values array. The "" whereClause 
-  //  and empty values array will not affect the SELECT.
   return {
-    whereClause: "",
-    values: []
+    whereClause: `WHERE ${conditions.join(" AND ")}`,
+    values,
+    params
+  };
+}
+
+
+// The largest magnitude of an INTEGER column.
+const MAX_INTEGER = 2147483647;
+
+// Converts a query string value to the filter's type. Each returns undefined
+//  when the value is not valid for the type.
+const TYPES = {
+  string: {
+    description: "text",
+    parse: (value) => {
+      const text = String(value).trim();
+      return (text.length > 0) ? text : undefined;
+    }
+  },
+  integer: {
+    description: "an integer",
+    // an INTEGER column cannot hold a larger value, the db would fail the query.
+    parse: (value) => ((/^-?[0-9]+$/.test(String(value).trim())) &&
+      (Math.abs(+value) <= MAX_INTEGER)) ? +value : undefined
+  },
+  number: {
+    description: "a number",
+    parse: (value) => {
+      const text = String(value).trim();
+      return ((text !== "") && Number.isFinite(+text)) ? +text : undefined;
+    }
+  },
+  date: {
+    description: "a date, YYYY-MM-DD",
+    parse: (value) => {
+      const text = String(value).trim();
+      return ((/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(text)) &&
+        (!isNaN(Date.parse(text)))) ? text : undefined;
+    }
+  },
+  boolean: {
+    description: "true or false",
+    // the query string has "true" / "false" as a string, check the first character.
+    parse: (value) => {
+      if (typeof value === "boolean") return value;
+      const first = String(value).trim().charAt(0).toLowerCase();
+      if (first === "t") return true;
+      if (first === "f") return false;
+      return undefined;
+    }
+  }
+};
+
+// Date parameters are passed to the db as the 'YYYY-MM-DD' string and cast there.
+function cast(filter, isArray = false) {
+  if (filter.type !== "date") return "";
+  return (isArray) ? "::date[]" : "::date";
+}
+
+// The text search configuration for full-text search, see sqlForSearch.
+const TEXT_SEARCH_CONFIG = "english";
+
+// The search text is in web search form: words, "quoted phrases", OR, and -word.
+function tsQuery(param) {
+  return `websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', ${param})`;
+}
+
+// The trigram word similarity, 0 - 1, the text of a fuzzy search (op "similar")
+//  must reach. pg_trgm's default, 0.6, misses a one word search with a typo,
+//  'galager' for 'Bauer-Gallagher' is 0.5.
+const SIMILARITY_THRESHOLD = 0.4;
+
+// How each operator builds its condition. multiple is true for the operators
+//  that take a comma separated list of values, boolean is true for the operators
+//  whose value is true / false whatever the type of the column.
+const OPERATORS = {
+  eq: { sql: (f, value, param) => `${f.dbName} = ${param(value)}${cast(f)}` },
+  gt: { sql: (f, value, param) => `${f.dbName} > ${param(value)}${cast(f)}` },
+  gte: { sql: (f, value, param) => `${f.dbName} >= ${param(value)}${cast(f)}` },
+  lt: { sql: (f, value, param) => `${f.dbName} < ${param(value)}${cast(f)}` },
+  lte: { sql: (f, value, param) => `${f.dbName} <= ${param(value)}${cast(f)}` },
+  ilike: { sql: (f, value, param) => `${f.dbName} ILIKE ${param(`%${value}%`)}` },
+  search: { sql: (f, value, param) => `${f.dbName} @@ ${tsQuery(param(value))}` },
+  similar: {
+    sql: (f, value, param) =>
+      `${sqlForSimilarity(param(value), f.dbName)} >= ${SIMILARITY_THRESHOLD}`
+  },
+  in: {
+    multiple: true,
+    sql: (f, value, param) => `${f.dbName} = ANY(${param(value)}${cast(f, true)})`
+  },
+  between: {
+    multiple: true,
+    sql: (f, value, param) =>
+      `${f.dbName} BETWEEN ${param(value[0])}${cast(f)} AND ${param(value[1])}${cast(f)}`
+  },
+  isNull: {
+    boolean: true,
+    sql: (f, value) => `${f.dbName} ${(value) ? "IS NULL" : "IS NOT NULL"}`
+  },
+  boolean: {
+    boolean: true,
+    sql: (f, value, param) => (f.sql) ? f.sql[value] : `${f.dbName} = ${param(value)}`
+  }
+};
+
+
+/** Converts the value for one filter. Returns { value } or { error }. */
+
+function parseFilterValue(field, filter, rawValue) {
+  const operator = OPERATORS[filter.op];
+  const type = (operator.boolean) ? TYPES.boolean : TYPES[filter.type];
+  const invalid = (message) => ({ error: { field, code: "invalidValue", message } });
+
+  // a list can be comma separated, 'c1,c2', or the same key repeated, 'handle=c1&handle=c2'.
+  const rawValues = (operator.multiple)
+    ? [].concat(rawValue).flatMap(value => String(value).split(","))
+    : [rawValue];
+
+  if (Array.isArray(rawValue) && !operator.multiple) {
+    return invalid(`Filter '${field}' must be a single value.`);
+  }
+
+  const values = rawValues.map(value => type.parse(value));
+  if (values.includes(undefined)) {
+    return invalid(`Filter '${field}' must be ${type.description}, not '${rawValue}'.`);
   }
 
+  if (filter.op === "between") {
+    if (values.length !== 2) {
+      return invalid(`Filter '${field}' must be two values, 'low,high', not '${rawValue}'.`);
+    }
+    if (values[1] < values[0]) {
+      return invalid(`Filter '${field}' must be 'low,high', not '${rawValue}'.`);
+    }
+  }
+
+  return { value: (operator.multiple) ? values : values[0] };
+}
+
+
+/**
+ * sqlForSearch builds the SELECT expressions for a full-text search filter
+ *  (op "search") that is in use.
+ * param, string, the $-parameter of the search text, from the params returned
+ *  by sqlForFilter.
+ * document, string, the tsvector expression searched. It is the same expression
+ *  as the filter's dbName so the GIN index on it is used.
+ * text, string, the text expression the highlighted snippet is taken from.
+ * Function returns {
+ *    rank, string, the relevance of the row, higher is more relevant. It is 
+ *      float8 so the value survives a round trip through a page cursor.
+ *    snippet, string, the parts of text that match with the matched words 
+ *      wrapped in <mark></mark>.
+ *  }
+ *
+ * @param {*} param 
+ * @param {*} document 
+ * @param {*} text 
+ * @returns {rank, snippet}
+ */
+
+function sqlForSearch(param, document, text) {
+  const query = tsQuery(param);
+  return {
+    rank: `ts_rank(${document}, ${query})::float8`,
+    snippet: `ts_headline('${TEXT_SEARCH_CONFIG}', ${text}, ${query}, 
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5')`
+  };
+}
+
+
+/**
+ * sqlForSimilarity builds the expression for how closely the text in param 
+ *  matches a word or words in dbName, 0 - 1, using pg_trgm trigrams. It is
+ *  float8 so the value survives a round trip through a page cursor.
+ * param, string, a $-parameter, from the params returned by sqlForFilter for a
+ *  fuzzy filter (op "similar").
+ * dbName, string, the column searched.
+ *
+ * @param {*} param 
+ * @param {*} dbName 
+ * @returns string
+ */
+
+function sqlForSimilarity(param, dbName) {
+  return `word_similarity(${param}, ${dbName})::float8`;
 }
 
-// companies:
-// name: filter by company name: if the string “net” is passed in, this should find 
-// any company who name contains the word “net”, case-insensitive (so “Study Networks” 
-//   should be included).
-// minEmployees: filter to companies that have at least that number of employees.
-// maxEmployees: filter to companies that have no more than that number of employees.
-//   If the minEmployees parameter is greater than the maxEmployees parameter, 
-//   respond with a 400 error with an appropriate message.
 
-// jobs:
-// title: filter by job title. Like before, this should be a case-insensitive, 
-//   matches-any-part-of-string search.
-// minSalary: filter to jobs with at least that salary.
-// hasEquity: if true, filter to jobs that provide a non-zero amount of equity. 
-//   If false or not included in the filtering, list all jobs regardless of equity.
+/** Returns the LIKE pattern that matches text at the start of a value, 
+ *  'ab%' for 'Ab'. % and _ in text are matched as themselves. The pattern is
+ *  lowercase to match against lower(column), which the prefix indexes use.
+ **/
+
+function likePrefix(text) {
+  return `${text.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`;
+}
 
 
 module.exports = {
-  sqlForFilter
+  SIMILARITY_THRESHOLD
+  , likePrefix
+  , sqlForFilter
   , sqlForPartialUpdate
+  , sqlForSearch
+  , sqlForSimilarity
 };
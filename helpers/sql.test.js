@@ -1,4 +1,40 @@
-const { sqlForFilter, sqlForPartialUpdate } = require("./sql");
+const { FilterError } = require("../expressError");
+const { likePrefix, sqlForFilter, sqlForPartialUpdate, sqlForSearch } = require("./sql");
+
+// filter declarations in the same form the models use.
+const companyFilters = {
+  resource: "companies",
+  fields: {
+    nameLike: { dbName: "name", type: "string", op: "ilike" },
+    minEmployees: { dbName: "num_employees", type: "integer", op: "gte" },
+    maxEmployees: { dbName: "num_employees", type: "integer", op: "lte" }
+  },
+  ranges: [["minEmployees", "maxEmployees"]]
+};
+
+const jobFilters = {
+  resource: "jobs",
+  fields: {
+    title: { dbName: "title", type: "string", op: "ilike" },
+    minSalary: { dbName: "salary", type: "integer", op: "gte" },
+    hasEquity: {
+      dbName: "equity",
+      op: "boolean",
+      sql: { true: "equity > 0", false: "((equity >= 0) OR (equity IS NULL))" }
+    }
+  }
+};
+
+const applicationFilters = {
+  resource: "applications",
+  fields: {
+    jobId: { dbName: "a.job_id", type: "integer", op: "eq" },
+    handle: { dbName: "j.company_handle", type: "string", op: "eq" },
+    state: { dbName: "a.state", type: "string", op: "in" },
+    appliedAfter: { dbName: "s.entered_at", type: "date", op: "gte" },
+    appliedBefore: { dbName: "s.entered_at", type: "date", op: "lt" }
+  }
+};
 
 describe("sqlForPartialUpdate", function () {
   test("dataToUpdate fields match db table, no jsToSql required", function () {
@@ -58,7 +94,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { nameLike: "txt in name", minEmployees: "20", maxEmployees: "200" };
     const whereClause = 'WHERE name ILIKE $1 AND num_employees >= $2 AND num_employees <= $3'
     const values = ["%txt in name%", 20, 200]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -67,7 +103,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { nameLike: "txt in name", minEmployees: "20", maxEmployees: "200" };
     const whereClause = 'WHERE name ILIKE $1 AND num_employees >= $2 AND num_employees <= $3'
     const values = ["%txt in name%", 20, 200]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -76,7 +112,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { nameLike: "     txt in name     ", minEmployees: "20" };
     const whereClause = 'WHERE name ILIKE $1 AND num_employees >= $2'
     const values = ["%txt in name%", 20]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -85,7 +121,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { nameLike: "txt in name" };
     const whereClause = 'WHERE name ILIKE $1'
     const values = ["%txt in name%"]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -94,7 +130,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { minEmployees: "20" };
     const whereClause = 'WHERE num_employees >= $1'
     const values = [20]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -103,21 +139,21 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { maxEmployees: "300" };
     const whereClause = 'WHERE num_employees <= $1'
     const values = [300]
-    const result = sqlForFilter(dataForFilter, "companies");
+    const result = sqlForFilter(dataForFilter, companyFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
 
   // this test may need to change depending on how it is integrated in the SELECT
   test("companies filter builder no data, returns ''", function () {
-    const result = sqlForFilter({}, "companies");
+    const result = sqlForFilter({}, companyFilters);
     expect(result.whereClause).toEqual("");
     expect(result.values).toEqual([]);
   });
 
   // this test may need to change depending on how it is integrated in the SELECT
   test("companies filter builder undefined data, returns ''", function () {
-    const result = sqlForFilter(undefined, "companies");
+    const result = sqlForFilter(undefined, companyFilters);
     expect(result.whereClause).toEqual("");
     expect(result.values).toEqual([]);
   });
@@ -125,7 +161,7 @@ describe("sqlForFilter - companies", function () {
   test("companies filter builder max < min, error: field max is not >= min", function () {
     const dataForFilter = { nameLike: "txt in name", minEmployees: "20", maxEmployees: "10" };
     function sqlForFilterBadMinMax() {
-      sqlForFilter(dataForFilter, "companies");
+      sqlForFilter(dataForFilter, companyFilters);
     }
     expect(sqlForFilterBadMinMax).toThrowError(new Error(
       `Filter is incorrect: 'minEmployees', ${dataForFilter["minEmployees"]}, is NOT less than 'maxEmployees', ${dataForFilter["maxEmployees"]}.`)
@@ -135,7 +171,7 @@ describe("sqlForFilter - companies", function () {
   test("companies filter builder max = min, error: field max is not >= min", function () {
     const dataForFilter = { nameLike: "txt in name", minEmployees: "20", maxEmployees: "20" };
     function sqlForFilterBadMinMax() {
-      sqlForFilter(dataForFilter, "companies");
+      sqlForFilter(dataForFilter, companyFilters);
     }
     expect(sqlForFilterBadMinMax).toThrowError(new Error(
       `Filter is incorrect: 'minEmployees', ${dataForFilter["minEmployees"]}, is NOT less than 'maxEmployees', ${dataForFilter["maxEmployees"]}.`)
@@ -146,7 +182,7 @@ describe("sqlForFilter - companies", function () {
     const dataForFilter = { invalidField: "txt in name", minEmployees: "20", maxEmployees: "200" };
     const tableName = "companies";
     function sqlForFilterBadMinMax() {
-      sqlForFilter(dataForFilter, tableName);
+      sqlForFilter(dataForFilter, companyFilters);
     }
     expect(sqlForFilterBadMinMax).toThrowError(new Error(
       `Filtering '${tableName}' by 'invalidField' is not possible.`)
@@ -166,7 +202,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { title: "job title", minSalary: "100000" };
     const whereClause = 'WHERE title ILIKE $1 AND salary >= $2'
     const values = ["%job title%", 100000]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -175,7 +211,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { minSalary: "100000", title: "job title" };
     const whereClause = 'WHERE salary >= $1 AND title ILIKE $2'
     const values = [100000, "%job title%"]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -184,7 +220,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { title: "job title", hasEquity: "true", minSalary: "100000" };
     const whereClause = 'WHERE title ILIKE $1 AND equity > 0 AND salary >= $2'
     const values = ["%job title%", 100000]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -193,7 +229,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { hasEquity: "true", minSalary: "100000", title: "job title" };
     const whereClause = 'WHERE equity > 0 AND salary >= $1 AND title ILIKE $2'
     const values = [100000, "%job title%"]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -202,7 +238,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { hasEquity: "false", minSalary: "100000", title: "job title" };
     const whereClause = 'WHERE ((equity >= 0) OR (equity IS NULL)) AND salary >= $1 AND title ILIKE $2'
     const values = [100000, "%job title%"]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -211,7 +247,7 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { minSalary: "100000", hasEquity: "false", title: "job title" };
     const whereClause = 'WHERE salary >= $1 AND ((equity >= 0) OR (equity IS NULL)) AND title ILIKE $2'
     const values = [100000, "%job title%"]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
@@ -220,9 +256,184 @@ describe("sqlForFilter - jobs", function () {
     const dataForFilter = { minSalary: "100000", title: "job title", hasEquity: "false" };
     const whereClause = 'WHERE salary >= $1 AND title ILIKE $2 AND ((equity >= 0) OR (equity IS NULL))'
     const values = [100000, "%job title%"]
-    const result = sqlForFilter(dataForFilter, "jobs");
+    const result = sqlForFilter(dataForFilter, jobFilters);
     expect(result.whereClause).toEqual(whereClause);
     expect(result.values).toEqual(values);
   });
 
 });
+
+
+describe("sqlForFilter - applications", function () {
+
+  test("applications filter builder, job id and state no errors", function () {
+    const dataForFilter = { jobId: "7", state: "applied" };
+    const whereClause = 'WHERE a.job_id = $1 AND a.state = ANY($2)'
+    const values = [7, ["applied"]]
+    const result = sqlForFilter(dataForFilter, applicationFilters);
+    expect(result.whereClause).toEqual(whereClause);
+    expect(result.values).toEqual(values);
+  });
+
+  test("applications filter builder, dates are cast in the db no errors", function () {
+    const dataForFilter = { handle: "c1", appliedAfter: "2021-01-01", appliedBefore: "2021-02-01" };
+    const whereClause = 'WHERE j.company_handle = $1 AND s.entered_at >= $2::date AND s.entered_at < $3::date'
+    const values = ["c1", "2021-01-01", "2021-02-01"]
+    const result = sqlForFilter(dataForFilter, applicationFilters);
+    expect(result.whereClause).toEqual(whereClause);
+    expect(result.values).toEqual(values);
+  });
+
+  test("applications filter builder, list of states no errors", function () {
+    const dataForFilter = { state: "applied,screening" };
+    const result = sqlForFilter(dataForFilter, applicationFilters);
+    expect(result.whereClause).toEqual('WHERE a.state = ANY($1)');
+    expect(result.values).toEqual([["applied", "screening"]]);
+  });
+
+});
+
+
+describe("sqlForFilter - operators", function () {
+
+  const filters = {
+    resource: "things",
+    fields: {
+      name: { dbName: "name", type: "string", op: "eq" },
+      ids: { dbName: "id", type: "integer", op: "in" },
+      days: { dbName: "day", type: "date", op: "in" },
+      size: { dbName: "size", type: "number", op: "between" },
+      after: { dbName: "day", type: "date", op: "gt" },
+      noSize: { dbName: "size", op: "isNull" },
+      active: { dbName: "active", type: "boolean", op: "boolean" }
+    }
+  };
+
+  test("eq trims the value", function () {
+    const result = sqlForFilter({ name: "  n1  " }, filters);
+    expect(result.whereClause).toEqual("WHERE name = $1");
+    expect(result.values).toEqual(["n1"]);
+  });
+
+  test("in, comma separated and repeated keys", function () {
+    const result = sqlForFilter({ ids: ["1,2", "3"] }, filters);
+    expect(result.whereClause).toEqual("WHERE id = ANY($1)");
+    expect(result.values).toEqual([[1, 2, 3]]);
+  });
+
+  test("in, dates are cast as an array", function () {
+    const result = sqlForFilter({ days: "2021-01-01,2021-01-02" }, filters);
+    expect(result.whereClause).toEqual("WHERE day = ANY($1::date[])");
+    expect(result.values).toEqual([["2021-01-01", "2021-01-02"]]);
+  });
+
+  test("between", function () {
+    const result = sqlForFilter({ size: "0.5,10" }, filters);
+    expect(result.whereClause).toEqual("WHERE size BETWEEN $1 AND $2");
+    expect(result.values).toEqual([0.5, 10]);
+  });
+
+  test("gt date", function () {
+    const result = sqlForFilter({ after: "2021-01-01" }, filters);
+    expect(result.whereClause).toEqual("WHERE day > $1::date");
+    expect(result.values).toEqual(["2021-01-01"]);
+  });
+
+  test("isNull true and false", function () {
+    expect(sqlForFilter({ noSize: "true" }, filters)).toEqual(
+      { whereClause: "WHERE size IS NULL", values: [], params: {} });
+    expect(sqlForFilter({ noSize: "false" }, filters)).toEqual(
+      { whereClause: "WHERE size IS NOT NULL", values: [], params: {} });
+  });
+
+  test("boolean is a parameter", function () {
+    const result = sqlForFilter({ active: "F", name: "n1" }, filters);
+    expect(result.whereClause).toEqual("WHERE active = $1 AND name = $2");
+    expect(result.values).toEqual([false, "n1"]);
+  });
+
+  test("search, the parameter is returned for the ranking", function () {
+    const searchFilters = {
+      resource: "things",
+      fields: {
+        name: { dbName: "name", type: "string", op: "eq" },
+        q: { dbName: "to_tsvector('english', name)", type: "string", op: "search" }
+      }
+    };
+    const result = sqlForFilter({ name: "n1", q: "big tools" }, searchFilters);
+    expect(result.whereClause).toEqual(
+      "WHERE name = $1 AND to_tsvector('english', name) @@ websearch_to_tsquery('english', $2)");
+    expect(result.values).toEqual(["n1", "big tools"]);
+    expect(result.params).toEqual({ name: "$1", q: "$2" });
+  });
+
+  test("similar", function () {
+    const fuzzyFilters = {
+      resource: "things",
+      fields: { fuzzy: { dbName: "name", type: "string", op: "similar" } }
+    };
+    const result = sqlForFilter({ fuzzy: "nmae" }, fuzzyFilters);
+    expect(result.whereClause).toEqual("WHERE word_similarity($1, name)::float8 >= 0.4");
+    expect(result.params).toEqual({ fuzzy: "$1" });
+  });
+
+  test("error: every problem is listed", function () {
+    try {
+      sqlForFilter({ ids: "1,x", size: "10,1", active: "maybe", color: "red" }, filters);
+      fail();
+    } catch (err) {
+      expect(err instanceof FilterError).toBeTruthy();
+      expect(err.status).toEqual(400);
+      expect(err.errors).toEqual([
+        { field: "ids", code: "invalidValue", message: "Filter 'ids' must be an integer, not '1,x'." },
+        { field: "size", code: "invalidValue", message: "Filter 'size' must be 'low,high', not '10,1'." },
+        { field: "active", code: "invalidValue", message: "Filter 'active' must be true or false, not 'maybe'." },
+        { field: "color", code: "unknownFilter", message: "Filtering 'things' by 'color' is not possible." }
+      ]);
+      expect(err.message).toEqual(err.errors.map(e => e.message).join(" "));
+    }
+  });
+
+  test("error: integer larger than an INTEGER column holds", function () {
+    function sqlForFilterTooLarge() {
+      sqlForFilter({ ids: "1,2147483648" }, filters);
+    }
+    expect(sqlForFilterTooLarge).toThrowError(new Error(
+      "Filter 'ids' must be an integer, not '1,2147483648'."));
+  });
+
+  test("error: between needs two values", function () {
+    function sqlForFilterBadBetween() {
+      sqlForFilter({ size: "1" }, filters);
+    }
+    expect(sqlForFilterBadBetween).toThrowError(new Error(
+      "Filter 'size' must be two values, 'low,high', not '1'."));
+  });
+
+  test("error: repeated key for a single value filter", function () {
+    function sqlForFilterRepeated() {
+      sqlForFilter({ name: ["n1", "n2"] }, filters);
+    }
+    expect(sqlForFilterRepeated).toThrowError(new Error("Filter 'name' must be a single value."));
+  });
+
+});
+
+
+describe("sqlForSearch", function () {
+  test("rank and snippet use the search parameter", function () {
+    const search = sqlForSearch("$3", "to_tsvector('english', title)", "title");
+    expect(search.rank).toEqual(
+      "ts_rank(to_tsvector('english', title), websearch_to_tsquery('english', $3))::float8");
+    expect(search.snippet).toMatch(
+      /^ts_headline\('english', title, websearch_to_tsquery\('english', \$3\)/);
+  });
+});
+
+
+describe("likePrefix", function () {
+  test("lowercase with the wildcards escaped", function () {
+    expect(likePrefix("Ab")).toEqual("ab%");
+    expect(likePrefix("5%_\\")).toEqual("5\\%\\_\\\\%");
+  });
+});
@@ -1,7 +1,20 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL, TWO_FACTOR_TTL } = require("../config");
+const { rolesFor } = require("./permissions");
 
-/** return signed JWT from user data. */
+// two-factor tokens are signed with their own key so they can not be used as
+//  access tokens.
+const TWO_FACTOR_KEY = `${SECRET_KEY}:two-factor`;
+
+// API keys start with this, which tells them apart from access tokens when
+//  they are sent as a bearer token, see authenticateJWT.
+const API_KEY_PREFIX = "jobly_";
+
+/** return signed JWT from user data. It expires after ACCESS_TOKEN_TTL
+ *  seconds, the refresh token gets a new one. jti identifies the token so it
+ *  can be revoked and ver is the user's tokenVersion, see authenticateJWT.
+ *  roles are the user's roles, see helpers/permissions.js. */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +23,69 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: rolesFor({ isAdmin: user.isAdmin, roles: user.roles }),
+    ver: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/** return signed JWT for a user who logged in with their password and has
+ *  two-factor authentication on. It is sent back with the code to
+ *  POST /auth/token/two-factor, before it expires after TWO_FACTOR_TTL
+ *  seconds. */
+
+function createTwoFactorToken(user) {
+  const payload = {
+    username: user.username,
+    isAdmin: user.isAdmin || false,
+    roles: rolesFor({ isAdmin: user.isAdmin, roles: user.roles }),
+    ver: user.tokenVersion || 0,
+  };
+
+  return jwt.sign(payload, TWO_FACTOR_KEY, { expiresIn: TWO_FACTOR_TTL });
+}
+
+/** return the user { username, isAdmin, roles, tokenVersion } from a
+ *  two-factor token, or undefined when it is not valid or has expired. */
+
+function verifyTwoFactorToken(token) {
+  try {
+    const { username, isAdmin, roles, ver } = jwt.verify(token, TWO_FACTOR_KEY);
+    return { username, isAdmin, roles, tokenVersion: ver };
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/** return a random token that is hard to guess, for tokens kept in the db. */
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return a new API key, a random token after API_KEY_PREFIX. */
+
+function randomApiKey() {
+  return API_KEY_PREFIX + randomToken();
+}
+
+/** return the hash of a random token. The db has the hash, not the token, so
+ *  the tokens in a copy of the db cannot be used. */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = {
+  API_KEY_PREFIX,
+  createToken,
+  createTwoFactorToken,
+  hashToken,
+  randomApiKey,
+  randomToken,
+  verifyTwoFactorToken,
+};
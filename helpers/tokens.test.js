@@ -1,6 +1,12 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const {
+  createToken,
+  createTwoFactorToken,
+  hashToken,
+  randomToken,
+  verifyTwoFactorToken
+} = require("./tokens");
+const { SECRET_KEY, ACCESS_TOKEN_TTL } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
@@ -8,8 +14,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      roles: ["candidate"],
+      ver: 0,
     });
   });
 
@@ -18,8 +28,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      roles: ["admin", "candidate"],
+      ver: 0,
     });
   });
 
@@ -29,8 +43,72 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      roles: ["candidate"],
+      ver: 0,
     });
   });
 });
+
+describe("createToken roles", function () {
+  test("the token has the user's roles", function () {
+    const token = createToken({ username: "test", isAdmin: true, roles: ["recruiter"] });
+    expect(jwt.verify(token, SECRET_KEY).roles).toEqual(["admin", "recruiter"]);
+  });
+});
+
+describe("createToken jti / ver", function () {
+  test("every token has its own jti", function () {
+    const first = jwt.verify(createToken({ username: "test", isAdmin: false }), SECRET_KEY);
+    const second = jwt.verify(createToken({ username: "test", isAdmin: false }), SECRET_KEY);
+    expect(first.jti).not.toEqual(second.jti);
+  });
+
+  test("ver is the user's tokenVersion", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    expect(jwt.verify(token, SECRET_KEY).ver).toEqual(3);
+  });
+});
+
+describe("createToken expiry", function () {
+  test("expires after ACCESS_TOKEN_TTL", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL);
+  });
+
+  test("expired token does not verify", function () {
+    const token = jwt.sign({ username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 1 }, SECRET_KEY);
+    expect(() => jwt.verify(token, SECRET_KEY)).toThrow("jwt expired");
+  });
+});
+
+describe("randomToken / hashToken", function () {
+  test("tokens are different", function () {
+    expect(randomToken()).not.toEqual(randomToken());
+  });
+
+  test("hash is the same for the same token", function () {
+    const token = randomToken();
+    expect(hashToken(token)).toEqual(hashToken(token));
+    expect(hashToken(token)).not.toEqual(token);
+  });
+});
+
+describe("two-factor tokens", function () {
+  test("works", function () {
+    const token = createTwoFactorToken({ username: "test", isAdmin: true, tokenVersion: 2 });
+    expect(verifyTwoFactorToken(token))
+      .toEqual({ username: "test", isAdmin: true, roles: ["admin", "candidate"], tokenVersion: 2 });
+  });
+
+  test("they are not access tokens, and access tokens are not them", function () {
+    const token = createTwoFactorToken({ username: "test", isAdmin: false });
+    expect(() => jwt.verify(token, SECRET_KEY)).toThrow();
+    expect(verifyTwoFactorToken(createToken({ username: "test", isAdmin: false })))
+      .toBeUndefined();
+  });
+});
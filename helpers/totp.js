@@ -0,0 +1,121 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/** Time-based one-time passwords, RFC 6238, as authenticator apps make them.
+ *
+ * The secret is base32, codes are 6 digits from HMAC-SHA1 of the number of
+ *  30 second steps since 1970 (the counter).
+ */
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP = 30;
+const DIGITS = 6;
+
+/** Returns buffer as base32, with no padding. */
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+/** Returns the bytes of base32 text. Case, spaces and padding are ignored.
+ *  Throws Error for a character that is not base32.
+ */
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, "");
+
+  let bits = "";
+  for (const char of clean) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error(`Not a base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+
+/** Returns a new random secret, 20 bytes as base32. */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+
+/** Returns the counter for time, in milliseconds, default now. */
+
+function counterAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP);
+}
+
+
+/** Returns the code for secret at counter, as a string of digits. */
+
+function codeFor(secret, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+
+  // dynamic truncation, RFC 4226 section 5.3.
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % (10 ** digits)).padStart(digits, "0");
+}
+
+
+/** Check code against secret at time, allowing for window steps of clock
+ *  drift either side.
+ *
+ * Returns the counter the code is for, so it is not used twice, or null when
+ *  the code is wrong.
+ **/
+
+function verifyCode(secret, code, { time = Date.now(), window = 1 } = {}) {
+  const now = counterAt(time);
+  for (let counter = now - window; counter <= now + window; counter++) {
+    const expected = codeFor(secret, counter);
+    if ((code.length === expected.length) &&
+      (crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected)))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+
+/** Returns the otpauth:// URI for an authenticator app, which shows it as
+ *  a QR code, for account's secret.
+ */
+
+function otpauthUri({ secret, account, issuer = "Jobly" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+
+module.exports = {
+  base32Decode
+  , base32Encode
+  , codeFor
+  , counterAt
+  , generateSecret
+  , otpauthUri
+  , verifyCode
+};
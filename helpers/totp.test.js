@@ -0,0 +1,73 @@
+"use strict";
+
+const {
+  base32Decode,
+  base32Encode,
+  codeFor,
+  counterAt,
+  generateSecret,
+  otpauthUri,
+  verifyCode
+} = require("./totp");
+
+// the SHA1 secret from the RFC 6238 test vectors, "12345678901234567890".
+const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+
+
+describe("base32", function () {
+  test("works", function () {
+    expect(base32Encode(Buffer.from("foobar"))).toEqual("MZXW6YTBOI");
+    expect(base32Decode("mzxw 6ytb oi======").toString()).toEqual("foobar");
+  });
+
+  test("error: not base32", function () {
+    expect(() => base32Decode("AB1")).toThrow("Not a base32 character: 1");
+  });
+});
+
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+
+describe("codeFor", function () {
+  test("works: the RFC 6238 test vectors", function () {
+    expect(codeFor(rfcSecret, counterAt(59 * 1000), 8)).toEqual("94287082");
+    expect(codeFor(rfcSecret, counterAt(1111111109 * 1000), 8)).toEqual("07081804");
+    expect(codeFor(rfcSecret, counterAt(2000000000 * 1000), 8)).toEqual("69279037");
+    expect(codeFor(rfcSecret, counterAt(59 * 1000))).toEqual("287082");
+  });
+});
+
+
+describe("verifyCode", function () {
+  const time = 1111111109 * 1000;
+
+  test("works", function () {
+    expect(verifyCode(rfcSecret, "081804", { time })).toEqual(counterAt(time));
+  });
+
+  test("works: one step of clock drift", function () {
+    const code = codeFor(rfcSecret, counterAt(time) - 1);
+    expect(verifyCode(rfcSecret, code, { time })).toEqual(counterAt(time) - 1);
+    expect(verifyCode(rfcSecret, code, { time: time + 60 * 1000 })).toEqual(null);
+  });
+
+  test("wrong code", function () {
+    expect(verifyCode(rfcSecret, "000000", { time })).toEqual(null);
+    expect(verifyCode(rfcSecret, "81804", { time })).toEqual(null);
+  });
+});
+
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri({ secret: "MZXW6YTBOI", account: "u1" })).toEqual(
+      "otpauth://totp/Jobly%3Au1?secret=MZXW6YTBOI&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
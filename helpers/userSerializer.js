@@ -0,0 +1,98 @@
+"use strict";
+
+const { rolesFor } = require("./permissions");
+const CompanyMember = require("../models/companyMember");
+
+/** The fields of a user each viewer can see.
+ *
+ * The routes that return users pass them through serializeUsers, which keeps
+ *  the fields the logged in user can see and takes out the others. A viewer
+ *  sees the fields of every rule that applies to them:
+ *  - self, the user is the viewer.
+ *  - the rule of each of the viewer's roles.
+ *  - applicant, the viewer is a member of a company the user applied to.
+ */
+
+const USER_FIELDS = [
+  "username",
+  "firstName",
+  "lastName",
+  "email",
+  "isAdmin",
+  "emailVerified",
+  "jobs"
+];
+
+const FIELD_RULES = {
+  self: USER_FIELDS,
+  admin: USER_FIELDS,
+  // support helps users with their accounts.
+  support: ["username", "firstName", "lastName", "email", "emailVerified"],
+  applicant: ["username", "firstName", "lastName", "email"],
+  // a recruiter sees more of the users who applied to their companies, see
+  //  applicant.
+  recruiter: ["username"],
+  candidate: ["username"]
+};
+
+
+/** Returns the Set of the user fields viewer, res.locals.user, can see, for a
+ *  user who is the viewer when self is true and who applied to a company the
+ *  viewer recruits for when applicant is true.
+ */
+
+function visibleFields(viewer, { self = false, applicant = false } = {}) {
+  const rules = rolesFor(viewer);
+  if (self) rules.push("self");
+  if (applicant) rules.push("applicant");
+
+  return new Set(rules.flatMap(rule => FIELD_RULES[rule] || []));
+}
+
+
+/** Returns a copy of obj without the user fields that are not in fields. The
+ *  fields that are not user fields, such as an application's, are kept.
+ */
+
+function pick(obj, fields) {
+  return Object.fromEntries(Object.entries(obj).filter(([key]) =>
+    (!USER_FIELDS.includes(key)) || (fields.has(key))));
+}
+
+
+/** Returns users, [{ username, ... }, ...], with only the fields viewer can
+ *  see. An application, which has its user's fields, is serialized the same.
+ */
+
+async function serializeUsers(viewer, users) {
+  const roleFields = visibleFields(viewer);
+
+  // the applicants only need looking up when they show the viewer more.
+  let applicants = new Set();
+  if (!FIELD_RULES.applicant.every(field => roleFields.has(field))) {
+    const usernames = [...new Set(users.map(user => user.username))];
+    applicants = new Set(await CompanyMember.applicantsFor(viewer.username, usernames));
+  }
+
+  return users.map(user => pick(user, visibleFields(viewer, {
+    self: user.username === viewer.username,
+    applicant: applicants.has(user.username)
+  })));
+}
+
+
+/** Returns user with only the fields viewer can see, see serializeUsers. */
+
+async function serializeUser(viewer, user) {
+  const [serialized] = await serializeUsers(viewer, [user]);
+  return serialized;
+}
+
+
+module.exports = {
+  FIELD_RULES
+  , USER_FIELDS
+  , serializeUser
+  , serializeUsers
+  , visibleFields
+};
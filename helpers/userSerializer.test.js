@@ -0,0 +1,94 @@
+"use strict";
+
+const db = require("../db.js");
+const CompanyMember = require("../models/companyMember");
+const { serializeUser, serializeUsers, visibleFields } = require("./userSerializer");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const u1 = {
+  username: "u1",
+  firstName: "U1F",
+  lastName: "U1L",
+  email: "u1@email.com",
+  isAdmin: false,
+  emailVerified: true,
+  jobs: [1]
+};
+
+/** u1 applies for the job 'one', at c1. */
+
+async function u1Applies() {
+  await db.query(
+    `INSERT INTO applications (username, job_id)
+         SELECT 'u1', id FROM jobs WHERE title = 'one'`);
+}
+
+
+describe("visibleFields", function () {
+  test("works", function () {
+    expect([...visibleFields({ username: "s", isAdmin: false, roles: ["support"] })])
+      .toEqual(["username", "firstName", "lastName", "email", "emailVerified"]);
+  });
+
+  test("the fields of every rule that applies", function () {
+    const fields = visibleFields({ username: "c", isAdmin: false }, { applicant: true });
+    expect([...fields]).toEqual(["username", "firstName", "lastName", "email"]);
+  });
+});
+
+
+describe("serializeUser", function () {
+  test("everything for self and admin", async function () {
+    expect(await serializeUser({ username: "u1", isAdmin: false }, u1)).toEqual(u1);
+    expect(await serializeUser({ username: "u2", isAdmin: true }, u1)).toEqual(u1);
+  });
+
+  test("only the username otherwise", async function () {
+    expect(await serializeUser({ username: "u2", isAdmin: false }, u1))
+      .toEqual({ username: "u1" });
+    expect(await serializeUser({ username: "u2", isAdmin: false, roles: ["recruiter"] }, u1))
+      .toEqual({ username: "u1" });
+  });
+
+  test("contact fields for a member of a company the user applied to", async function () {
+    await u1Applies();
+    await CompanyMember.invite("c1", { username: "u2", role: "recruiter" }, "u1");
+    await CompanyMember.accept("c1", "u2");
+    expect(await serializeUser({ username: "u2", isAdmin: false }, u1)).toEqual({
+      username: "u1", firstName: "U1F", lastName: "U1L", email: "u1@email.com"
+    });
+  });
+
+  test("only the username for the recruiter role without a role in the company", async function () {
+    await u1Applies();
+    const viewer = { username: "u2", isAdmin: false, roles: ["recruiter"] };
+    expect(await serializeUser(viewer, u1)).toEqual({ username: "u1" });
+  });
+
+  test("only the username for a member of another company", async function () {
+    await u1Applies();
+    await CompanyMember.invite("c2", { username: "u2", role: "owner" }, "u1");
+    await CompanyMember.accept("c2", "u2");
+    expect(await serializeUser({ username: "u2", isAdmin: false }, u1))
+      .toEqual({ username: "u1" });
+  });
+});
+
+
+describe("serializeUsers", function () {
+  test("the fields that are not a user's are kept", async function () {
+    const application = { username: "u1", email: "u1@email.com", jobId: 1, state: "applied" };
+    expect(await serializeUsers({ username: "u2", isAdmin: false }, [application]))
+      .toEqual([{ username: "u1", jobId: 1, state: "applied" }]);
+  });
+});
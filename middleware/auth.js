@@ -4,27 +4,71 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { ForbiddenError, UnauthorizedError } = require("../expressError");
+const { API_KEY_PREFIX } = require("../helpers/tokens");
+const { hasCompanyPermission, hasPermission } = require("../helpers/permissions");
+const ApiKey = require("../models/apiKey");
+const CompanyMember = require("../models/companyMember");
+const RevokedToken = require("../models/revokedToken");
+const Setting = require("../models/setting");
+const TwoFactor = require("../models/twoFactor");
 
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and not revoked, store the
+ * token payload on res.locals (this will include the username and isAdmin
+ * field.) See models/revokedToken.js for how a token is revoked.
+ *
+ * An API key, in the X-API-Key header or as a bearer token starting with
+ * API_KEY_PREFIX, logs in the same way, see models/apiKey.js. res.locals.user
+ * then has apiKeyId and scopes too. A key without the write scope can only
+ * make GET requests, anything else is Forbidden.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  const token = (authHeader) ? authHeader.replace(/^[Bb]earer /, "").trim() : undefined;
+
+  const apiKey = (req.headers && req.headers["x-api-key"]) ||
+    (((token) && (token.startsWith(API_KEY_PREFIX))) ? token : undefined);
+  if (apiKey) return authenticateApiKey(apiKey, req, res, next);
+
+  if (!token) return next();
+
+  let payload;
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
-    }
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    return next();
+  }
+
+  try {
+    if (await RevokedToken.isValid(payload)) res.locals.user = payload;
     return next();
   } catch (err) {
+    return next(err);
+  }
+}
+
+/** Log in with an API key for authenticateJWT. */
+
+async function authenticateApiKey(apiKey, req, res, next) {
+  try {
+    const user = await ApiKey.authenticate(apiKey);
+    if (!user) return next();
+
+    const scope = (["GET", "HEAD", "OPTIONS"].includes(req.method)) ? "read" : "write";
+    if (!user.scopes.includes(scope)) {
+      throw new ForbiddenError(`The API key does not have the ${scope} scope.`);
+    }
+
+    res.locals.user = user;
     return next();
+  } catch (err) {
+    return next(err);
   }
 }
 
@@ -42,28 +86,114 @@ function ensureLoggedIn(req, res, next) {
   }
 }
 
-/** Middleware to use when they must be logged in.
+/** Middleware to use when they must be logged in as an admin.
  *
- * If not, raises Unauthorized.
+ * If not, raises Unauthorized. When the requireAdminTwoFactor setting is on
+ * and the admin does not have two-factor authentication on, raises Forbidden.
  */
 
-function ensureAdmin(req, res, next) {
+async function ensureAdmin(req, res, next) {
   try {
     // Check for not logged in
     if (!res.locals.user) throw new UnauthorizedError();
 
     // Check whether logged in user is an admin
     if (!res.locals.user.isAdmin) throw new UnauthorizedError();
+
+    await checkAdminTwoFactor(res.locals.user);
     return next();
   } catch (err) {
     return next(err);
   }
 }
 
+/** Throws ForbiddenError for an admin without two-factor authentication when
+ *  the requireAdminTwoFactor setting is on.
+ */
+
+async function checkAdminTwoFactor(user) {
+  if ((user.isAdmin) &&
+    (await Setting.get("requireAdminTwoFactor")) &&
+    (!await TwoFactor.isEnabled(user.username))) {
+    throw new ForbiddenError("Admins must turn on two-factor authentication.");
+  }
+}
+
+/** Returns middleware to use when they must have permission, see
+ *  helpers/permissions.js.
+ *
+ * If not, raises Unauthorized. An admin is checked as ensureAdmin does.
+ */
+
+function ensurePermission(permission) {
+  return async function (req, res, next) {
+    try {
+      if (!res.locals.user) throw new UnauthorizedError();
+      if (!hasPermission(res.locals.user, permission)) throw new UnauthorizedError();
+
+      await checkAdminTwoFactor(res.locals.user);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Returns middleware to use when they must have permission for a company,
+ *  from their roles or from their role in the company. company(req) returns
+ *  the company's handle, it can be async. The default is the route's :handle.
+ *
+ * If not, raises Unauthorized. An admin is checked as ensureAdmin does.
+ */
+
+function ensureCompanyPermission(permission, company = req => req.params.handle) {
+  return ensurePolicy({ permission, company });
+}
+
+/** Returns middleware for a rule from a route's policy, { self, permission,
+ *  company, apiKey }:
+ *  - self: true lets in the user in the route's :username.
+ *  - permission lets in anyone with it, as ensurePermission does.
+ *  - company(req), the company's handle, also lets in the members of the
+ *    company whose role there has permission, as ensureCompanyPermission does.
+ *  - apiKey: false keeps out users logged in with an API key.
+ *
+ * If the user is not let in, raises Unauthorized.
+ */
+
+function ensurePolicy({ self = false, permission, company, apiKey = true }) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if ((!apiKey) && (user.apiKeyId)) throw new UnauthorizedError();
+
+      if ((self) && (user.username === req.params.username)) return next();
+      if (!permission) throw new UnauthorizedError();
+
+      if (hasPermission(user, permission)) {
+        await checkAdminTwoFactor(user);
+        return next();
+      }
+
+      if (company) {
+        const role = await CompanyMember.roleFor(await company(req), user.username);
+        if (hasCompanyPermission(role, permission)) return next();
+      }
+
+      throw new UnauthorizedError();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
 
 
 module.exports = {
   authenticateJWT,
   ensureAdmin,
-  ensureLoggedIn
+  ensureCompanyPermission,
+  ensureLoggedIn,
+  ensurePermission,
+  ensurePolicy
 };
@@ -1,20 +1,45 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db.js");
+const { ForbiddenError, UnauthorizedError } = require("../expressError");
 const {
   authenticateJWT,
+  ensureAdmin,
+  ensureCompanyPermission,
   ensureLoggedIn,
+  ensurePermission,
+  ensurePolicy,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const { createToken } = require("../helpers/tokens");
+const ApiKey = require("../models/apiKey");
+const CompanyMember = require("../models/companyMember");
+const RevokedToken = require("../models/revokedToken");
+const Setting = require("../models/setting");
+const User = require("../models/user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const testJwt = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+  { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 1 }, SECRET_KEY);
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -23,37 +48,135 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        username: "u1",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
+
+  /** Runs authenticateJWT with token, returns res.locals. */
+  async function localsFor(token) {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, function (err) {
+      expect(err).toBeFalsy();
+    });
+    return res.locals;
+  }
+
+  test("works: revoked token", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    const payload = jwt.decode(token);
+    expect((await localsFor(token)).user.jti).toEqual(payload.jti);
+
+    await RevokedToken.revoke(payload);
+    expect(await localsFor(token)).toEqual({});
+  });
+
+  test("works: revoking one token leaves the others", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    await RevokedToken.revoke(jwt.decode(createToken({ username: "u1", isAdmin: false })));
+    expect((await localsFor(token)).user.username).toEqual("u1");
+  });
+
+  test("works: token from before the user's tokens were revoked", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    await User.revokeTokens("u1");
+    expect(await localsFor(token)).toEqual({});
+
+    const newToken = createToken({ username: "u1", isAdmin: false, tokenVersion: 1 });
+    expect((await localsFor(newToken)).user.username).toEqual("u1");
+  });
+
+  test("works: user was removed", async function () {
+    const token = createToken({ username: "u1", isAdmin: false });
+    await User.remove("u1");
+    expect(await localsFor(token)).toEqual({});
+  });
+});
+
+
+describe("authenticateJWT with an API key", function () {
+  // the error passed to next and res.locals for a request with headers.
+  async function authenticate(headers, method = "GET") {
+    const res = { locals: {} };
+    let error;
+    await authenticateJWT({ headers, method }, res, err => { error = err; });
+    return { error, locals: res.locals };
+  }
+
+  test("works: X-API-Key header", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats", scopes: ["read"] });
+    expect(await authenticate({ "x-api-key": key })).toEqual({
+      error: undefined,
+      locals: {
+        user: {
+          username: "u1",
+          isAdmin: false,
+          roles: ["candidate"],
+          apiKeyId: apiKey.id,
+          scopes: ["read"]
+        }
+      }
+    });
+  });
+
+  test("works: bearer token", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats", scopes: ["read", "write"] });
+    const { error, locals } = await authenticate({ authorization: `Bearer ${key}` }, "POST");
+    expect(error).toBeUndefined();
+    expect(locals.user.username).toEqual("u1");
+  });
+
+  test("forbidden without the scope for the method", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats", scopes: ["read"] });
+    const { error, locals } = await authenticate({ "x-api-key": key }, "DELETE");
+    expect(error instanceof ForbiddenError).toBeTruthy();
+    expect(error.message).toEqual("The API key does not have the write scope.");
+    expect(locals).toEqual({});
+  });
+
+  test("works: unknown key", async function () {
+    expect(await authenticate({ "x-api-key": "jobly_nope" }))
+      .toEqual({ error: undefined, locals: {} });
+  });
 });
 
 
@@ -78,3 +201,150 @@ describe("ensureLoggedIn", function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+
+describe("ensureAdmin", function () {
+  // the error ensureAdmin passes to next, undefined for none.
+  async function errorFor(user) {
+    let error;
+    await ensureAdmin({}, { locals: { user } }, err => { error = err; });
+    return error;
+  }
+
+  test("works", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: true })).toBeUndefined();
+  });
+
+  test("unauth if not admin", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: false }) instanceof UnauthorizedError)
+      .toBeTruthy();
+  });
+
+  test("unauth if no login", async function () {
+    expect(await errorFor(undefined) instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("forbidden without two-factor when it is required", async function () {
+    await Setting.update({ requireAdminTwoFactor: true });
+    expect(await errorFor({ username: "u1", isAdmin: true }) instanceof ForbiddenError)
+      .toBeTruthy();
+
+    await db.query("UPDATE users SET totp_enabled_at = now() WHERE username = 'u1'");
+    expect(await errorFor({ username: "u1", isAdmin: true })).toBeUndefined();
+  });
+});
+
+
+describe("ensurePermission", function () {
+  async function errorFor(user) {
+    let error;
+    await ensurePermission("users:unlock")({}, { locals: { user } }, err => { error = err; });
+    return error;
+  }
+
+  test("works", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: false, roles: ["support"] }))
+      .toBeUndefined();
+    expect(await errorFor({ username: "u1", isAdmin: true })).toBeUndefined();
+  });
+
+  test("unauth without the permission", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: false, roles: ["recruiter"] })
+      instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("unauth if no login", async function () {
+    expect(await errorFor(undefined) instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("forbidden for an admin without two-factor when it is required", async function () {
+    await Setting.update({ requireAdminTwoFactor: true });
+    expect(await errorFor({ username: "u1", isAdmin: true }) instanceof ForbiddenError)
+      .toBeTruthy();
+    expect(await errorFor({ username: "u1", isAdmin: false, roles: ["support"] }))
+      .toBeUndefined();
+  });
+});
+
+
+describe("ensurePolicy", function () {
+  async function errorFor(policy, user, username = "u1") {
+    let error;
+    await ensurePolicy(policy)({ params: { username } }, { locals: { user } }, err => { error = err; });
+    return error;
+  }
+
+  const policy = { self: true, permission: "users:read" };
+
+  test("works: self", async function () {
+    expect(await errorFor(policy, { username: "u1", isAdmin: false })).toBeUndefined();
+  });
+
+  test("works: permission", async function () {
+    expect(await errorFor(policy, { username: "u2", isAdmin: false, roles: ["support"] }))
+      .toBeUndefined();
+  });
+
+  test("unauth for another user without the permission", async function () {
+    expect(await errorFor(policy, { username: "u2", isAdmin: false })
+      instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("unauth for self when self is not in the policy", async function () {
+    expect(await errorFor({ permission: "users:read" }, { username: "u1", isAdmin: false })
+      instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("unauth with an API key when apiKey is false", async function () {
+    const user = { username: "u1", isAdmin: true, apiKeyId: 1, scopes: ["admin"] };
+    expect(await errorFor({ ...policy, apiKey: false }, user) instanceof UnauthorizedError)
+      .toBeTruthy();
+    expect(await errorFor(policy, user)).toBeUndefined();
+  });
+
+  test("unauth if no login", async function () {
+    expect(await errorFor(policy, undefined) instanceof UnauthorizedError).toBeTruthy();
+  });
+});
+
+
+describe("ensureCompanyPermission", function () {
+  async function errorFor(user, handle = "c1") {
+    let error;
+    await ensureCompanyPermission("jobs:write")(
+      { params: { handle } }, { locals: { user } }, err => { error = err; });
+    return error;
+  }
+
+  test("works for a member of the company", async function () {
+    await CompanyMember.invite("c1", { username: "u1", role: "recruiter" }, "u2");
+    await CompanyMember.accept("c1", "u1");
+    expect(await errorFor({ username: "u1", isAdmin: false })).toBeUndefined();
+  });
+
+  test("works with the permission from a role", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: true })).toBeUndefined();
+  });
+
+  test("unauth for the recruiter role without a role in the company", async function () {
+    expect(await errorFor({ username: "u1", isAdmin: false, roles: ["recruiter"] })
+      instanceof UnauthorizedError).toBeTruthy();
+  });
+
+  test("unauth for a member of another company", async function () {
+    await CompanyMember.invite("c2", { username: "u1", role: "owner" }, "u2");
+    await CompanyMember.accept("c2", "u1");
+    expect(await errorFor({ username: "u1", isAdmin: false }) instanceof UnauthorizedError)
+      .toBeTruthy();
+  });
+
+  test("unauth for an invitation that is not accepted", async function () {
+    await CompanyMember.invite("c1", { username: "u1", role: "owner" }, "u2");
+    expect(await errorFor({ username: "u1", isAdmin: false }) instanceof UnauthorizedError)
+      .toBeTruthy();
+  });
+
+  test("unauth if no login", async function () {
+    expect(await errorFor(undefined) instanceof UnauthorizedError).toBeTruthy();
+  });
+});
@@ -0,0 +1,329 @@
+"use strict";
+/** Database migrations for jobly.
+ *
+ * The schema is built by the migrations in migrations/, applied in version
+ *  order. Each migration is a pair of files:
+ *
+ *    migrations/0002_add_thing.up.sql     makes the change
+ *    migrations/0002_add_thing.down.sql   undoes it
+ *
+ * The versions applied to a database are recorded in its schema_migrations
+ *  table. A migration and its schema_migrations row are saved in one
+ *  transaction, so a migration that fails leaves the database as it was.
+ *
+ * From the command line, on the database from config.js:
+ *
+ *    node migrate.js up [version]     apply the pending migrations, up to
+ *                                      and including version when given
+ *    node migrate.js down [steps]     roll back the last steps migrations, 1
+ *                                      when not given
+ *    node migrate.js status           list the migrations and whether each
+ *                                      is applied
+ *    node migrate.js baseline [version]
+ *                                     record the migrations up to and
+ *                                      including version, 1 when not given,
+ *                                      as applied without running them
+ *
+ * baseline is for a database built from the old jobly-schema.sql, which is
+ *  0001_baseline, before it is migrated the first time.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+const MIGRATION_FILE = /^([0-9]+)_([A-Za-z0-9_-]+)\.(up|down)\.sql$/;
+
+// Held while migrating so two processes do not apply the same migration.
+//  Any number unique to jobly migrations would do.
+const MIGRATION_LOCK = 7150;
+
+
+/**
+ * loadMigrations reads the migration files in dir.
+ * Function returns [{ version, name, up, down }, ...] in version order where
+ *  version is an integer and up / down are the file paths, down is undefined
+ *  when the migration has no down file.
+ *
+ * Throws Error when two migrations have the same version or a migration has
+ *  no up file.
+ *
+ * @param {*} dir
+ * @returns [migrations]
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = {};
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) return;
+
+    const [, number, name, direction] = match;
+    const version = +number;
+    const migration = byVersion[version] || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by '${migration.name}' and '${name}'.`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion[version] = migration;
+  });
+
+  const migrations = Object.values(byVersion).sort((a, b) => a.version - b.version);
+
+  migrations.forEach(migration => {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version} '${migration.name}' has no up file.`);
+    }
+  });
+
+  return migrations;
+}
+
+
+async function ensureMigrationsTable() {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT now()
+     )`);
+}
+
+
+/** Returns the applied migrations, [{ version, name, appliedAt }, ...] in
+ *  version order.
+ **/
+
+async function appliedMigrations() {
+  await ensureMigrationsTable();
+  const result = await db.query(
+    `SELECT version, name, applied_at AS "appliedAt"
+      FROM schema_migrations
+      ORDER BY version`);
+  return result.rows;
+}
+
+
+/** Runs fn in a transaction that holds the migration lock. The versions
+ *  applied are read again once the lock is held, another process may have
+ *  changed them while this one waited.
+ **/
+
+async function withLock(fn) {
+  await ensureMigrationsTable();
+  return await db.transaction(async () => {
+    await db.query(`SELECT pg_advisory_xact_lock($1)`, [MIGRATION_LOCK]);
+    const applied = await appliedMigrations();
+    return await fn(applied.map(m => m.version));
+  });
+}
+
+
+/**
+ * migrate applies the migrations in dir that are not applied yet, in version
+ *  order.
+ * to, integer, the last version to apply. All pending migrations are applied
+ *  when it is not given.
+ * Function returns [{ version, name }, ...], the migrations applied.
+ *
+ * A migration that fails is rolled back, the migrations before it stay
+ *  applied, and the error is thrown.
+ *
+ * @param {*} options { dir, to }
+ * @returns [migrations]
+ */
+
+async function migrate({ dir = MIGRATIONS_DIR, to } = {}) {
+  const migrations = loadMigrations(dir)
+    .filter(m => (to === undefined) || (m.version <= to));
+  const done = [];
+
+  for (const migration of migrations) {
+    const ran = await withLock(async (applied) => {
+      if (applied.includes(migration.version)) return false;
+
+      await db.query(fs.readFileSync(migration.up, "utf8"));
+      await db.query(
+        `INSERT INTO schema_migrations (version, name)
+          VALUES ($1, $2)`,
+        [migration.version, migration.name]);
+      return true;
+    });
+    if (ran) done.push({ version: migration.version, name: migration.name });
+  }
+
+  return done;
+}
+
+
+/**
+ * rollback undoes the last applied migrations with their down files, the
+ *  latest version first.
+ * steps, integer, the number of migrations to roll back, 1 when not given.
+ * Function returns [{ version, name }, ...], the migrations rolled back.
+ *
+ * Throws Error when an applied migration to roll back has no file in dir or no
+ *  down file. The migrations rolled back before it stay rolled back.
+ *
+ * @param {*} options { dir, steps }
+ * @returns [migrations]
+ */
+
+async function rollback({ dir = MIGRATIONS_DIR, steps = 1 } = {}) {
+  const migrations = loadMigrations(dir);
+  const done = [];
+
+  for (let step = 0; step < steps; step++) {
+    const undone = await withLock(async (applied) => {
+      if (applied.length === 0) return undefined;
+
+      const version = applied[applied.length - 1];
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its files are not in ${dir}.`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${version} '${migration.name}' has no down file.`);
+      }
+
+      await db.query(fs.readFileSync(migration.down, "utf8"));
+      await db.query(`DELETE FROM schema_migrations WHERE version = $1`, [version]);
+      return { version, name: migration.name };
+    });
+
+    if (!undone) break;
+    done.push(undone);
+  }
+
+  return done;
+}
+
+
+/**
+ * baseline records the migrations in dir up to and including version to as
+ *  applied, without running them. Migrations already applied are skipped.
+ * to, integer, the last version to record, 1 (0001_baseline) when not given.
+ * Function returns [{ version, name }, ...], the migrations recorded.
+ *
+ * @param {*} options { dir, to }
+ * @returns [migrations]
+ */
+
+async function baseline({ dir = MIGRATIONS_DIR, to = 1 } = {}) {
+  const migrations = loadMigrations(dir).filter(m => m.version <= to);
+
+  return await withLock(async (applied) => {
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.includes(migration.version)) continue;
+
+      await db.query(
+        `INSERT INTO schema_migrations (version, name)
+          VALUES ($1, $2)`,
+        [migration.version, migration.name]);
+      done.push({ version: migration.version, name: migration.name });
+    }
+    return done;
+  });
+}
+
+
+/**
+ * status lists every migration in dir and every applied migration.
+ * Function returns [{ version, name, applied, appliedAt, missing }, ...] in
+ *  version order where appliedAt is null for a pending migration and missing
+ *  is true for an applied migration that has no file in dir.
+ *
+ * @param {*} options { dir }
+ * @returns [status]
+ */
+
+async function status({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = await appliedMigrations();
+
+  const list = migrations.map(migration => {
+    const done = applied.find(m => m.version === migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: (done !== undefined),
+      appliedAt: (done) ? done.appliedAt : null,
+      missing: false
+    };
+  });
+
+  applied.forEach(done => {
+    if (!migrations.find(m => m.version === done.version)) {
+      list.push({ ...done, applied: true, missing: true });
+    }
+  });
+
+  return list.sort((a, b) => a.version - b.version);
+}
+
+
+function label(migration) {
+  return `${String(migration.version).padStart(4, "0")} ${migration.name}`;
+}
+
+
+/** Returns the command line argument arg as an integer, or fallback when arg
+ *  is not given. Throws Error when arg is not a whole number.
+ **/
+
+function wholeNumber(arg, fallback) {
+  if (arg === undefined) return fallback;
+  if (!/^[0-9]+$/.test(arg)) throw new Error(`'${arg}' is not a whole number.`);
+  return +arg;
+}
+
+
+async function main([command = "status", arg]) {
+  if (command === "up") {
+    const done = await migrate({ to: wholeNumber(arg, undefined) });
+    done.forEach(m => console.log(`applied      ${label(m)}`));
+    if (done.length === 0) console.log("No pending migrations.");
+  } else if (command === "down") {
+    const done = await rollback({ steps: wholeNumber(arg, 1) });
+    done.forEach(m => console.log(`rolled back  ${label(m)}`));
+    if (done.length === 0) console.log("No applied migrations.");
+  } else if (command === "baseline") {
+    const done = await baseline({ to: wholeNumber(arg, 1) });
+    done.forEach(m => console.log(`recorded     ${label(m)}`));
+    if (done.length === 0) console.log("No migrations to record.");
+  } else if (command === "status") {
+    const list = await status();
+    list.forEach(m => {
+      const state = (m.missing) ? "missing" : (m.applied) ? "applied" : "pending";
+      console.log(`${state.padEnd(12)} ${label(m)}`);
+    });
+  } else {
+    throw new Error(`Unknown command '${command}', use up, down, status, or baseline.`);
+  }
+}
+
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.end())
+    .catch(async (err) => {
+      console.error(err.message);
+      await db.end();
+      process.exitCode = 1;
+    });
+}
+
+
+module.exports = {
+  MIGRATIONS_DIR
+  , loadMigrations
+  , migrate
+  , rollback
+  , status
+  , baseline
+  , main
+};
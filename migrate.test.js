@@ -0,0 +1,289 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("./db.js");
+const { loadMigrations, migrate, rollback, status, baseline, main } = require("./migrate");
+
+// Test migrations are written to temporary directories, removed after each
+//  test. Each test runs in a transaction that is rolled back, which undoes the
+//  migrations it applies.
+
+let tempDirs = [];
+
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  tempDirs.push(dir);
+  Object.keys(files).forEach(file => fs.writeFileSync(path.join(dir, file), files[file]));
+  return dir;
+}
+
+const testFiles = {
+  "9001_first.up.sql": "CREATE TABLE migration_test (id INTEGER);",
+  "9001_first.down.sql": "DROP TABLE migration_test;",
+  "9002_second.up.sql": "ALTER TABLE migration_test ADD COLUMN name TEXT;",
+  "9002_second.down.sql": "ALTER TABLE migration_test DROP COLUMN name;",
+  "readme.txt": "not a migration"
+};
+
+async function columns() {
+  const result = await db.query(
+    `SELECT column_name AS "column"
+      FROM information_schema.columns
+      WHERE table_name = 'migration_test'
+      ORDER BY ordinal_position`);
+  return result.rows.map(r => r.column);
+}
+
+beforeAll(async function () {
+  await migrate();
+});
+beforeEach(async function () {
+  await db.begin();
+});
+afterEach(async function () {
+  await db.rollback();
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  tempDirs = [];
+});
+afterAll(async function () {
+  await db.end();
+});
+
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    const dir = migrationsDir(testFiles);
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: 9001,
+        name: "first",
+        up: path.join(dir, "9001_first.up.sql"),
+        down: path.join(dir, "9001_first.down.sql")
+      },
+      {
+        version: 9002,
+        name: "second",
+        up: path.join(dir, "9002_second.up.sql"),
+        down: path.join(dir, "9002_second.down.sql")
+      }
+    ]);
+  });
+
+  test("the baseline is the first migration", function () {
+    expect(loadMigrations()[0]).toEqual(expect.objectContaining({ version: 1, name: "baseline" }));
+  });
+
+  test("the baseline is the old jobly-schema.sql", function () {
+    const sql = fs.readFileSync(loadMigrations()[0].up, "utf8");
+    expect(sql).not.toEqual(expect.stringContaining("EXTENSION"));
+    expect(sql).not.toEqual(expect.stringContaining("INDEX"));
+    expect(sql).not.toEqual(expect.stringContaining("state"));
+  });
+
+  test("error: two migrations with the same version", function () {
+    const dir = migrationsDir({ ...testFiles, "9001_other.up.sql": "SELECT 1;" });
+    expect(() => loadMigrations(dir)).toThrowError(
+      new Error("Migration version 9001 is used by 'first' and 'other'."));
+  });
+
+  test("error: no up file", function () {
+    const dir = migrationsDir({ "9003_third.down.sql": "SELECT 1;" });
+    expect(() => loadMigrations(dir)).toThrowError(
+      new Error("Migration 9003 'third' has no up file."));
+  });
+});
+
+
+/************************************** migrate */
+
+describe("migrate", function () {
+  test("works", async function () {
+    const dir = migrationsDir(testFiles);
+    expect(await migrate({ dir })).toEqual([
+      { version: 9001, name: "first" },
+      { version: 9002, name: "second" }
+    ]);
+    expect(await columns()).toEqual(["id", "name"]);
+  });
+
+  test("works: applied migrations are skipped", async function () {
+    const dir = migrationsDir(testFiles);
+    await migrate({ dir });
+    expect(await migrate({ dir })).toEqual([]);
+    expect(await migrate()).toEqual([]);
+  });
+
+  test("works: up to a version", async function () {
+    const dir = migrationsDir(testFiles);
+    expect(await migrate({ dir, to: 9001 })).toEqual([{ version: 9001, name: "first" }]);
+    expect(await columns()).toEqual(["id"]);
+  });
+
+  test("a failing migration is rolled back and the ones before it stay", async function () {
+    const dir = migrationsDir({
+      ...testFiles,
+      "9002_second.up.sql": "ALTER TABLE migration_test ADD COLUMN name TEXT; SELECT nope;"
+    });
+    try {
+      await migrate({ dir });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual(expect.stringContaining("nope"));
+    }
+    expect(await columns()).toEqual(["id"]);
+
+    const list = await status({ dir });
+    expect(list.filter(m => m.version > 9000).map(m => [m.version, m.applied]))
+      .toEqual([[9001, true], [9002, false]]);
+  });
+});
+
+
+/************************************** rollback */
+
+describe("rollback", function () {
+  test("works: the last migration", async function () {
+    const dir = migrationsDir(testFiles);
+    await migrate({ dir });
+    expect(await rollback({ dir })).toEqual([{ version: 9002, name: "second" }]);
+    expect(await columns()).toEqual(["id"]);
+  });
+
+  test("works: steps", async function () {
+    const dir = migrationsDir(testFiles);
+    await migrate({ dir });
+    expect(await rollback({ dir, steps: 2 })).toEqual([
+      { version: 9002, name: "second" },
+      { version: 9001, name: "first" }
+    ]);
+    expect(await columns()).toEqual([]);
+  });
+
+  test("error: the applied migration has no files", async function () {
+    const dir = migrationsDir(testFiles);
+    try {
+      await rollback({ dir });
+      fail();
+    } catch (err) {
+      const latest = loadMigrations().pop().version;
+      expect(err.message).toEqual(`Migration ${latest} is applied but its files are not in ${dir}.`);
+    }
+  });
+
+  test("error: no down file", async function () {
+    const dir = migrationsDir({ "9001_first.up.sql": testFiles["9001_first.up.sql"] });
+    await migrate({ dir });
+    try {
+      await rollback({ dir });
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("Migration 9001 'first' has no down file.");
+    }
+    expect(await columns()).toEqual(["id"]);
+  });
+});
+
+
+/************************************** the repo migrations */
+
+describe("the repo migrations", function () {
+  test("0011 gives the applications from before it their state", async function () {
+    await rollback({ steps: loadMigrations().filter(m => m.version > 10).length });
+    await db.query(
+      `INSERT INTO companies (handle, name, description)
+         VALUES ('migration-c', 'Migration C', 'Desc')`);
+    await db.query(
+      `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('migration-u', 'password', 'F', 'L', 'migration@email.com')`);
+    const job = await db.query(
+      `INSERT INTO jobs (title, company_handle) VALUES ('j1', 'migration-c') RETURNING id`);
+    await db.query(
+      `INSERT INTO applications (username, job_id) VALUES ('migration-u', $1)`, [job.rows[0].id]);
+
+    await migrate({ to: 11 });
+    const result = await db.query(
+      `SELECT a.state, s.state AS "historyState", s.entered_at AS "enteredAt"
+         FROM applications AS a
+         JOIN application_states AS s USING (username, job_id)
+         WHERE username = 'migration-u'`);
+    expect(result.rows).toEqual(
+      [{ state: "applied", historyState: "applied", enteredAt: expect.any(Date) }]);
+  });
+});
+
+
+/************************************** baseline */
+
+describe("baseline", function () {
+  test("works", async function () {
+    const dir = migrationsDir(testFiles);
+    expect(await baseline({ dir, to: 9001 })).toEqual([{ version: 9001, name: "first" }]);
+    expect(await columns()).toEqual([]);
+
+    const list = await status({ dir });
+    expect(list.filter(m => m.version > 9000).map(m => [m.version, m.applied]))
+      .toEqual([[9001, true], [9002, false]]);
+  });
+
+  test("works: applied migrations are skipped", async function () {
+    expect(await baseline()).toEqual([]);
+  });
+
+  test("works: a database with the baseline schema is migrated", async function () {
+    await db.query("DELETE FROM schema_migrations WHERE version = 1");
+    expect(await baseline()).toEqual([{ version: 1, name: "baseline" }]);
+    expect(await migrate()).toEqual([]);
+  });
+});
+
+
+/************************************** main */
+
+describe("main", function () {
+  test("error: a count that is not a whole number", async function () {
+    for (const command of ["up", "down", "baseline"]) {
+      try {
+        await main([command, "abc"]);
+        fail();
+      } catch (err) {
+        expect(err.message).toEqual("'abc' is not a whole number.");
+      }
+    }
+  });
+
+  test("error: unknown command", async function () {
+    try {
+      await main(["sideways"]);
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("Unknown command 'sideways', use up, down, status, or baseline.");
+    }
+  });
+});
+
+
+/************************************** status */
+
+describe("status", function () {
+  test("works", async function () {
+    const dir = migrationsDir(testFiles);
+    await migrate({ dir, to: 9001 });
+    const list = await status({ dir });
+    expect(list[0]).toEqual(
+      { version: 1, name: "baseline", applied: true, appliedAt: expect.any(Date), missing: true });
+    expect(list.filter(m => m.version > 9000)).toEqual([
+      { version: 9001, name: "first", applied: true, appliedAt: expect.any(Date), missing: false },
+      { version: 9002, name: "second", applied: false, appliedAt: null, missing: false }
+    ]);
+  });
+
+  test("works: the repo migrations are applied", async function () {
+    const list = await status();
+    expect(list.every(m => m.applied && !m.missing)).toEqual(true);
+  });
+});
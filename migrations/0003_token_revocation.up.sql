@@ -0,0 +1,12 @@
+-- access tokens revoked before they expire, by POST /auth/logout. A row is not
+--  needed once its token has expired.
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX revoked_tokens_expires_idx ON revoked_tokens (expires_at);
+
+-- access tokens carry the token_version of their user. Adding 1 to it revokes
+--  every access token the user has.
+ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- password reset tokens, sent by mail from POST /auth/password-reset/request.
+--  Each one can be used once, before it expires.
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX password_reset_tokens_username_idx ON password_reset_tokens (username);
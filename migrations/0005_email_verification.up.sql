@@ -0,0 +1,25 @@
+-- when the user's email was verified, NULL until it is and again after the
+--  email changes.
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+
+-- email verification tokens, mailed to a new user and to a changed email.
+--  Each one verifies the email it was sent to, once, before it expires.
+CREATE TABLE email_verification_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX email_verification_tokens_username_idx ON email_verification_tokens (username);
+
+-- site settings admins change from /settings, see models/setting.js. A setting
+--  that is not here has its default.
+CREATE TABLE settings (
+  name TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT now()
+);
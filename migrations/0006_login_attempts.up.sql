@@ -0,0 +1,8 @@
+-- failed logins when LOGIN_THROTTLE_STORE is "postgres", see
+--  helpers/loginThrottle.js. key is 'username:<username>' or 'ip:<address>'.
+CREATE TABLE login_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL,
+  locked_until TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
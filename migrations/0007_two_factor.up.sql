@@ -0,0 +1,18 @@
+-- TOTP two-factor authentication, see models/twoFactor.js. totp_secret is set
+--  by enrolling and used once totp_enabled_at is set. totp_last_counter is the
+--  time step of the last code used, so a code is not used twice.
+ALTER TABLE users
+  ADD COLUMN totp_secret TEXT,
+  ADD COLUMN totp_enabled_at TIMESTAMP,
+  ADD COLUMN totp_last_counter INTEGER;
+
+-- recovery codes, for logging in without the authenticator. Each one can be
+--  used once.
+CREATE TABLE two_factor_recovery_codes (
+  code_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX two_factor_recovery_codes_username_idx ON two_factor_recovery_codes (username);
@@ -0,0 +1,27 @@
+-- roles, see helpers/permissions.js for the permissions each one gives.
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Manages the whole site.'),
+       ('recruiter', 'Posts jobs and moves applications through hiring.'),
+       ('support', 'Helps users with their accounts.'),
+       ('candidate', 'Looks for jobs and applies for them.');
+
+-- the roles each user has. admin is not here, it is users.is_admin.
+CREATE TABLE user_roles (
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles ON DELETE CASCADE
+    CHECK (role <> 'admin'),
+  PRIMARY KEY (username, role)
+);
+
+CREATE INDEX user_roles_role_idx ON user_roles (role);
+
+-- every user from before roles registered as a candidate.
+INSERT INTO user_roles (username, role)
+SELECT username, 'candidate' FROM users;
@@ -0,0 +1,18 @@
+-- the users who manage a company, see models/companyMember.js. An owner
+--  manages the company's jobs and members, a recruiter its jobs. An invited
+--  user is a member once they accept, accepted_at is null until then.
+CREATE TABLE company_members (
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter')),
+  invited_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  invited_at TIMESTAMP NOT NULL DEFAULT now(),
+  accepted_at TIMESTAMP,
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE INDEX company_members_username_idx ON company_members (username);
@@ -0,0 +1,3 @@
+DROP TABLE application_states;
+
+ALTER TABLE applications DROP COLUMN state;
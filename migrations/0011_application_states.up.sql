@@ -0,0 +1,22 @@
+-- IF NOT EXISTS, databases migrated before this was split out of 0001_baseline
+--  already have the state column and application_states.
+ALTER TABLE applications
+  ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'screening', 'interviewing',
+                     'offered', 'accepted', 'rejected', 'withdrawn'));
+
+-- when each application entered each state.
+CREATE TABLE IF NOT EXISTS application_states (
+  username VARCHAR(25),
+  job_id INTEGER,
+  state TEXT NOT NULL,
+  entered_at TIMESTAMP NOT NULL DEFAULT clock_timestamp(),
+  PRIMARY KEY (username, job_id, state),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+-- the applications from before have their state, 'applied', from now on.
+INSERT INTO application_states (username, job_id, state)
+SELECT username, job_id, state FROM applications
+ON CONFLICT (username, job_id, state) DO NOTHING;
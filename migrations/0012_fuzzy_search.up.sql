@@ -0,0 +1,2 @@
+-- pg_trgm is for the fuzzy (trigram similarity) searches.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
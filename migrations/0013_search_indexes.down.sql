@@ -0,0 +1,4 @@
+DROP INDEX jobs_title_prefix_idx;
+DROP INDEX jobs_search_idx;
+DROP INDEX companies_name_prefix_idx;
+DROP INDEX companies_search_idx;
@@ -0,0 +1,15 @@
+-- full-text search on companies, the expression must match SEARCH_DOCUMENT in
+--  models/company.js for the index to be used.
+CREATE INDEX IF NOT EXISTS companies_search_idx ON companies USING GIN (
+  (setweight(to_tsvector('english', name), 'A') ||
+   setweight(to_tsvector('english', description), 'B')));
+
+-- autocomplete, prefix matches on lower(name) LIKE 'ab%'.
+CREATE INDEX IF NOT EXISTS companies_name_prefix_idx ON companies (lower(name) text_pattern_ops);
+
+-- full-text search on jobs, the expression must match SEARCH_DOCUMENT in
+--  models/jobModel.js for the index to be used.
+CREATE INDEX IF NOT EXISTS jobs_search_idx ON jobs USING GIN (to_tsvector('english', title));
+
+-- autocomplete, prefix matches on lower(title) LIKE 'ab%'.
+CREATE INDEX IF NOT EXISTS jobs_title_prefix_idx ON jobs (lower(title) text_pattern_ops);
@@ -0,0 +1,3 @@
+UPDATE roles
+  SET description = 'Posts jobs and moves applications through hiring.'
+  WHERE name = 'recruiter';
@@ -0,0 +1,5 @@
+-- a recruiter works on the jobs and applications of the companies they are a
+--  member of, see company_members.
+UPDATE roles
+  SET description = 'Finds candidates and recruits for the companies they are a member of.'
+  WHERE name = 'recruiter';
@@ -1,9 +1,13 @@
 const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
+const { migrate } = require("../migrate");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 
 async function commonBeforeAll() {
+  // the test database gets the schema from the migrations.
+  await migrate();
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
@@ -41,14 +45,20 @@ async function commonBeforeAll() {
       await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
       await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
     ]);
+
+  await db.query(`
+    INSERT INTO user_roles (username, role)
+    VALUES ('u1', 'candidate'),
+           ('u2', 'candidate')
+  `);
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.begin();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollback();
 }
 
 async function commonAfterAll() {
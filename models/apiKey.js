@@ -0,0 +1,150 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken, randomApiKey } = require("../helpers/tokens");
+const { rolesFor } = require("../helpers/permissions");
+
+// The part of the key kept to tell the keys apart, "jobly_" and 6 more.
+const PREFIX_LENGTH = 12;
+
+/** Related functions for personal API keys.
+ *
+ * An API key logs a script in as its user, in place of an access token, see
+ *  authenticateJWT. Each key has a name, scopes, and an optional expiry, and
+ *  can be revoked. The scopes are read, for GET requests, write, for the
+ *  others, and admin, which lets the key of an admin act as an admin.
+ *
+ * The key is only shown once, when it is made. The db keeps a hash of the
+ *  key, not the key itself.
+ */
+
+class ApiKey {
+  /** Make a new API key for username.
+   *
+   * data is { name, scopes, expiresAt } where expiresAt is optional.
+   *
+   * Returns { apiKey, key } where apiKey is { id, name, prefix, scopes,
+   *  createdAt, expiresAt, lastUsedAt, revokedAt } and key is the key.
+   *
+   * Throws NotFoundError if the user is not found, BadRequestError for the
+   *  admin scope when the user is not an admin or an expiresAt that has passed.
+   **/
+
+  static async create(username, { name, scopes, expiresAt = null }) {
+    const userRes = await db.query(
+      `SELECT is_admin AS "isAdmin" FROM users WHERE username = $1`,
+      [username]);
+
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if ((scopes.includes("admin")) && (!user.isAdmin)) {
+      throw new BadRequestError("Only an admin's API key can have the admin scope.");
+    }
+    if ((expiresAt) && (new Date(expiresAt) <= new Date())) {
+      throw new BadRequestError("expiresAt must be in the future.");
+    }
+
+    const key = randomApiKey();
+
+    const result = await db.query(
+      `INSERT INTO api_keys
+           (username, name, prefix, key_hash, scopes, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     name,
+                     prefix,
+                     scopes,
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt",
+                     last_used_at AS "lastUsedAt",
+                     revoked_at AS "revokedAt"`,
+      [username, name, key.slice(0, PREFIX_LENGTH), hashToken(key), scopes, expiresAt]);
+
+    return { apiKey: result.rows[0], key };
+  }
+
+
+  /** Returns the user's API keys, newest first, including the revoked ones.
+   *
+   * [{ id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt, revokedAt }, ...]
+   **/
+
+  static async findAll(username) {
+    const result = await db.query(
+      `SELECT id,
+              name,
+              prefix,
+              scopes,
+              created_at AS "createdAt",
+              expires_at AS "expiresAt",
+              last_used_at AS "lastUsedAt",
+              revoked_at AS "revokedAt"
+           FROM api_keys
+           WHERE username = $1
+           ORDER BY created_at DESC, id DESC`,
+      [username]);
+
+    return result.rows;
+  }
+
+
+  /** Revoke the user's API key with id; returns undefined.
+   *
+   * Throws NotFoundError if the user does not have the key.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+      `UPDATE api_keys
+           SET revoked_at = COALESCE(revoked_at, now())
+           WHERE id = $1 AND username = $2
+           RETURNING id`,
+      [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+
+  /** Given an API key, return the user it logs in as, { username, isAdmin,
+   *  roles, apiKeyId, scopes }, and record that it was used. isAdmin, and the
+   *  admin role, are only there when the key has the admin scope.
+   *
+   * Returns undefined when the key is not found, revoked or expired.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+      `UPDATE api_keys AS k
+           SET last_used_at = now()
+           FROM users AS u
+           WHERE k.key_hash = $1
+             AND u.username = k.username
+             AND k.revoked_at IS NULL
+             AND (k.expires_at IS NULL OR k.expires_at > now())
+           RETURNING k.id,
+                     k.username,
+                     k.scopes,
+                     u.is_admin AS "isAdmin",
+                     ARRAY(SELECT role
+                             FROM user_roles AS r
+                             WHERE r.username = u.username
+                             ORDER BY role) AS "roles"`,
+      [hashToken(key)]);
+
+    const found = result.rows[0];
+    if (!found) return undefined;
+
+    const isAdmin = (found.isAdmin) && (found.scopes.includes("admin"));
+    return {
+      username: found.username,
+      isAdmin,
+      roles: rolesFor({ isAdmin, roles: found.roles }),
+      apiKeyId: found.id,
+      scopes: found.scopes
+    };
+  }
+}
+
+
+module.exports = ApiKey;
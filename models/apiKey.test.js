@@ -0,0 +1,141 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    expect(key).toMatch(/^jobly_[A-Za-z0-9_-]{43}$/);
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ats sync",
+      prefix: key.slice(0, 12),
+      scopes: ["read"],
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+      revokedAt: null
+    });
+
+    // the db has the hash, not the key.
+    const found = await db.query("SELECT key_hash FROM api_keys WHERE id = $1", [apiKey.id]);
+    expect(found.rows[0].key_hash).not.toEqual(key);
+  });
+
+  test("works: with an expiry", async function () {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const { apiKey } = await ApiKey.create("u1",
+      { name: "ats sync", scopes: ["read"], expiresAt: expiresAt.toISOString() });
+    expect(apiKey.expiresAt).toEqual(expect.any(Date));
+  });
+
+  test("bad request for the admin scope when not an admin", async function () {
+    try {
+      await ApiKey.create("u1", { name: "ats sync", scopes: ["read", "admin"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Only an admin's API key can have the admin scope.");
+    }
+  });
+
+  test("bad request for an expiry that has passed", async function () {
+    await expect(ApiKey.create("u1",
+      { name: "ats sync", scopes: ["read"], expiresAt: "2020-01-01T00:00:00Z" }))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(ApiKey.create("nope", { name: "ats sync", scopes: ["read"] }))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await ApiKey.create("u1", { name: "first", scopes: ["read"] });
+    await ApiKey.create("u1", { name: "second", scopes: ["read", "write"] });
+    await ApiKey.create("u2", { name: "other", scopes: ["read"] });
+
+    const apiKeys = await ApiKey.findAll("u1");
+    expect(apiKeys.map(k => k.name)).toEqual(["second", "first"]);
+    expect(apiKeys[0].scopes).toEqual(["read", "write"]);
+  });
+});
+
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+    expect((await ApiKey.findAll("u1"))[0].revokedAt).toEqual(expect.any(Date));
+  });
+
+  test("not found for another user's key", async function () {
+    const { apiKey } = await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    await expect(ApiKey.revoke("u2", apiKey.id)).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    expect(await ApiKey.authenticate(key)).toEqual({
+      username: "u1",
+      isAdmin: false,
+      roles: ["candidate"],
+      apiKeyId: apiKey.id,
+      scopes: ["read"]
+    });
+    expect((await ApiKey.findAll("u1"))[0].lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("works: an admin only acts as an admin with the admin scope", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const read = await ApiKey.create("u1", { name: "read", scopes: ["read"] });
+    const admin = await ApiKey.create("u1", { name: "admin", scopes: ["read", "admin"] });
+    expect((await ApiKey.authenticate(read.key)).isAdmin).toEqual(false);
+    expect((await ApiKey.authenticate(admin.key)).isAdmin).toEqual(true);
+
+    // the key stops acting as an admin when the user is not one.
+    await db.query("UPDATE users SET is_admin = FALSE WHERE username = 'u1'");
+    expect((await ApiKey.authenticate(admin.key)).isAdmin).toEqual(false);
+  });
+
+  test("undefined for an expired key", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    await db.query(
+      "UPDATE api_keys SET expires_at = now() - interval '1 second' WHERE id = $1",
+      [apiKey.id]);
+    expect(await ApiKey.authenticate(key)).toBeUndefined();
+  });
+
+  test("undefined for an unknown key", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeUndefined();
+  });
+});
@@ -0,0 +1,235 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForFilter } = require("../helpers/sql");
+
+// Application state machine. The key is the current state of an application
+//  and the value is the list of states the application is allowed to move to.
+//  accepted, rejected, and withdrawn are final states, so nothing follows them.
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// The filters for the applicant lists, see sqlForFilter. jobId and handle are
+//  set by the model to limit the applications to one job or to all jobs at a
+//  company. state is a comma separated list of states. appliedAfter and
+//  appliedBefore are the date the application reached 'applied'.
+const FILTERS = {
+  resource: "applications",
+  fields: {
+    jobId: { dbName: "a.job_id", type: "integer", op: "eq" },
+    handle: { dbName: "j.company_handle", type: "string", op: "eq" },
+    state: { dbName: "a.state", type: "string", op: "in" },
+    username: { dbName: "a.username", type: "string", op: "eq" },
+    appliedAfter: { dbName: "s.entered_at", type: "date", op: "gte" },
+    appliedBefore: { dbName: "s.entered_at", type: "date", op: "lt" }
+  },
+  ranges: [["appliedAfter", "appliedBefore"]]
+};
+
+/** Related functions for job applications. */
+
+class Application {
+
+  /** Returns true when an application in state 'from' can move to state 'to'. */
+
+  static canTransition(from, to) {
+    return (Object.hasOwnProperty.call(TRANSITIONS, from) &&
+      TRANSITIONS[from].includes(to));
+  }
+
+
+  /** Record that an application entered a state.
+   *
+   * Called when the application is created and for every state change after
+   *  that so there is a timestamp for each state the application went through.
+   **/
+
+  static async recordState(username, jobId, state) {
+    await db.query(
+      `INSERT INTO application_states
+         (username, job_id, state)
+         VALUES ($1, $2, $3)`,
+      [username, jobId, state]);
+  }
+
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, states }
+   *   where states is [{ state, enteredAt }, ...] in the order the states
+   *   were entered.
+   *
+   * Throws NotFoundError when the application is not found.
+   **/
+
+  static async get(username, jobId) {
+    const result = await db.query(
+      `SELECT username,
+              job_id AS "jobId",
+              state
+        FROM applications
+        WHERE username = $1 AND job_id = $2`,
+      [username, jobId]);
+
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application: username '${username}', job id '${jobId}'`);
+    }
+
+    const statesRes = await db.query(
+      `SELECT state,
+              entered_at AS "enteredAt"
+        FROM application_states
+        WHERE username = $1 AND job_id = $2
+        ORDER BY entered_at`,
+      [username, jobId]);
+
+    application.states = statesRes.rows;
+
+    return application;
+  }
+
+
+  /** Given a username, return all of the user's applications.
+   *
+   * Returns [{ jobId, title, companyHandle, companyName, state, appliedAt }, ...]
+   *   ordered by the most recent application first. appliedAt is null for
+   *   an application that never left the 'interested' state.
+   *
+   * Throws NotFoundError when the user is not found.
+   **/
+
+  static async findAllForUser(username) {
+    const userRes = await db.query(
+      `SELECT username
+        FROM users
+        WHERE username = $1`,
+      [username]);
+
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT a.job_id AS "jobId",
+              j.title,
+              c.handle AS "companyHandle",
+              c.name AS "companyName",
+              a.state,
+              s.entered_at AS "appliedAt"
+        FROM applications AS a
+        JOIN jobs AS j ON a.job_id = j.id
+        JOIN companies AS c ON j.company_handle = c.handle
+        LEFT JOIN application_states AS s 
+          ON a.username = s.username AND a.job_id = s.job_id AND s.state = 'applied'
+        WHERE a.username = $1
+        ORDER BY s.entered_at DESC NULLS LAST, a.job_id`,
+      [username]);
+
+    return result.rows;
+  }
+
+
+  /** Find the applicants for a job or for all jobs at a company.
+   *
+   * filterValues must include jobId or handle and can include the filters
+   *  state (one or more states), username, appliedAfter, and appliedBefore.
+   *
+   * sort is 'appliedAt' for oldest application first or '-appliedAt' for 
+   *  newest application first. The default is '-appliedAt'. Applications that
+   *  never reached 'applied' sort last either way.
+   *
+   * Returns { applications, counts }
+   *   where applications is [{ username, firstName, lastName, email, jobId, 
+   *     title, state, appliedAt }, ...]
+   *   and counts is { total, states: { applied: n, screening: n, ... } } for
+   *     the applications returned.
+   **/
+
+  static async findAll(filterValues, sort = "-appliedAt") {
+    const filter = sqlForFilter(filterValues, FILTERS);
+    const direction = (sort === "appliedAt") ? "ASC" : "DESC";
+
+    const result = await db.query(
+      `SELECT a.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              a.job_id AS "jobId",
+              j.title,
+              a.state,
+              s.entered_at AS "appliedAt"
+        FROM applications AS a
+        JOIN users AS u ON a.username = u.username
+        JOIN jobs AS j ON a.job_id = j.id
+        LEFT JOIN application_states AS s 
+          ON a.username = s.username AND a.job_id = s.job_id AND s.state = 'applied'
+        ${filter.whereClause}
+        ORDER BY s.entered_at ${direction} NULLS LAST, a.username, a.job_id`,
+      filter.values);
+
+    const counts = { total: result.rows.length, states: {} };
+    result.rows.forEach(application => {
+      counts.states[application.state] = (counts.states[application.state] || 0) + 1;
+    });
+
+    return { applications: result.rows, counts };
+  }
+
+
+  /** Move an application to a new state.
+   *
+   * Returns { username, jobId, state, states }
+   *
+   * Throws NotFoundError when the application is not found.
+   *
+   * Throws BadRequestError when the state machine does not allow the move
+   *  from the current state to newState.
+   **/
+
+  static async updateState(username, jobId, newState) {
+    return await db.transaction(async () => {
+      // lock the application so a state change made at the same time waits
+      //  and then checks against this one.
+      const currentRes = await db.query(
+        `SELECT state
+          FROM applications
+          WHERE username = $1 AND job_id = $2
+          FOR UPDATE`,
+        [username, jobId]);
+
+      const current = currentRes.rows[0];
+
+      if (!current) {
+        throw new NotFoundError(`No application: username '${username}', job id '${jobId}'`);
+      }
+
+      if (!Application.canTransition(current.state, newState)) {
+        throw new BadRequestError(
+          `Application state cannot change from '${current.state}' to '${newState}'.`);
+      }
+
+      await db.query(
+        `UPDATE applications
+          SET state = $1
+          WHERE username = $2 AND job_id = $3`,
+        [newState, username, jobId]);
+
+      await Application.recordState(username, jobId, newState);
+
+      return await Application.get(username, jobId);
+    });
+  }
+
+}
+
+
+module.exports = Application;
@@ -0,0 +1,214 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Application = require("./application.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// job ids are serial values so look up the id for job 'one' at c1.
+async function getJobId() {
+  const result = await db.query(`SELECT id FROM jobs WHERE title = 'one'`);
+  return result.rows[0].id;
+}
+
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("allowed moves", function () {
+    expect(Application.canTransition("interested", "applied")).toEqual(true);
+    expect(Application.canTransition("applied", "screening")).toEqual(true);
+    expect(Application.canTransition("screening", "interviewing")).toEqual(true);
+    expect(Application.canTransition("interviewing", "offered")).toEqual(true);
+    expect(Application.canTransition("offered", "accepted")).toEqual(true);
+    expect(Application.canTransition("offered", "withdrawn")).toEqual(true);
+  });
+
+  test("moves that are not allowed", function () {
+    expect(Application.canTransition("applied", "offered")).toEqual(false);
+    expect(Application.canTransition("screening", "applied")).toEqual(false);
+    expect(Application.canTransition("accepted", "withdrawn")).toEqual(false);
+    expect(Application.canTransition("rejected", "applied")).toEqual(false);
+    expect(Application.canTransition("nope", "applied")).toEqual(false);
+  });
+});
+
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+
+    const application = await Application.get("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "applied",
+      states: [{ state: "applied", enteredAt: expect.any(Date) }]
+    });
+  });
+
+  test("works: starts as interested", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId }, "interested");
+
+    const application = await Application.get("u1", jobId);
+    expect(application.state).toEqual("interested");
+  });
+
+  test("not found if no such application", async function () {
+    const jobId = await getJobId();
+    try {
+      await Application.get("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+
+/************************************** findAllForUser */
+
+describe("findAllForUser", function () {
+  test("works", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+
+    const applications = await Application.findAllForUser("u1");
+    expect(applications).toEqual([
+      {
+        jobId,
+        title: "one",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "applied",
+        appliedAt: expect.any(Date)
+      }
+    ]);
+  });
+
+  test("works: appliedAt is null for interested", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId }, "interested");
+
+    const applications = await Application.findAllForUser("u1");
+    expect(applications[0].state).toEqual("interested");
+    expect(applications[0].appliedAt).toEqual(null);
+  });
+
+  test("works: no applications", async function () {
+    const applications = await Application.findAllForUser("u2");
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.findAllForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works: applicants for a job with counts", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+    await Application.updateState("u1", jobId, "screening");
+
+    const result = await Application.findAll({ jobId });
+    expect(result.applications.map(a => a.username)).toEqual(["u2", "u1"]);
+    expect(result.counts).toEqual({ total: 2, states: { applied: 1, screening: 1 } });
+  });
+
+  test("works: applicants for a company, oldest first", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+
+    const result = await Application.findAll({ handle: "c1" }, "appliedAt");
+    expect(result.applications.map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("works: no applicants", async function () {
+    const result = await Application.findAll({ handle: "d1" });
+    expect(result).toEqual({ applications: [], counts: { total: 0, states: {} } });
+  });
+});
+
+
+/************************************** updateState */
+
+describe("updateState", function () {
+  test("works", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+
+    await Application.updateState("u1", jobId, "screening");
+    const application = await Application.updateState("u1", jobId, "interviewing");
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "interviewing",
+      states: [
+        { state: "applied", enteredAt: expect.any(Date) },
+        { state: "screening", enteredAt: expect.any(Date) },
+        { state: "interviewing", enteredAt: expect.any(Date) }
+      ]
+    });
+  });
+
+  test("bad request when the move is not allowed", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+    try {
+      await Application.updateState("u1", jobId, "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+        "Application state cannot change from 'applied' to 'accepted'.");
+    }
+  });
+
+  test("bad request when the application is in a final state", async function () {
+    const jobId = await getJobId();
+    await User.applyForJob({ username: "u1", id: jobId });
+    await Application.updateState("u1", jobId, "withdrawn");
+    try {
+      await Application.updateState("u1", jobId, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    const jobId = await getJobId();
+    try {
+      await Application.updateState("u2", jobId, "screening");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
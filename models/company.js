@@ -2,7 +2,51 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForFilter, sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  SIMILARITY_THRESHOLD,
+  likePrefix,
+  sqlForFilter,
+  sqlForPartialUpdate,
+  sqlForSearch,
+  sqlForSimilarity
+} = require("../helpers/sql");
+const {
+  addCondition,
+  pageFromQuery,
+  pageResult,
+  sortKeys,
+  sqlForPage
+} = require("../helpers/pagination");
+
+// The fields companies can be sorted by. handle is unique and breaks ties.
+//  num_employees can be null, nulls sort as -1.
+const SORTABLE = {
+  handle: { dbName: "handle", key: "handle", type: "string" },
+  name: { dbName: "name", key: "name", type: "string" },
+  numEmployees: { dbName: "num_employees", key: "numEmployees", type: "integer", nullAs: -1 }
+};
+
+// Full-text search covers the company name, weighted highest, and description.
+//  SEARCH_DOCUMENT is the same expression as the companies_search_idx index.
+const SEARCH_DOCUMENT = `setweight(to_tsvector('english', name), 'A') ||
+   setweight(to_tsvector('english', description), 'B')`;
+const SEARCH_TEXT = `name || '. ' || description`;
+
+// The filters for the companies list, see sqlForFilter.
+//  nameLike finds the companies whose name contains the text, case-insensitive.
+//  q is the full-text search. fuzzy finds the companies whose name is close to
+//  the text, typos and all.
+const FILTERS = {
+  resource: "companies",
+  fields: {
+    q: { dbName: `(${SEARCH_DOCUMENT})`, type: "string", op: "search" },
+    fuzzy: { dbName: "name", type: "string", op: "similar" },
+    nameLike: { dbName: "name", type: "string", op: "ilike" },
+    minEmployees: { dbName: "num_employees", type: "integer", op: "gte" },
+    maxEmployees: { dbName: "num_employees", type: "integer", op: "lte" }
+  },
+  ranges: [["minEmployees", "maxEmployees"]]
+};
 
 /** Related functions for companies. */
 
@@ -17,50 +61,148 @@ class Company {
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-      `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-      [handle]);
+    try {
+      return await db.transaction(async () => {
+        const duplicateCheck = await db.query(
+          `SELECT handle
+               FROM companies
+               WHERE handle = $1`,
+          [handle]);
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
+        if (duplicateCheck.rows[0])
+          throw new BadRequestError(`Duplicate company: ${handle}`);
 
-    const result = await db.query(
-      `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-      [
-        handle,
-        name,
-        description,
-        numEmployees,
-        logoUrl,
-      ],
-    );
-    const company = result.rows[0];
+        const result = await db.query(
+          `INSERT INTO companies
+               (handle, name, description, num_employees, logo_url)
+               VALUES ($1, $2, $3, $4, $5)
+               RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [
+            handle,
+            name,
+            description,
+            numEmployees,
+            logoUrl,
+          ],
+        );
+        const company = result.rows[0];
 
-    return company;
+        return company;
+      });
+    } catch (error) {
+      // unique violation on the handle, the same company was created after the check.
+      if ((error.code === "23505") && (error.constraint === "companies_pkey")) {
+        throw new BadRequestError(`Duplicate company: ${handle}`);
+      }
+      throw error;
+    }
   }
 
-  /** Find all companies.
+  /** Find all companies, one page at a time.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * page is { limit, offset, cursor, sort } from pageFromQuery. The first page 
+   *  with the default limit is returned when page is not passed. sort can use
+   *  handle, name, and numEmployees and defaults to name.
+   *
+   * When filterValues has q, the full-text search, each company also has rank
+   *  and snippet, the matching text highlighted. sort can use relevance as well
+   *  and defaults to -relevance, the best match first.
+   *
+   * When filterValues has fuzzy, each company also has similarity, 0 - 1, how 
+   *  close the name is to the fuzzy text. sort can use similarity as well and 
+   *  defaults to -similarity, the closest match first.
+   *
+   * When a nameLike or q search finds no companies, didYouMean is the company
+   *  name closest to the search text, or null when nothing is close.
+   *
+   * Returns { companies, pagination } or { companies, pagination, didYouMean }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
    * */
 
-  static async findAll(filterValues) {
-    const filter = sqlForFilter(filterValues, "companies");
+  static async findAll(filterValues = {}, page = pageFromQuery()) {
+    const filter = sqlForFilter(filterValues, FILTERS);
+
+    let sortable = SORTABLE;
+    let searchColumns = "";
+    let defaultSort = "name";
+    if (filter.params.q) {
+      const search = sqlForSearch(filter.params.q, SEARCH_DOCUMENT, SEARCH_TEXT);
+      sortable = { ...SORTABLE, relevance: { dbName: search.rank, key: "rank", type: "number" } };
+      searchColumns = `, ${search.rank} AS "rank", ${search.snippet} AS "snippet"`;
+      defaultSort = "-relevance";
+    }
+    if (filter.params.fuzzy) {
+      const similarity = sqlForSimilarity(filter.params.fuzzy, "name");
+      sortable = { ...sortable, similarity: { dbName: similarity, key: "similarity", type: "number" } };
+      searchColumns += `, ${similarity} AS "similarity"`;
+      defaultSort = "-similarity";
+    }
+
+    const keys = sortKeys(page.sort || defaultSort, sortable, "handle", "companies");
+    const paging = sqlForPage(page, keys, filter.values.length + 1);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*) AS "total"
+           FROM companies
+           ${filter.whereClause}`, filter.values);
+
     const companiesRes = await db.query(
       `SELECT handle,
                   name,
                   description,
                   num_employees AS "numEmployees",
                   logo_url AS "logoUrl"
+                  ${searchColumns}
            FROM companies
-           ${filter.whereClause} 
-           ORDER BY name`, filter.values);
-    return companiesRes.rows;
+           ${addCondition(filter.whereClause, paging.condition)} 
+           ${paging.orderBy}
+           ${paging.limitClause}`, [...filter.values, ...paging.values]);
+
+    const total = +countRes.rows[0].total;
+    const { rows, pagination } = pageResult(
+      companiesRes.rows, page, keys, paging.cursor, total);
+
+    const searchText = filterValues.nameLike || filterValues.q;
+    if ((total === 0) && (searchText)) {
+      return { companies: rows, pagination, didYouMean: await Company.suggestName(searchText) };
+    }
+
+    return { companies: rows, pagination };
+  }
+
+  /** Given search text, return the company name closest to it for a "did you
+   *  mean" suggestion, or null when no name is close enough.
+   **/
+
+  static async suggestName(text) {
+    const result = await db.query(
+      `SELECT name
+           FROM companies
+           WHERE ${sqlForSimilarity("$1", "name")} >= $2
+           ORDER BY ${sqlForSimilarity("$1", "name")} DESC, name
+           LIMIT 1`,
+      [text.trim(), SIMILARITY_THRESHOLD]);
+
+    return (result.rows[0]) ? result.rows[0].name : null;
+  }
+
+  /** Given the start of a company name, return the companies whose name starts
+   *  with it, case-insensitive, for autocomplete. 
+   *
+   * Returns [{ handle, name }, ...] ordered by name, at most limit companies.
+   **/
+
+  static async findByPrefix(prefix, limit) {
+    const result = await db.query(
+      `SELECT handle, name
+           FROM companies
+           WHERE lower(name) LIKE $1
+           ORDER BY lower(name), handle
+           LIMIT $2`,
+      [likePrefix(prefix), limit]);
+
+    return result.rows;
   }
 
   /** Given a company handle, return data about company.
@@ -3,6 +3,7 @@
 const db = require("../db.js");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const Company = require("./company.js");
+const { pageFromQuery } = require("../helpers/pagination");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -60,7 +61,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -106,7 +107,7 @@ describe("findAll", function () {
 
 describe("findAll with filters", function () {
   test("works: filter nameLike 1", async function () {
-    let companies = await Company.findAll({ nameLike: "1" });
+    let { companies } = await Company.findAll({ nameLike: "1" });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -133,7 +134,7 @@ describe("findAll with filters", function () {
   });
 
   test("works: filter nameLike c", async function () {
-    let companies = await Company.findAll({ nameLike: "c" });
+    let { companies } = await Company.findAll({ nameLike: "c" });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -160,7 +161,7 @@ describe("findAll with filters", function () {
   });
 
   test("works: filter minEmployees 5", async function () {
-    let companies = await Company.findAll({ minEmployees: 5 });
+    let { companies } = await Company.findAll({ minEmployees: 5 });
     expect(companies).toEqual([
       {
         handle: "e1",
@@ -173,12 +174,12 @@ describe("findAll with filters", function () {
   });
 
   test("works: filter minEmployees 6", async function () {
-    let companies = await Company.findAll({ minEmployees: 6 });
+    let { companies } = await Company.findAll({ minEmployees: 6 });
     expect(companies).toEqual([]);
   });
 
   test("works: filter minEmployees 2, maxEmployees 4", async function () {
-    let companies = await Company.findAll({ minEmployees: 2, maxEmployees: 4 });
+    let { companies } = await Company.findAll({ minEmployees: 2, maxEmployees: 4 });
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -205,7 +206,7 @@ describe("findAll with filters", function () {
   });
 
   test("works: filter minEmployees 2, maxEmployees 4, nameLike d", async function () {
-    let companies = await Company.findAll({ minEmployees: 2, maxEmployees: 4, nameLike: "d" });
+    let { companies } = await Company.findAll({ minEmployees: 2, maxEmployees: 4, nameLike: "d" });
     expect(companies).toEqual([
       {
         handle: "d1",
@@ -222,7 +223,7 @@ describe("findAll with filters", function () {
   // test("error: filter minEmployees 2, maxEmployees 1, nameLike d", async function () {
   //   const dataForFilter = { minEmployees: 2, maxEmployees: 1, nameLike: "d" };
   //   async function companyFindAllBadFilter() {
-  //     let companies = await Company.findAll(dataForFilter);
+  //     let { companies } = await Company.findAll(dataForFilter);
   //   }
   //   expect(companyFindAllBadFilter).toThrowError(new Error(
   //     `Filter is incorrect: 'minEmployees', ${dataForFilter["minEmployees"]}, is NOT less than 'maxEmployees', ${dataForFilter["maxEmployees"]}.`
@@ -232,6 +233,84 @@ describe("findAll with filters", function () {
 
 });
 
+/************************************** findAll with full-text search */
+
+describe("findAll with full-text search", function () {
+  beforeEach(async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('s1', 'Search Works', 10, 'We make tools.'),
+             ('s2', 'Tool Shed', 20, 'Our searching team is small.'),
+             ('s3', 'Quiet', 30, 'Nothing to find here.')`);
+  });
+
+  test("works: ranked by relevance, name matches first", async function () {
+    const { companies, pagination } = await Company.findAll({ q: "search" });
+    expect(companies.map(c => c.handle)).toEqual(["s1", "s2"]);
+    expect(companies[0].rank).toBeGreaterThan(companies[1].rank);
+    expect(companies[0].snippet).toContain("<mark>Search</mark>");
+    expect(companies[1].snippet).toContain("<mark>searching</mark>");
+    expect(pagination.total).toEqual(2);
+  });
+
+  test("works: pages by relevance", async function () {
+    const q = "search OR tools";
+    const { companies } = await Company.findAll({ q });
+
+    const first = await Company.findAll({ q }, pageFromQuery({ limit: "1" }));
+    const second = await Company.findAll({ q },
+      pageFromQuery({ limit: "1", cursor: first.pagination.nextCursor }));
+    expect([...first.companies, ...second.companies]).toEqual(companies);
+    expect(second.pagination.nextCursor).toEqual(null);
+  });
+
+  test("works: other filters and sort", async function () {
+    const { companies } = await Company.findAll(
+      { q: "search", minEmployees: "15" }, pageFromQuery({ sort: "name" }));
+    expect(companies.map(c => c.handle)).toEqual(["s2"]);
+  });
+
+  test("works: nothing found, did you mean", async function () {
+    const result = await Company.findAll({ nameLike: "serch works" });
+    expect(result.companies).toEqual([]);
+    expect(result.didYouMean).toEqual("Search Works");
+  });
+
+  test("works: nothing found, nothing close", async function () {
+    const result = await Company.findAll({ nameLike: "zzzz" });
+    expect(result.didYouMean).toEqual(null);
+  });
+
+  test("works: fuzzy, closest first with a similarity score", async function () {
+    const { companies } = await Company.findAll({ fuzzy: "serch wrks" });
+    expect(companies.map(c => c.handle)).toEqual(["s1"]);
+    expect(companies[0].similarity).toBeGreaterThan(0.4);
+    expect(companies[0].didYouMean).toBeUndefined();
+  });
+
+  test("bad request sorting by relevance without q", async function () {
+    try {
+      await Company.findAll({}, pageFromQuery({ sort: "relevance" }));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findByPrefix */
+
+describe("findByPrefix", function () {
+  test("works", async function () {
+    const companies = await Company.findByPrefix("c", 2);
+    expect(companies).toEqual([{ handle: "c1", name: "C1" }, { handle: "c2", name: "C2" }]);
+  });
+
+  test("works: no matches", async function () {
+    expect(await Company.findByPrefix("z", 2)).toEqual([]);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -0,0 +1,229 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sendMail } = require("../helpers/mail");
+
+/** Related functions for the members of a company.
+ *
+ * A member manages one company: an owner its jobs, its details and its
+ *  members, a recruiter its jobs. The permissions each one gives are in
+ *  helpers/permissions.js. A user is invited by an owner, or by an admin, and
+ *  is a member once they accept.
+ */
+
+class CompanyMember {
+  /** Returns the company's members and the users invited, by username.
+   *
+   * [{ username, role, invitedBy, invitedAt, acceptedAt }, ...] where
+   *  acceptedAt is null for an invitation that is not accepted yet.
+   *
+   * Throws NotFoundError if the company is not found.
+   **/
+
+  static async findAll(handle) {
+    const companyRes = await db.query(
+      `SELECT handle FROM companies WHERE handle = $1`, [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+      `SELECT username,
+              role,
+              invited_by AS "invitedBy",
+              invited_at AS "invitedAt",
+              accepted_at AS "acceptedAt"
+           FROM company_members
+           WHERE company_handle = $1
+           ORDER BY username`,
+      [handle]);
+
+    return result.rows;
+  }
+
+
+  /** Returns the companies of the user, and the invitations they have, by
+   *  handle.
+   *
+   * [{ companyHandle, role, invitedBy, invitedAt, acceptedAt }, ...]
+   *
+   * Throws NotFoundError if the user is not found.
+   **/
+
+  static async forUser(username) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT company_handle AS "companyHandle",
+              role,
+              invited_by AS "invitedBy",
+              invited_at AS "invitedAt",
+              accepted_at AS "acceptedAt"
+           FROM company_members
+           WHERE username = $1
+           ORDER BY company_handle`,
+      [username]);
+
+    return result.rows;
+  }
+
+
+  /** Returns the user's role in the company, 'owner' or 'recruiter', or
+   *  undefined when they are not a member. An invitation that is not accepted
+   *  has no role.
+   **/
+
+  static async roleFor(handle, username) {
+    const result = await db.query(
+      `SELECT role
+           FROM company_members
+           WHERE company_handle = $1
+             AND username = $2
+             AND accepted_at IS NOT NULL`,
+      [handle || null, username]);
+
+    return result.rows[0] && result.rows[0].role;
+  }
+
+
+  /** Returns the users, of usernames, who applied for a job at a company
+   *  username is a member of.
+   *
+   * [username, ...]
+   **/
+
+  static async applicantsFor(username, usernames) {
+    const result = await db.query(
+      `SELECT DISTINCT a.username
+           FROM applications AS a
+           JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = ANY($1)
+             AND j.company_handle IN (SELECT company_handle
+                                        FROM company_members
+                                        WHERE username = $2
+                                          AND accepted_at IS NOT NULL)
+           ORDER BY a.username`,
+      [usernames, username]);
+
+    return result.rows.map(r => r.username);
+  }
+
+
+  /** Invite username to the company as role, 'owner' or 'recruiter', and mail
+   *  them. invitedBy is the user inviting them.
+   *
+   * Returns { username, role, invitedBy, invitedAt, acceptedAt }
+   *
+   * Throws NotFoundError if the company or the user is not found,
+   *  BadRequestError when the user is a member or is invited already.
+   **/
+
+  static async invite(handle, { username, role }, invitedBy) {
+    const companyRes = await db.query(
+      `SELECT name FROM companies WHERE handle = $1`, [handle]);
+    const company = companyRes.rows[0];
+    if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+    const userRes = await db.query(
+      `SELECT first_name AS "firstName", email FROM users WHERE username = $1`,
+      [username]);
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `INSERT INTO company_members (company_handle, username, role, invited_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (company_handle, username) DO NOTHING
+           RETURNING username,
+                     role,
+                     invited_by AS "invitedBy",
+                     invited_at AS "invitedAt",
+                     accepted_at AS "acceptedAt"`,
+      [handle, username, role, invitedBy]);
+
+    const member = result.rows[0];
+    if (!member) {
+      throw new BadRequestError(`${username} is already a member of ${handle} or invited to it.`);
+    }
+
+    await sendMail({
+      to: user.email,
+      subject: `Join ${company.name} on Jobly`,
+      text: `Hi ${user.firstName},\n\n`
+        + `${invitedBy} invited you to ${company.name} as a ${role}. `
+        + `Accept with POST /companies/${handle}/members/${username}/accept, `
+        + `or turn it down with DELETE /companies/${handle}/members/${username}.\n`
+    });
+
+    return member;
+  }
+
+
+  /** Accept the user's invitation to the company.
+   *
+   * Returns { username, role, invitedBy, invitedAt, acceptedAt }
+   *
+   * Throws NotFoundError when the user has no invitation to the company that
+   *  is not accepted yet.
+   **/
+
+  static async accept(handle, username) {
+    const result = await db.query(
+      `UPDATE company_members
+           SET accepted_at = now()
+           WHERE company_handle = $1
+             AND username = $2
+             AND accepted_at IS NULL
+           RETURNING username,
+                     role,
+                     invited_by AS "invitedBy",
+                     invited_at AS "invitedAt",
+                     accepted_at AS "acceptedAt"`,
+      [handle, username]);
+
+    const member = result.rows[0];
+    if (!member) throw new NotFoundError(`No invitation for ${username} to ${handle}`);
+
+    return member;
+  }
+
+
+  /** Remove the member from the company, or turn down their invitation.
+   *  Returns undefined.
+   *
+   * Throws NotFoundError when the user is not a member or invited,
+   *  BadRequestError for the company's last owner, so a company always has
+   *  one once it has had one.
+   **/
+
+  static async remove(handle, username) {
+    await db.transaction(async () => {
+      // lock the company's owners so two owners can not remove each other.
+      const ownersRes = await db.query(
+        `SELECT username
+             FROM company_members
+             WHERE company_handle = $1
+               AND role = 'owner'
+               AND accepted_at IS NOT NULL
+             FOR UPDATE`,
+        [handle]);
+      const owners = ownersRes.rows.map(r => r.username);
+
+      if ((owners.length === 1) && (owners[0] === username)) {
+        throw new BadRequestError(`${username} is the last owner of ${handle}.`);
+      }
+
+      const result = await db.query(
+        `DELETE FROM company_members
+             WHERE company_handle = $1 AND username = $2
+             RETURNING username`,
+        [handle, username]);
+
+      if (!result.rows[0]) throw new NotFoundError(`${username} is not a member of ${handle}`);
+    });
+  }
+}
+
+
+module.exports = CompanyMember;
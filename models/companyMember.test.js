@@ -0,0 +1,196 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { getTransport } = require("../helpers/mail");
+const CompanyMember = require("./companyMember.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  getTransport().outbox.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Makes u1 an owner of c1. */
+
+async function u1OwnsC1() {
+  await CompanyMember.invite("c1", { username: "u1", role: "owner" }, "u2");
+  await CompanyMember.accept("c1", "u1");
+}
+
+
+/************************************** invite */
+
+describe("invite", function () {
+  test("works", async function () {
+    const member = await CompanyMember.invite("c1", { username: "u1", role: "recruiter" }, "u2");
+    expect(member).toEqual({
+      username: "u1",
+      role: "recruiter",
+      invitedBy: "u2",
+      invitedAt: expect.any(Date),
+      acceptedAt: null
+    });
+
+    const { outbox } = getTransport();
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0].to).toEqual("u1@email.com");
+    expect(outbox[0].text).toEqual(expect.stringContaining("/companies/c1/members/u1/accept"));
+  });
+
+  test("an invitation is not a membership", async function () {
+    await CompanyMember.invite("c1", { username: "u1", role: "owner" }, "u2");
+    expect(await CompanyMember.roleFor("c1", "u1")).toBeUndefined();
+  });
+
+  test("bad request when invited already", async function () {
+    await CompanyMember.invite("c1", { username: "u1", role: "recruiter" }, "u2");
+    await expect(CompanyMember.invite("c1", { username: "u1", role: "owner" }, "u2"))
+      .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such company or user", async function () {
+    await expect(CompanyMember.invite("nope", { username: "u1", role: "owner" }, "u2"))
+      .rejects.toThrow(NotFoundError);
+    await expect(CompanyMember.invite("c1", { username: "nope", role: "owner" }, "u2"))
+      .rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** accept */
+
+describe("accept", function () {
+  test("works", async function () {
+    await CompanyMember.invite("c1", { username: "u1", role: "recruiter" }, "u2");
+    const member = await CompanyMember.accept("c1", "u1");
+    expect(member.acceptedAt).toEqual(expect.any(Date));
+    expect(await CompanyMember.roleFor("c1", "u1")).toEqual("recruiter");
+  });
+
+  test("not found without an invitation", async function () {
+    await expect(CompanyMember.accept("c1", "u1")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found when accepted already", async function () {
+    await u1OwnsC1();
+    await expect(CompanyMember.accept("c1", "u1")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** roleFor */
+
+describe("roleFor", function () {
+  test("works", async function () {
+    await u1OwnsC1();
+    expect(await CompanyMember.roleFor("c1", "u1")).toEqual("owner");
+  });
+
+  test("undefined for another company or no company", async function () {
+    await u1OwnsC1();
+    expect(await CompanyMember.roleFor("c2", "u1")).toBeUndefined();
+    expect(await CompanyMember.roleFor(undefined, "u1")).toBeUndefined();
+  });
+});
+
+
+/************************************** findAll / forUser */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await u1OwnsC1();
+    await CompanyMember.invite("c1", { username: "u2", role: "recruiter" }, "u1");
+    const members = await CompanyMember.findAll("c1");
+    expect(members.map(m => [m.username, m.role, m.acceptedAt !== null]))
+      .toEqual([["u1", "owner", true], ["u2", "recruiter", false]]);
+  });
+
+  test("not found if no such company", async function () {
+    await expect(CompanyMember.findAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe("forUser", function () {
+  test("works", async function () {
+    await u1OwnsC1();
+    await CompanyMember.invite("c2", { username: "u1", role: "recruiter" }, "u2");
+    expect(await CompanyMember.forUser("u1")).toEqual([
+      {
+        companyHandle: "c1",
+        role: "owner",
+        invitedBy: "u2",
+        invitedAt: expect.any(Date),
+        acceptedAt: expect.any(Date)
+      },
+      {
+        companyHandle: "c2",
+        role: "recruiter",
+        invitedBy: "u2",
+        invitedAt: expect.any(Date),
+        acceptedAt: null
+      }
+    ]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(CompanyMember.forUser("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** applicantsFor */
+
+describe("applicantsFor", function () {
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO applications (username, job_id)
+           SELECT 'u1', id FROM jobs WHERE title = 'one'`);
+  });
+
+  test("works", async function () {
+    await CompanyMember.invite("c1", { username: "u2", role: "recruiter" }, "u1");
+    expect(await CompanyMember.applicantsFor("u2", ["u1", "u2"])).toEqual([]);
+
+    await CompanyMember.accept("c1", "u2");
+    expect(await CompanyMember.applicantsFor("u2", ["u1", "u2"])).toEqual(["u1"]);
+  });
+});
+
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await u1OwnsC1();
+    await CompanyMember.invite("c1", { username: "u2", role: "recruiter" }, "u1");
+    await CompanyMember.accept("c1", "u2");
+    await CompanyMember.remove("c1", "u2");
+    expect(await CompanyMember.roleFor("c1", "u2")).toBeUndefined();
+  });
+
+  test("works: an owner when there is another", async function () {
+    await u1OwnsC1();
+    await CompanyMember.invite("c1", { username: "u2", role: "owner" }, "u1");
+    await CompanyMember.accept("c1", "u2");
+    await CompanyMember.remove("c1", "u1");
+    expect((await CompanyMember.findAll("c1")).map(m => m.username)).toEqual(["u2"]);
+  });
+
+  test("bad request for the last owner", async function () {
+    await u1OwnsC1();
+    await expect(CompanyMember.remove("c1", "u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if not a member", async function () {
+    await expect(CompanyMember.remove("c1", "u1")).rejects.toThrow(NotFoundError);
+  });
+});
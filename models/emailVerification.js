@@ -0,0 +1,112 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken, randomToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const { EMAIL_VERIFICATION_TTL } = require("../config");
+
+/** Related functions for verifying users' emails.
+ *
+ * A verification token is mailed to the user's email. It verifies that email
+ *  once, before it expires after EMAIL_VERIFICATION_TTL seconds. A token for
+ *  an email the user has changed since does not verify the new one. The db has
+ *  the hash of the token, not the token.
+ */
+
+class EmailVerification {
+  /** Mail a verification token to the user's email, unless it is verified
+   *  already. A new token replaces the user's tokens that are not used yet.
+   *
+   * Returns true when a token was mailed and false when the email is verified.
+   *
+   * Throws NotFoundError if the user is not found.
+   **/
+
+  static async send(username) {
+    const userRes = await db.query(
+      `SELECT username,
+              first_name AS "firstName",
+              email,
+              email_verified_at IS NOT NULL AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+      [username]);
+
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) return false;
+
+    const token = randomToken();
+
+    await db.transaction(async () => {
+      await db.query(
+        `DELETE FROM email_verification_tokens
+             WHERE username = $1 AND used_at IS NULL`,
+        [user.username]);
+
+      await db.query(
+        `INSERT INTO email_verification_tokens
+             (token_hash, username, email, expires_at)
+             VALUES ($1, $2, $3, now() + make_interval(secs => $4))`,
+        [hashToken(token), user.username, user.email, EMAIL_VERIFICATION_TTL]);
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email",
+      text: `Hi ${user.firstName},\n\n`
+        + `Use this token to verify the email for ${user.username}:\n\n`
+        + `${token}\n\n`
+        + `It expires in ${Math.round(EMAIL_VERIFICATION_TTL / 3600)} hours. `
+        + `If you did not sign up for Jobly, you can ignore this mail.\n`
+    });
+
+    return true;
+  }
+
+
+  /** Verify the user's email with a token. The token, and any other
+   *  verification token the user has, can not be used again.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError when the token is not found, used, expired, or is
+   *  for an email the user no longer has.
+   **/
+
+  static async confirm(token) {
+    return await db.transaction(async () => {
+      const tokenRes = await db.query(
+        `SELECT t.username, t.email
+             FROM email_verification_tokens AS t
+             JOIN users AS u ON u.username = t.username
+             WHERE t.token_hash = $1
+               AND t.used_at IS NULL
+               AND t.expires_at > now()
+               AND t.email = u.email
+             FOR UPDATE OF t, u`,
+        [hashToken(token)]);
+
+      const found = tokenRes.rows[0];
+      if (!found) throw new BadRequestError("Invalid or expired email verification token.");
+
+      await db.query(
+        `UPDATE email_verification_tokens
+             SET used_at = now()
+             WHERE username = $1 AND used_at IS NULL`,
+        [found.username]);
+
+      await db.query(
+        `UPDATE users
+             SET email_verified_at = now()
+             WHERE username = $1`,
+        [found.username]);
+
+      return found;
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
@@ -0,0 +1,117 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { getTransport } = require("../helpers/mail");
+const { hashToken } = require("../helpers/tokens");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  getTransport().outbox.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Returns the verification token in the last mail sent. */
+function mailedToken() {
+  const { outbox } = getTransport();
+  return /^([A-Za-z0-9_-]{43})$/m.exec(outbox[outbox.length - 1].text)[1];
+}
+
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    expect(await EmailVerification.send("u1")).toEqual(true);
+    const { outbox } = getTransport();
+    expect(outbox).toEqual([{
+      from: expect.any(String),
+      to: "u1@email.com",
+      subject: "Verify your Jobly email",
+      text: expect.stringContaining("verify the email for u1")
+    }]);
+
+    const found = await db.query(
+      "SELECT username, email FROM email_verification_tokens WHERE token_hash = $1",
+      [hashToken(mailedToken())]);
+    expect(found.rows).toEqual([{ username: "u1", email: "u1@email.com" }]);
+  });
+
+  test("nothing is sent when the email is verified", async function () {
+    await EmailVerification.send("u1");
+    await EmailVerification.confirm(mailedToken());
+    getTransport().outbox.length = 0;
+
+    expect(await EmailVerification.send("u1")).toEqual(false);
+    expect(getTransport().outbox).toEqual([]);
+  });
+
+  test("a new token replaces the one before", async function () {
+    await EmailVerification.send("u1");
+    const first = mailedToken();
+    await EmailVerification.send("u1");
+    await expect(EmailVerification.confirm(first)).rejects.toThrow(BadRequestError);
+    expect(await EmailVerification.confirm(mailedToken()))
+      .toEqual({ username: "u1", email: "u1@email.com" });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.send("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    expect(await EmailVerification.confirm(mailedToken()))
+      .toEqual({ username: "u1", email: "u1@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+    expect((await User.get("u2")).emailVerified).toEqual(false);
+  });
+
+  test("the token can be used once", async function () {
+    await EmailVerification.send("u1");
+    const token = mailedToken();
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid or expired email verification token.");
+    }
+  });
+
+  test("bad request if the email changed since", async function () {
+    await EmailVerification.send("u1");
+    const token = mailedToken();
+    await User.update("u1", { email: "new@email.com" });
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1");
+    const token = mailedToken();
+    await db.query(
+      "UPDATE email_verification_tokens SET expires_at = now() - interval '1 second'");
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if not found", async function () {
+    await expect(EmailVerification.confirm("nope")).rejects.toThrow(BadRequestError);
+  });
+});
@@ -2,8 +2,138 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { sqlForFilter, sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  SIMILARITY_THRESHOLD,
+  likePrefix,
+  sqlForFilter,
+  sqlForPartialUpdate,
+  sqlForSearch,
+  sqlForSimilarity
+} = require("../helpers/sql");
+const { applyQuery } = require("../helpers/query");
 const Company = require("./company");
+const {
+  addCondition,
+  pageFromQuery,
+  pageResult,
+  sortKeys,
+  sqlForPage
+} = require("../helpers/pagination");
+
+// The fields jobs can be sorted by. handle and name are the company handle and 
+//  name. id is unique and breaks ties. salary and equity can be null, nulls
+//  sort as -1.
+const SORTABLE = {
+  handle: { dbName: "c.handle", key: "handle", type: "string" },
+  name: { dbName: "c.name", key: "name", type: "string" },
+  id: { dbName: "j.id", key: "id", type: "integer" },
+  title: { dbName: "j.title", key: "title", type: "string" },
+  salary: { dbName: "j.salary", key: "salary", type: "integer", nullAs: -1 },
+  equity: { dbName: "j.equity", key: "equity", type: "number", nullAs: -1 }
+};
+
+// Full-text search covers the job title. Jobs do not have a description yet,
+//  when they do it belongs in the document with a lower weight. SEARCH_DOCUMENT
+//  is the same expression as the jobs_search_idx index.
+const SEARCH_DOCUMENT = `to_tsvector('english', j.title)`;
+const SEARCH_TEXT = `j.title`;
+
+// The filters for the jobs lists, see sqlForFilter. handle is a list of company
+//  handles, the model sets it to one handle for the jobs at one company. 
+//  hasEquity true finds the jobs with a non-zero amount of equity, false finds
+//  all jobs regardless of equity. offersEquity is the query language's
+//  equity:yes / equity:no, true finds the jobs with a non-zero amount of equity
+//  and false the jobs with none. companyName, minEmployees, and maxEmployees
+//  filter on the company the job is at. q is the full-text search. fuzzy finds
+//  the jobs whose title is close to the text, typos and all.
+const FILTERS = {
+  resource: "jobs",
+  fields: {
+    q: { dbName: SEARCH_DOCUMENT, type: "string", op: "search" },
+    fuzzy: { dbName: "j.title", type: "string", op: "similar" },
+    handle: { dbName: "c.handle", type: "string", op: "in" },
+    title: { dbName: "title", type: "string", op: "ilike" },
+    minSalary: { dbName: "salary", type: "integer", op: "gte" },
+    maxSalary: { dbName: "salary", type: "integer", op: "lte" },
+    hasEquity: {
+      dbName: "equity",
+      op: "boolean",
+      sql: { true: "equity > 0", false: "((equity >= 0) OR (equity IS NULL))" }
+    },
+    offersEquity: {
+      dbName: "equity",
+      op: "boolean",
+      sql: { true: "equity > 0", false: "((equity = 0) OR (equity IS NULL))" }
+    },
+    minEquity: { dbName: "equity", type: "number", op: "gte" },
+    maxEquity: { dbName: "equity", type: "number", op: "lte" },
+    companyName: { dbName: "c.name", type: "string", op: "ilike" },
+    minEmployees: { dbName: "c.num_employees", type: "integer", op: "gte" },
+    maxEmployees: { dbName: "c.num_employees", type: "integer", op: "lte" }
+  },
+  ranges: [
+    ["minSalary", "maxSalary"],
+    ["minEquity", "maxEquity"],
+    ["minEmployees", "maxEmployees"]
+  ]
+};
+
+// The query language for jobs, see helpers/query.js. Each field and operator
+//  sets one of the FILTERS, words that are not a field are the full-text search.
+//    title:engineer salary>=120000 equity:yes company:hall-davis
+const QUERY_LANGUAGE = {
+  text: "q",
+  fields: {
+    title: { ":": { filter: "title", type: "string" } },
+    salary: {
+      ">=": { filter: "minSalary", type: "integer" },
+      "<=": { filter: "maxSalary", type: "integer" }
+    },
+    equity: {
+      ":": { filter: "offersEquity", type: "boolean" },
+      ">=": { filter: "minEquity", type: "number" },
+      "<=": { filter: "maxEquity", type: "number" }
+    },
+    company: { ":": { filter: "handle", type: "string", list: true } },
+    companyName: { ":": { filter: "companyName", type: "string" } },
+    employees: {
+      ">=": { filter: "minEmployees", type: "integer" },
+      "<=": { filter: "maxEmployees", type: "integer" }
+    }
+  }
+};
+
+// The ranges for the salary and company size facets, in order. A range with a
+//  null max is open ended. min and max are the same values the minSalary / 
+//  maxSalary and minEmployees / maxEmployees filters take, so a facet can be 
+//  turned into a filter. Jobs with no salary, or at a company with no size,
+//  are counted in a NOT_LISTED range.
+const SALARY_RANGES = [
+  { range: "0-49999", min: 0, max: 49999 },
+  { range: "50000-99999", min: 50000, max: 99999 },
+  { range: "100000-149999", min: 100000, max: 149999 },
+  { range: "150000+", min: 150000, max: null }
+];
+const COMPANY_SIZE_RANGES = [
+  { range: "0-10", min: 0, max: 10 },
+  { range: "11-50", min: 11, max: 50 },
+  { range: "51-200", min: 51, max: 200 },
+  { range: "201-1000", min: 201, max: 1000 },
+  { range: "1001+", min: 1001, max: null }
+];
+const NOT_LISTED = "not listed";
+
+// The facets Job.facets can count.
+const FACETS = ["company", "salary", "equity", "companySize"];
+
+/** Builds the CASE expression that names the range dbName falls in. */
+
+function sqlForRanges(dbName, ranges) {
+  const whens = ranges.map(({ range, min, max }) => (max === null)
+    ? `WHEN ${dbName} >= ${min} THEN '${range}'`
+    : `WHEN ${dbName} <= ${max} THEN '${range}'`);
+  return `CASE WHEN ${dbName} IS NULL THEN '${NOT_LISTED}' ${whens.join(" ")} END`;
+}
 
 /** Related functions for jobs. */
 
@@ -50,13 +180,32 @@ class Job {
   }
 
 
-  /** Find all jobs for a company.
+  /** Find all jobs or all jobs for a company.
+   *
+   * When handle is "", all jobs are found one page at a time. page is 
+   *  { limit, offset, cursor, sort } from pageFromQuery and the first page with
+   *  the default limit is used when page is not passed. The limit is the number 
+   *  of jobs on the page, the jobs are then grouped by company. sort can use 
+   *  handle, name, id, title, salary, and equity and defaults to handle. When
+   *  sorted by a job field, a company shows up again each time the sort moves
+   *  back to one of its jobs.
    *
-   * Returns [{ companyHandle, name, numEmployees, id, title, salary, equity }, ...]
+   * When handle is a company handle, all jobs for the company are found and
+   *  page is not used.
+   *
+   * filterValues can have query, the search query language. It is replaced by
+   *  the filters it sets, see QUERY_LANGUAGE.
+   *
+   * Returns { jobs, pagination }
+   *   where jobs is [{ handle, name, numEmployees, jobs: [{ id, title, salary, equity }, ...] }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor } or null
+   *   for the jobs at a single company.
    * 
    * */
 
-  static async findAll(handle, joinType, filterValues) {
+  static async findAll(handle, joinType, filterValues, page = pageFromQuery()) {
+
+    filterValues = applyQuery(filterValues, QUERY_LANGUAGE);
 
     let filtersInAffect = false;
 
@@ -71,12 +220,15 @@ class Job {
       filterValues.handle = handle;
     }
 
-    const filter = sqlForFilter(filterValues, "jobs");
+    const filter = sqlForFilter(filterValues, FILTERS);
+
+    if (!handle) {
+      return await Job.findPage(
+        filter, filtersInAffect, page, filterValues.title || filterValues.q);
+    }
 
-    // This is a common query. 
-    // for get jobs/ , joinType is '' because all companies with a job 
-    //  is an inner join.
-    // for bet jobs/:handle, joinType is 'LEFT ' because the company
+    // get jobs/ is paged by findPage above.
+    // for get companies/:handle, joinType is 'LEFT ' because the company
     //  should get returned, even when there are no jobs. 
     let companyJobs = await db.query(
       `SELECT c.handle
@@ -103,7 +255,7 @@ class Job {
           // We are still in findAll because the company WAS found, the 
           //  filtering caused nothing to return.
           companyJobs.jobs = [];
-          return [companyJobs];
+          return { jobs: [companyJobs], pagination: null };
 
         } else {
           // handle is "" so this is a get all jobs with filters and 
@@ -137,8 +289,221 @@ class Job {
       companyJobs.rows[0].jobs.pop();
     }
 
-    return companyJobs.rows;
+    return { jobs: companyJobs.rows, pagination: null };
+
+  }
+
+
+  /** Find one page of jobs across all companies. Used by findAll.
+   *
+   * filter is the { whereClause, values, params } from sqlForFilter.
+   *
+   * When the filter has q, the full-text search, each job also has rank and 
+   *  snippet, the matching text highlighted. sort can use relevance as well and
+   *  defaults to -relevance, the best match first.
+   *
+   * When the filter has fuzzy, each job also has similarity, 0 - 1, how close 
+   *  the title is to the fuzzy text. sort can use similarity as well and 
+   *  defaults to -similarity, the closest match first.
+   *
+   * searchText is the title or q text, if any. When it finds no jobs the 
+   *  NotFoundError has didYouMean, the job title closest to searchText or null.
+   *
+   * Returns { jobs, pagination }
+   *   where jobs is [{ handle, name, numEmployees, jobs: [{ id, title, salary, equity }, ...] }, ...]
+   *
+   * Throws NotFoundError when filters are in effect and no jobs match them.
+   * */
+
+  static async findPage(filter, filtersInAffect, page, searchText) {
+    let sortable = SORTABLE;
+    let searchColumns = "";
+    let defaultSort = "handle";
+    const search = (filter.params.q)
+      ? sqlForSearch(filter.params.q, SEARCH_DOCUMENT, SEARCH_TEXT) : undefined;
+    if (search) {
+      sortable = { ...SORTABLE, relevance: { dbName: search.rank, key: "rank", type: "number" } };
+      searchColumns = `, ${search.rank} AS "rank", ${search.snippet} AS "snippet"`;
+      defaultSort = "-relevance";
+    }
+    const similarity = (filter.params.fuzzy)
+      ? sqlForSimilarity(filter.params.fuzzy, "j.title") : undefined;
+    if (similarity) {
+      sortable = { ...sortable, similarity: { dbName: similarity, key: "similarity", type: "number" } };
+      searchColumns += `, ${similarity} AS "similarity"`;
+      defaultSort = "-similarity";
+    }
+
+    const keys = sortKeys(page.sort || defaultSort, sortable, "id", "jobs");
+    const paging = sqlForPage(page, keys, filter.values.length + 1);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*) AS "total"
+        FROM jobs AS j
+        JOIN companies AS c ON c.handle = j.company_handle
+        ${filter.whereClause}`, filter.values);
+
+    const total = +countRes.rows[0].total;
+    if ((total === 0) && (filtersInAffect)) {
+      const err = new NotFoundError(`No jobs were found due to filter settings`);
+      if (searchText) err.didYouMean = await Job.suggestTitle(searchText);
+      throw err;
+    }
+
+    const jobsRes = await db.query(
+      `SELECT c.handle
+            , c.name
+            , c.num_employees AS "numEmployees"
+            , j.id
+            , j.title
+            , j.salary
+            , j.equity
+            ${searchColumns}
+        FROM jobs AS j
+        JOIN companies AS c ON c.handle = j.company_handle
+        ${addCondition(filter.whereClause, paging.condition)}
+        ${paging.orderBy}
+        ${paging.limitClause}
+      `, [...filter.values, ...paging.values]);
+
+    const { rows, pagination } = pageResult(
+      jobsRes.rows, page, keys, paging.cursor, total);
+
+    // group the jobs on the page by company. Rows are in sort order so a new 
+    //  company group starts whenever the handle changes.
+    const companyJobs = [];
+    rows.forEach(row => {
+      let company = companyJobs[companyJobs.length - 1];
+      if ((!company) || (company.handle !== row.handle)) {
+        company = {
+          handle: row.handle,
+          name: row.name,
+          numEmployees: row.numEmployees,
+          jobs: []
+        };
+        companyJobs.push(company);
+      }
+      // Return numeric form of equity when it is not null.
+      const job = {
+        id: row.id,
+        title: row.title,
+        salary: row.salary,
+        equity: row.equity ? +row.equity : row.equity
+      };
+      if (search) {
+        job.rank = row.rank;
+        job.snippet = row.snippet;
+      }
+      if (similarity) job.similarity = row.similarity;
+      company.jobs.push(job);
+    });
+
+    return { jobs: companyJobs, pagination };
+  }
+
+
+  /** Given search text, return the job title closest to it for a "did you 
+   *  mean" suggestion, or null when no title is close enough.
+   **/
+
+  static async suggestTitle(text) {
+    const result = await db.query(
+      `SELECT j.title
+        FROM jobs AS j
+        WHERE ${sqlForSimilarity("$1", "j.title")} >= $2
+        ORDER BY ${sqlForSimilarity("$1", "j.title")} DESC, j.title
+        LIMIT 1`,
+      [text.trim(), SIMILARITY_THRESHOLD]);
+
+    return (result.rows[0]) ? result.rows[0].title : null;
+  }
+
+
+  /** Count the jobs that match the filters by facet.
+   *
+   * filterValues are the same filters findAll takes, query included, so the
+   *  counts are for all of the jobs the filters find, not just one page.
+   * names is the list of facets to count: company, salary, equity, and
+   *  companySize.
+   *
+   * Returns { company, salary, equity, companySize } with only the facets in
+   *  names where
+   *   company is [{ handle, name, count }, ...] most jobs first
+   *   salary and companySize are [{ range, min, max, count }, ...] for every
+   *     range in order, the jobs with no value last with range 'not listed'
+   *   equity is [{ hasEquity: true, count }, { hasEquity: false, count }]
+   *
+   * Throws BadRequestError for a facet that is not in the list.
+   **/
+
+  static async facets(filterValues, names) {
+    const filter = sqlForFilter(applyQuery(filterValues, QUERY_LANGUAGE), FILTERS);
+
+    const facets = {};
+    for (const name of names) {
+      if (!FACETS.includes(name)) {
+        throw new BadRequestError(`Counting 'jobs' by '${name}' is not possible.`);
+      }
+
+      if (name === "company") {
+        const result = await db.query(
+          `SELECT c.handle, c.name, COUNT(*)::integer AS "count"
+            FROM jobs AS j
+            JOIN companies AS c ON c.handle = j.company_handle
+            ${filter.whereClause}
+            GROUP BY c.handle, c.name
+            ORDER BY "count" DESC, c.handle`, filter.values);
+        facets.company = result.rows;
+
+      } else if (name === "equity") {
+        const result = await db.query(
+          `SELECT COUNT(*) FILTER (WHERE j.equity > 0)::integer AS "with",
+                  COUNT(*) FILTER (WHERE NOT (j.equity > 0) OR j.equity IS NULL)::integer AS "without"
+            FROM jobs AS j
+            JOIN companies AS c ON c.handle = j.company_handle
+            ${filter.whereClause}`, filter.values);
+        facets.equity = [
+          { hasEquity: true, count: result.rows[0].with },
+          { hasEquity: false, count: result.rows[0].without }
+        ];
+
+      } else {
+        const ranges = (name === "salary") ? SALARY_RANGES : COMPANY_SIZE_RANGES;
+        const dbName = (name === "salary") ? "j.salary" : "c.num_employees";
+        const result = await db.query(
+          `SELECT ${sqlForRanges(dbName, ranges)} AS "range", COUNT(*)::integer AS "count"
+            FROM jobs AS j
+            JOIN companies AS c ON c.handle = j.company_handle
+            ${filter.whereClause}
+            GROUP BY 1`, filter.values);
+
+        const counts = {};
+        result.rows.forEach(row => counts[row.range] = row.count);
+        facets[name] = [...ranges, { range: NOT_LISTED, min: null, max: null }]
+          .map(range => ({ ...range, count: counts[range.range] || 0 }));
+      }
+    }
+
+    return facets;
+  }
+
 
+  /** Given the start of a job title, return the jobs whose title starts with 
+   *  it, case-insensitive, for autocomplete.
+   *
+   * Returns [{ id, title, companyHandle }, ...] ordered by title, at most limit jobs.
+   **/
+
+  static async findByPrefix(prefix, limit) {
+    const result = await db.query(
+      `SELECT id, title, company_handle AS "companyHandle"
+        FROM jobs
+        WHERE lower(title) LIKE $1
+        ORDER BY lower(title), id
+        LIMIT $2`,
+      [likePrefix(prefix), limit]);
+
+    return result.rows;
   }
 
 
@@ -215,7 +580,7 @@ class Job {
 
     const result = await db.query(querySql, [...values, id]);
 
-    if (result.rows === 0) throw new NotFoundError(`No job: ${id}`);
+    if (!result.rows[0]) throw new NotFoundError(`No job: ${id}`);
 
     const job = result.rows[0];
 
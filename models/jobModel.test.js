@@ -63,7 +63,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: descending salary no filter", async function () {
-    let jobs = await Job.findAll("", "", {});
+    let { jobs } = await Job.findAll("", "", {});
     expect(jobs).toEqual(
       [
         {
@@ -116,6 +116,59 @@ describe("findAll", function () {
     )
   });
 
+  test("works: salary, equity, and company filters", async function () {
+    const { jobs, pagination } = await Job.findAll("", "",
+      { maxSalary: "100000", minEquity: "0.07", handle: "c1,d1", maxEmployees: "3" });
+    expect(jobs.map(c => c.jobs.map(j => j.title))).toEqual([["three", "twofour"]]);
+    expect(pagination.total).toEqual(2);
+  });
+
+});
+
+
+/************************************** facets */
+
+describe("facets", function () {
+  test("works: counts for all jobs", async function () {
+    const facets = await Job.facets({}, ["company", "equity"]);
+    expect(facets).toEqual({
+      company: [
+        { handle: "c1", name: "C1", count: 4 },
+        { handle: "d1", name: "D1", count: 1 }
+      ],
+      equity: [
+        { hasEquity: true, count: 3 },
+        { hasEquity: false, count: 2 }
+      ]
+    });
+  });
+
+  test("works: salary ranges with a filter", async function () {
+    const facets = await Job.facets({ title: "o" }, ["salary"]);
+    expect(facets.salary.map(r => r.count)).toEqual([0, 2, 2, 0, 0]);
+  });
+
+  test("bad request for an unknown facet", async function () {
+    try {
+      await Job.facets({}, ["title"]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+
+/************************************** findByPrefix */
+
+describe("findByPrefix", function () {
+  test("works", async function () {
+    const jobs = await Job.findByPrefix("ON", 5);
+    expect(jobs).toEqual([
+      { id: expect.any(Number), title: "one", companyHandle: "c1" },
+      { id: expect.any(Number), title: "onetwo", companyHandle: "c1" }
+    ]);
+  });
 });
 
 
@@ -155,6 +208,15 @@ describe("update", function () {
     });
   });
 
+  test("not found if no such job", async function () {
+    try {
+      await Job.update(0, { title: "huge pay" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
 });
 
 
@@ -171,7 +233,7 @@ describe("remove job", function () {
     await Job.remove(jobId);
 
     // verify
-    let jobs = await Job.findAll("", "", {});
+    let { jobs } = await Job.findAll("", "", {});
     expect(jobs).toEqual(
       [
         {
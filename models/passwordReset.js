@@ -0,0 +1,103 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { hashToken, randomToken } = require("../helpers/tokens");
+const { sendMailLater } = require("../helpers/mail");
+const { PASSWORD_RESET_TTL } = require("../config");
+const User = require("./user");
+
+/** Related functions for password resets.
+ *
+ * A reset token is mailed to the user. It sets a new password once, before it
+ *  expires after PASSWORD_RESET_TTL seconds. The db has the hash of the token,
+ *  not the token.
+ */
+
+class PasswordReset {
+  /** Mail a reset token to the user with the username or the email. Every user
+   *  with the email gets one, an email can be used by more than one user. A new
+   *  token replaces the user's tokens that are not used yet.
+   *
+   * Returns undefined whether or not a user was found, so the caller can not
+   *  tell which usernames and emails exist. The mail is not waited for, see
+   *  sendMailLater, so neither the time it takes nor a transport error tells
+   *  them either.
+   **/
+
+  static async request({ username, email }) {
+    const usersRes = await db.query(
+      `SELECT username,
+              first_name AS "firstName",
+              email
+           FROM users
+           WHERE username = $1 OR lower(email) = lower($2)`,
+      [username || null, email || null]);
+
+    for (const user of usersRes.rows) {
+      const token = randomToken();
+
+      await db.transaction(async () => {
+        await db.query(
+          `DELETE FROM password_reset_tokens
+               WHERE username = $1 AND used_at IS NULL`,
+          [user.username]);
+
+        await db.query(
+          `INSERT INTO password_reset_tokens
+               (token_hash, username, expires_at)
+               VALUES ($1, $2, now() + make_interval(secs => $3))`,
+          [hashToken(token), user.username, PASSWORD_RESET_TTL]);
+      });
+
+      sendMailLater({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Hi ${user.firstName},\n\n`
+          + `Use this token to set a new password for ${user.username}:\n\n`
+          + `${token}\n\n`
+          + `It expires in ${Math.round(PASSWORD_RESET_TTL / 60)} minutes. `
+          + `If you did not ask to reset your password, you can ignore this mail.\n`
+      });
+    }
+  }
+
+
+  /** Set a new password with a reset token. The token, and any other reset
+   *  token the user has, can not be used again. The new password revokes the
+   *  user's access and refresh tokens, see User.update.
+   *
+   * Returns the username.
+   *
+   * Throws BadRequestError when the token is not found, used, or expired.
+   **/
+
+  static async confirm(token, password) {
+    return await db.transaction(async () => {
+      const tokenRes = await db.query(
+        `SELECT username
+             FROM password_reset_tokens
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > now()
+             FOR UPDATE`,
+        [hashToken(token)]);
+
+      const found = tokenRes.rows[0];
+      if (!found) throw new BadRequestError("Invalid or expired password reset token.");
+
+      await db.query(
+        `UPDATE password_reset_tokens
+             SET used_at = now()
+             WHERE username = $1 AND used_at IS NULL`,
+        [found.username]);
+
+      await User.update(found.username, { password });
+
+      return found.username;
+    });
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,111 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const { getTransport } = require("../helpers/mail");
+const { hashToken } = require("../helpers/tokens");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(function () {
+  getTransport().outbox.length = 0;
+});
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Returns the reset token in the last mail sent. */
+function mailedToken() {
+  const { outbox } = getTransport();
+  return /^([A-Za-z0-9_-]{43})$/m.exec(outbox[outbox.length - 1].text)[1];
+}
+
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: by username", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const { outbox } = getTransport();
+    expect(outbox.length).toEqual(1);
+    expect(outbox[0]).toEqual({
+      from: expect.any(String),
+      to: "u1@email.com",
+      subject: "Reset your Jobly password",
+      text: expect.stringContaining("set a new password for u1")
+    });
+
+    const found = await db.query(
+      "SELECT username FROM password_reset_tokens WHERE token_hash = $1",
+      [hashToken(mailedToken())]);
+    expect(found.rows).toEqual([{ username: "u1" }]);
+  });
+
+  test("works: by email, any case", async function () {
+    await PasswordReset.request({ email: "U2@Email.com" });
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["u2@email.com"]);
+  });
+
+  test("works: nothing is sent for an unknown user", async function () {
+    await PasswordReset.request({ username: "nope" });
+    await PasswordReset.request({ email: "nope@email.com" });
+    expect(getTransport().outbox).toEqual([]);
+  });
+
+  test("a new token replaces the one before", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const first = mailedToken();
+    await PasswordReset.request({ username: "u1" });
+    await expect(PasswordReset.confirm(first, "new-password")).rejects.toThrow(BadRequestError);
+    expect(await PasswordReset.confirm(mailedToken(), "new-password")).toEqual("u1");
+  });
+});
+
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request({ username: "u1" });
+    expect(await PasswordReset.confirm(mailedToken(), "new-password")).toEqual("u1");
+
+    const user = await User.authenticate("u1", "new-password");
+    expect(user.username).toEqual("u1");
+    // the new password revoked the user's tokens.
+    expect(user.tokenVersion).toEqual(1);
+  });
+
+  test("the token can be used once", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = mailedToken();
+    await PasswordReset.confirm(token, "new-password");
+    try {
+      await PasswordReset.confirm(token, "other-password");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid or expired password reset token.");
+    }
+  });
+
+  test("bad request if expired", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = mailedToken();
+    await db.query(
+      "UPDATE password_reset_tokens SET expires_at = now() - interval '1 second'");
+    await expect(PasswordReset.confirm(token, "new-password")).rejects.toThrow(BadRequestError);
+    // the password did not change.
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("bad request if not found", async function () {
+    await expect(PasswordReset.confirm("nope", "new-password")).rejects.toThrow(BadRequestError);
+  });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { hashToken, randomToken } = require("../helpers/tokens");
+const { rolesFor } = require("../helpers/permissions");
+const { REFRESH_TOKEN_TTL } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * A refresh token gets a new access token, and a new refresh token, from
+ *  POST /auth/refresh. Each refresh token is used once. The tokens made from
+ *  one login, each one from the one before, are a family.
+ *
+ * A refresh token that is used a second time was copied, by the user or by
+ *  someone else, and it is not known which one is using it now. The whole
+ *  family is revoked so neither can get more access tokens from it.
+ *
+ * The db has the hash of the token, not the token.
+ */
+
+class RefreshToken {
+  /** Make a new refresh token for username. It starts a new family unless
+   *  familyId is passed. It expires after REFRESH_TOKEN_TTL seconds.
+   *
+   * Returns the token.
+   **/
+
+  static async issue(username, familyId = crypto.randomUUID()) {
+    const token = randomToken();
+
+    await db.query(
+      `INSERT INTO refresh_tokens
+           (token_hash, family_id, username, expires_at)
+           VALUES ($1, $2, $3, now() + make_interval(secs => $4))`,
+      [hashToken(token), familyId, username, REFRESH_TOKEN_TTL]);
+
+    return token;
+  }
+
+
+  /** Use a refresh token. The token is marked used and the next token in its
+   *  family is made.
+   *
+   * Returns { user, refreshToken } where user is { username, isAdmin, roles,
+   *  tokenVersion }, the user now, for the access token, and refreshToken is
+   *  the new token.
+   *
+   * Throws UnauthorizedError when the token is not found, expired, revoked,
+   *  or already used. An already used token revokes its family.
+   **/
+
+  static async rotate(token) {
+    const result = await db.transaction(async () => {
+      // lock the token so two requests with it at the same time are a reuse.
+      const tokenRes = await db.query(
+        `SELECT r.family_id AS "familyId",
+                r.username,
+                u.is_admin AS "isAdmin",
+                u.token_version AS "tokenVersion",
+                ARRAY(SELECT role
+                        FROM user_roles AS ur
+                        WHERE ur.username = u.username
+                        ORDER BY role) AS "roles",
+                r.used_at IS NOT NULL AS "used",
+                r.revoked_at IS NOT NULL AS "revoked",
+                r.expires_at <= now() AS "expired"
+           FROM refresh_tokens AS r
+           JOIN users AS u ON u.username = r.username
+           WHERE r.token_hash = $1
+           FOR UPDATE OF r`,
+        [hashToken(token)]);
+
+      const found = tokenRes.rows[0];
+
+      if ((!found) || (found.revoked) || (found.expired)) return { valid: false };
+
+      if (found.used) {
+        // the revoke is committed, so the error is thrown after the transaction.
+        await RefreshToken.revokeFamily(found.familyId);
+        return { valid: false, reused: true };
+      }
+
+      await db.query(
+        `UPDATE refresh_tokens
+           SET used_at = now()
+           WHERE token_hash = $1`,
+        [hashToken(token)]);
+
+      const refreshToken = await RefreshToken.issue(found.username, found.familyId);
+
+      const user = {
+        username: found.username,
+        isAdmin: found.isAdmin,
+        roles: rolesFor(found),
+        tokenVersion: found.tokenVersion
+      };
+      return { valid: true, user, refreshToken };
+    });
+
+    if (result.reused) {
+      throw new UnauthorizedError("Refresh token was already used. Its tokens are revoked, log in again.");
+    }
+    if (!result.valid) throw new UnauthorizedError("Invalid refresh token.");
+
+    return { user: result.user, refreshToken: result.refreshToken };
+  }
+
+
+  /** Revoke the family of a refresh token when the token is username's, for a
+   *  logout. A token that is not found is ignored. Returns undefined.
+   **/
+
+  static async revoke(token, username) {
+    await db.query(
+      `UPDATE refresh_tokens
+         SET revoked_at = now()
+         WHERE revoked_at IS NULL
+           AND family_id = (SELECT family_id
+                              FROM refresh_tokens
+                              WHERE token_hash = $1 AND username = $2)`,
+      [hashToken(token), username]);
+  }
+
+
+  /** Revoke every token in the family that is not revoked yet; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+      `UPDATE refresh_tokens
+         SET revoked_at = now()
+         WHERE family_id = $1 AND revoked_at IS NULL`,
+      [familyId]);
+  }
+}
+
+
+module.exports = RefreshToken;
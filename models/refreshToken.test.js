@@ -0,0 +1,139 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function stored(token) {
+  const result = await db.query(
+    `SELECT family_id AS "familyId", username, used_at AS "usedAt", revoked_at AS "revokedAt"
+      FROM refresh_tokens
+      WHERE token_hash = $1`,
+    [hashToken(token)]);
+  return result.rows[0];
+}
+
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    expect(await stored(token)).toEqual({
+      familyId: expect.any(String),
+      username: "u1",
+      usedAt: null,
+      revokedAt: null
+    });
+  });
+
+  test("each login is a new family", async function () {
+    const first = await stored(await RefreshToken.issue("u1"));
+    const second = await stored(await RefreshToken.issue("u1"));
+    expect(first.familyId).not.toEqual(second.familyId);
+  });
+});
+
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual({
+      user: { username: "u1", isAdmin: false, roles: ["candidate"], tokenVersion: 0 },
+      refreshToken: expect.any(String)
+    });
+
+    const used = await stored(token);
+    const next = await stored(result.refreshToken);
+    expect(used.usedAt).toEqual(expect.any(Date));
+    expect(next.familyId).toEqual(used.familyId);
+    expect(next.usedAt).toEqual(null);
+  });
+
+  test("reuse revokes the family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+    expect((await stored(refreshToken)).revokedAt).toEqual(expect.any(Date));
+
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual("Invalid refresh token.");
+    }
+  });
+
+  test("reuse does not revoke other families", async function () {
+    const token = await RefreshToken.issue("u1");
+    const other = await RefreshToken.issue("u1");
+    await RefreshToken.rotate(token);
+    await expect(RefreshToken.rotate(token)).rejects.toThrow();
+    expect((await stored(other)).revokedAt).toEqual(null);
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+      `UPDATE refresh_tokens SET expires_at = now() - interval '1 second' WHERE token_hash = $1`,
+      [hashToken(token)]);
+    try {
+      await RefreshToken.rotate(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual("Invalid refresh token.");
+    }
+  });
+
+  test("unauth if not found", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
+
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works: the family is revoked", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    await RefreshToken.revoke(refreshToken, "u1");
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow("Invalid refresh token.");
+  });
+
+  test("another user's token is not revoked", async function () {
+    const token = await RefreshToken.issue("u1");
+    await RefreshToken.revoke(token, "u2");
+    expect((await stored(token)).revokedAt).toEqual(null);
+  });
+
+  test("unknown token is ignored", async function () {
+    await RefreshToken.revoke("nope", "u1");
+  });
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for revoking access tokens.
+ *
+ * An access token is good until it expires unless:
+ *  - it was revoked, its jti is in revoked_tokens. POST /auth/logout does this.
+ *  - its ver is not the user's token_version. User.revokeTokens adds 1 to it
+ *    when the user's password or isAdmin changes, which revokes every access
+ *    token the user has.
+ *  - its user was removed.
+ */
+
+class RevokedToken {
+  /** Revoke the access token with the payload { jti, exp } until it expires.
+   *  The rows for tokens that have expired since are removed. Returns undefined.
+   **/
+
+  static async revoke({ jti, exp }) {
+    await db.query(`DELETE FROM revoked_tokens WHERE expires_at < now()`);
+
+    await db.query(
+      `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT (jti) DO NOTHING`,
+      [jti, exp]);
+  }
+
+
+  /** Given the payload of a verified access token, { username, jti, ver },
+   *  return true when it has not been revoked and false when it has.
+   **/
+
+  static async isValid({ username, jti, ver = 0 }) {
+    const result = await db.query(
+      `SELECT u.token_version AS "tokenVersion",
+              EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $2) AS "revoked"
+           FROM users AS u
+           WHERE u.username = $1`,
+      [username, jti || null]);
+
+    const found = result.rows[0];
+
+    return (found !== undefined) && (!found.revoked) && (found.tokenVersion === ver);
+  }
+}
+
+
+module.exports = RevokedToken;
@@ -0,0 +1,134 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { ROLE_PERMISSIONS, rolesFor } = require("../helpers/permissions");
+const User = require("./user");
+
+/** Related functions for roles.
+ *
+ * The roles are admin, recruiter, support and candidate, the permissions each
+ *  one gives are in helpers/permissions.js. admin is the user's isAdmin, the
+ *  other roles are in user_roles. A change to the user's roles revokes their
+ *  tokens, so the next access token has the new roles.
+ */
+
+class Role {
+  /** Returns every role, [{ name, description, permissions }, ...] */
+
+  static async findAll() {
+    const result = await db.query(
+      `SELECT name, description
+           FROM roles
+           ORDER BY name`);
+
+    return result.rows.map(role => ({
+      ...role,
+      permissions: ROLE_PERMISSIONS[role.name] || []
+    }));
+  }
+
+
+  /** Returns the role { name, description, permissions }.
+   *
+   * Throws NotFoundError if the role is not found.
+   **/
+
+  static async get(name) {
+    const result = await db.query(
+      `SELECT name, description
+           FROM roles
+           WHERE name = $1`,
+      [name]);
+
+    const role = result.rows[0];
+    if (!role) throw new NotFoundError(`No role: ${name}`);
+
+    return { ...role, permissions: ROLE_PERMISSIONS[role.name] || [] };
+  }
+
+
+  /** Returns the user's roles, [role, ...], admin first.
+   *
+   * Throws NotFoundError if the user is not found.
+   **/
+
+  static async forUser(username) {
+    const result = await db.query(
+      `SELECT is_admin AS "isAdmin",
+              ARRAY(SELECT role
+                      FROM user_roles AS r
+                      WHERE r.username = u.username
+                      ORDER BY role) AS "roles"
+           FROM users AS u
+           WHERE username = $1`,
+      [username]);
+
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return rolesFor(user);
+  }
+
+
+  /** Give the user role. Returns the user's roles, as forUser does.
+   *
+   * Throws NotFoundError if the user or the role is not found.
+   **/
+
+  static async assign(username, role) {
+    await Role.get(role);
+
+    if (role === "admin") {
+      // User.update revokes the tokens when isAdmin changes.
+      await User.update(username, { isAdmin: true });
+      return await Role.forUser(username);
+    }
+
+    await db.transaction(async () => {
+      const roles = await Role.forUser(username);
+      if (roles.includes(role)) return;
+
+      await db.query(
+        `INSERT INTO user_roles (username, role)
+             VALUES ($1, $2)`,
+        [username, role]);
+      await User.revokeTokens(username);
+    });
+
+    return await Role.forUser(username);
+  }
+
+
+  /** Take role from the user. Returns the user's roles, as forUser does.
+   *
+   * Throws NotFoundError if the user or the role is not found, BadRequestError
+   *  if the user does not have the role.
+   **/
+
+  static async unassign(username, role) {
+    await Role.get(role);
+
+    if (!(await Role.forUser(username)).includes(role)) {
+      throw new BadRequestError(`${username} does not have the role ${role}.`);
+    }
+
+    if (role === "admin") {
+      await User.update(username, { isAdmin: false });
+      return await Role.forUser(username);
+    }
+
+    await db.transaction(async () => {
+      await db.query(
+        `DELETE FROM user_roles
+             WHERE username = $1 AND role = $2`,
+        [username, role]);
+      await User.revokeTokens(username);
+    });
+
+    return await Role.forUser(username);
+  }
+}
+
+
+module.exports = Role;
@@ -0,0 +1,115 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function tokenVersion(username) {
+  const result = await db.query(
+    `SELECT token_version AS "tokenVersion" FROM users WHERE username = $1`, [username]);
+  return result.rows[0].tokenVersion;
+}
+
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles.map(r => r.name)).toEqual(["admin", "candidate", "recruiter", "support"]);
+    expect(roles.find(r => r.name === "support")).toEqual({
+      name: "support",
+      description: expect.any(String),
+      permissions: ["applications:read", "users:read", "users:unlock"]
+    });
+  });
+});
+
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const role = await Role.get("candidate");
+    expect(role).toEqual({ name: "candidate", description: expect.any(String), permissions: [] });
+  });
+
+  test("not found if no such role", async function () {
+    await expect(Role.get("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** forUser */
+
+describe("forUser", function () {
+  test("works", async function () {
+    expect(await Role.forUser("u1")).toEqual(["candidate"]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Role.forUser("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    expect(await Role.assign("u1", "recruiter")).toEqual(["candidate", "recruiter"]);
+    expect(await tokenVersion("u1")).toEqual(1);
+  });
+
+  test("works: admin is the user's isAdmin", async function () {
+    expect(await Role.assign("u1", "admin")).toEqual(["admin", "candidate"]);
+    const result = await db.query(`SELECT is_admin FROM users WHERE username = 'u1'`);
+    expect(result.rows[0].is_admin).toEqual(true);
+  });
+
+  test("a role the user has is left as it is", async function () {
+    expect(await Role.assign("u1", "candidate")).toEqual(["candidate"]);
+    expect(await tokenVersion("u1")).toEqual(0);
+  });
+
+  test("not found if no such role or user", async function () {
+    await expect(Role.assign("u1", "nope")).rejects.toThrow(NotFoundError);
+    await expect(Role.assign("nope", "support")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** unassign */
+
+describe("unassign", function () {
+  test("works", async function () {
+    await Role.assign("u1", "support");
+    expect(await Role.unassign("u1", "support")).toEqual(["candidate"]);
+    expect(await tokenVersion("u1")).toEqual(2);
+  });
+
+  test("works: admin", async function () {
+    await Role.assign("u1", "admin");
+    expect(await Role.unassign("u1", "admin")).toEqual(["candidate"]);
+  });
+
+  test("bad request if the user does not have the role", async function () {
+    await expect(Role.unassign("u1", "support")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such role or user", async function () {
+    await expect(Role.unassign("u1", "nope")).rejects.toThrow(NotFoundError);
+    await expect(Role.unassign("nope", "support")).rejects.toThrow(NotFoundError);
+  });
+});
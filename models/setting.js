@@ -0,0 +1,81 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+
+// The settings and their defaults. A setting that is not in the settings table
+//  has its default.
+//  requireVerifiedEmail: users must verify their email before they can apply
+//    for a job.
+//  requireAdminTwoFactor: admins must have two-factor authentication on
+//    before the routes that need a permission let them through.
+const DEFAULTS = {
+  requireVerifiedEmail: false,
+  requireAdminTwoFactor: false
+};
+
+/** Related functions for the site settings admins can change. */
+
+class Setting {
+  /** Returns every setting, { name: value, ... }. */
+
+  static async getAll() {
+    const result = await db.query(`SELECT name, value FROM settings`);
+
+    const settings = { ...DEFAULTS };
+    result.rows.forEach(row => {
+      if (Object.hasOwnProperty.call(DEFAULTS, row.name)) settings[row.name] = row.value;
+    });
+    return settings;
+  }
+
+
+  /** Returns the value of the setting name.
+   *
+   * Throws BadRequestError for a name that is not a setting.
+   **/
+
+  static async get(name) {
+    if (Object.hasOwnProperty.call(DEFAULTS, name) === false) {
+      throw new BadRequestError(`Unknown setting: ${name}`);
+    }
+
+    const result = await db.query(
+      `SELECT value FROM settings WHERE name = $1`,
+      [name]);
+
+    return (result.rows[0]) ? result.rows[0].value : DEFAULTS[name];
+  }
+
+
+  /** Change the settings in data, { name: value, ... }.
+   *
+   * Returns every setting, as getAll does.
+   *
+   * Throws BadRequestError for a name that is not a setting.
+   **/
+
+  static async update(data) {
+    const unknown = Object.keys(data).filter(
+      name => Object.hasOwnProperty.call(DEFAULTS, name) === false);
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Unknown setting: ${unknown.join(", ")}`);
+    }
+
+    await db.transaction(async () => {
+      for (const name of Object.keys(data)) {
+        await db.query(
+          `INSERT INTO settings (name, value)
+               VALUES ($1, $2)
+               ON CONFLICT (name) DO UPDATE
+                 SET value = EXCLUDED.value, updated_at = now()`,
+          [name, JSON.stringify(data[name])]);
+      }
+    });
+
+    return await Setting.getAll();
+  }
+}
+
+
+module.exports = Setting;
@@ -0,0 +1,63 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const Setting = require("./setting.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+
+/************************************** getAll */
+
+describe("getAll", function () {
+  test("works: the defaults", async function () {
+    expect(await Setting.getAll())
+      .toEqual({ requireVerifiedEmail: false, requireAdminTwoFactor: false });
+  });
+});
+
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    expect(await Setting.get("requireVerifiedEmail")).toEqual(false);
+    await Setting.update({ requireVerifiedEmail: true });
+    expect(await Setting.get("requireVerifiedEmail")).toEqual(true);
+  });
+
+  test("bad request for an unknown setting", async function () {
+    await expect(Setting.get("nope")).rejects.toThrow(BadRequestError);
+  });
+});
+
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    expect(await Setting.update({ requireVerifiedEmail: true }))
+      .toEqual({ requireVerifiedEmail: true, requireAdminTwoFactor: false });
+    expect(await Setting.update({ requireVerifiedEmail: false }))
+      .toEqual({ requireVerifiedEmail: false, requireAdminTwoFactor: false });
+  });
+
+  test("bad request for an unknown setting", async function () {
+    try {
+      await Setting.update({ requireVerifiedEmail: true, nope: 1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Unknown setting: nope");
+    }
+    expect(await Setting.get("requireVerifiedEmail")).toEqual(false);
+  });
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const { generateSecret, otpauthUri, verifyCode } = require("../helpers/totp");
+const User = require("./user");
+
+// The recovery codes made when two-factor authentication is enabled.
+const RECOVERY_CODES = 10;
+
+/** Related functions for TOTP two-factor authentication.
+ *
+ * A user enrolls to get a secret for their authenticator app, then activates
+ *  two-factor authentication with a code from the app. From then on a login
+ *  needs a code from the app, or one of the recovery codes, after the
+ *  password. See POST /auth/token.
+ *
+ * The db has the hash of the recovery codes, not the codes.
+ */
+
+class TwoFactor {
+  /** Start enrolling the user, with a new secret. A secret from an enrollment
+   *  that was not activated is replaced.
+   *
+   * Returns { secret, otpauthUri } where otpauthUri is for the QR code that
+   *  authenticator apps read.
+   *
+   * Throws NotFoundError if the user is not found, BadRequestError if two-factor
+   *  authentication is already enabled.
+   **/
+
+  static async enroll(username) {
+    const secret = generateSecret();
+
+    const result = await db.query(
+      `UPDATE users
+           SET totp_secret = CASE WHEN totp_enabled_at IS NULL THEN $1 ELSE totp_secret END
+           WHERE username = $2
+           RETURNING totp_secret = $1 AS "enrolled"`,
+      [secret, username]);
+
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (!user.enrolled) throw new BadRequestError("Two-factor authentication is already enabled.");
+
+    return { secret, otpauthUri: otpauthUri({ secret, account: username }) };
+  }
+
+
+  /** Enable two-factor authentication with a code for the enrolled secret.
+   *  The user's tokens are revoked, so every login from now on uses it.
+   *
+   * Returns the recovery codes, [code, ...]. They are not shown again.
+   *
+   * Throws NotFoundError if the user is not found, BadRequestError if the user
+   *  has not enrolled, is enabled already, or the code is wrong.
+   **/
+
+  static async activate(username, code) {
+    return await db.transaction(async () => {
+      const userRes = await db.query(
+        `SELECT totp_secret AS "secret",
+                totp_enabled_at IS NOT NULL AS "enabled"
+             FROM users
+             WHERE username = $1
+             FOR UPDATE`,
+        [username]);
+
+      const user = userRes.rows[0];
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (user.enabled) throw new BadRequestError("Two-factor authentication is already enabled.");
+      if (!user.secret) throw new BadRequestError("Enroll in two-factor authentication first.");
+
+      const counter = verifyCode(user.secret, code);
+      if (counter === null) throw new BadRequestError("Invalid two-factor code.");
+
+      await db.query(
+        `UPDATE users
+             SET totp_enabled_at = now(), totp_last_counter = $1
+             WHERE username = $2`,
+        [counter, username]);
+
+      const recoveryCodes = await TwoFactor.newRecoveryCodes(username);
+      await User.revokeTokens(username);
+
+      return recoveryCodes;
+    });
+  }
+
+
+  /** Replace the user's recovery codes with new ones.
+   *
+   * Returns the codes, [code, ...].
+   **/
+
+  static async newRecoveryCodes(username) {
+    const codes = Array.from({ length: RECOVERY_CODES }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await db.query(`DELETE FROM two_factor_recovery_codes WHERE username = $1`, [username]);
+    for (const code of codes) {
+      await db.query(
+        `INSERT INTO two_factor_recovery_codes (code_hash, username)
+             VALUES ($1, $2)`,
+        [hashToken(code), username]);
+    }
+
+    return codes;
+  }
+
+
+  /** Check a code from the user's authenticator app, or a recovery code. Each
+   *  code can be used once.
+   *
+   * Returns true when the code is right and false when it is not, or when two-
+   *  factor authentication is not enabled.
+   **/
+
+  static async verify(username, code) {
+    return await db.transaction(async () => {
+      const userRes = await db.query(
+        `SELECT totp_secret AS "secret",
+                totp_last_counter AS "lastCounter"
+             FROM users
+             WHERE username = $1 AND totp_enabled_at IS NOT NULL
+             FOR UPDATE`,
+        [username]);
+
+      const user = userRes.rows[0];
+      if (!user) return false;
+
+      if (/^\d{6}$/.test(code)) {
+        const counter = verifyCode(user.secret, code);
+        if ((counter === null) || (counter <= user.lastCounter)) return false;
+
+        await db.query(
+          `UPDATE users SET totp_last_counter = $1 WHERE username = $2`,
+          [counter, username]);
+        return true;
+      }
+
+      // recovery codes are lower case, the dash and spaces are optional.
+      const recoveryCode = code.toLowerCase().replace(/[\s-]/g, "");
+      const codeRes = await db.query(
+        `UPDATE two_factor_recovery_codes
+             SET used_at = now()
+             WHERE code_hash = $1 AND username = $2 AND used_at IS NULL
+             RETURNING username`,
+        [hashToken(`${recoveryCode.slice(0, 5)}-${recoveryCode.slice(5)}`), username]);
+      return codeRes.rows.length > 0;
+    });
+  }
+
+
+  /** Returns true when two-factor authentication is enabled for the user. */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+      `SELECT username
+           FROM users
+           WHERE username = $1 AND totp_enabled_at IS NOT NULL`,
+      [username]);
+    return result.rows.length > 0;
+  }
+
+
+  /** Turn off two-factor authentication for the user and remove the secret
+   *  and recovery codes; returns undefined.
+   *
+   * Throws NotFoundError if the user is not found.
+   **/
+
+  static async disable(username) {
+    await db.transaction(async () => {
+      const result = await db.query(
+        `UPDATE users
+             SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL
+             WHERE username = $1
+             RETURNING username`,
+        [username]);
+      if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      await db.query(`DELETE FROM two_factor_recovery_codes WHERE username = $1`, [username]);
+    });
+  }
+}
+
+
+module.exports = TwoFactor;
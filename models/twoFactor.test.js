@@ -0,0 +1,136 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { codeFor, counterAt } = require("../helpers/totp");
+const TwoFactor = require("./twoFactor.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Enroll and activate u1, returns { secret, activationCode, recoveryCodes }.
+ *  The code for the step before now activates, so the code for now is left
+ *  for the test. */
+async function enableForU1() {
+  const { secret } = await TwoFactor.enroll("u1");
+  const activationCode = codeFor(secret, counterAt() - 1);
+  const recoveryCodes = await TwoFactor.activate("u1", activationCode);
+  return { secret, activationCode, recoveryCodes };
+}
+
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await TwoFactor.enroll("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toEqual(expect.stringContaining(`secret=${secret}`));
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if enabled already", async function () {
+    await enableForU1();
+    await expect(TwoFactor.enroll("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.enroll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+
+/************************************** activate */
+
+describe("activate", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enableForU1();
+    expect(recoveryCodes.length).toEqual(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(await TwoFactor.isEnabled("u1")).toEqual(true);
+
+    // the tokens from before are revoked.
+    const found = await db.query("SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(1);
+  });
+
+  test("bad request with a wrong code", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const wrong = codeFor(secret, counterAt() + 5);
+    try {
+      await TwoFactor.activate("u1", wrong);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid two-factor code.");
+    }
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("bad request if not enrolled", async function () {
+    await expect(TwoFactor.activate("u1", "123456")).rejects.toThrow(
+      "Enroll in two-factor authentication first.");
+  });
+});
+
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: a code from the app, once", async function () {
+    const { secret } = await enableForU1();
+    const code = codeFor(secret, counterAt());
+    expect(await TwoFactor.verify("u1", code)).toEqual(true);
+    expect(await TwoFactor.verify("u1", code)).toEqual(false);
+  });
+
+  test("works: the code that activated can not be used again", async function () {
+    const { activationCode } = await enableForU1();
+    expect(await TwoFactor.verify("u1", activationCode)).toEqual(false);
+  });
+
+  test("works: a recovery code, once, in any case", async function () {
+    const { recoveryCodes } = await enableForU1();
+    expect(await TwoFactor.verify("u1", recoveryCodes[0].toUpperCase())).toEqual(true);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[1].replace("-", ""))).toEqual(true);
+  });
+
+  test("false with a wrong code", async function () {
+    await enableForU1();
+    expect(await TwoFactor.verify("u1", "abcde-12345")).toEqual(false);
+  });
+
+  test("false when it is not enabled", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    expect(await TwoFactor.verify("u1", codeFor(secret, counterAt()))).toEqual(false);
+  });
+});
+
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enableForU1();
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toEqual(false);
+
+    const found = await db.query(
+      "SELECT code_hash FROM two_factor_recovery_codes WHERE username = 'u1'");
+    expect(found.rows).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.disable("nope")).rejects.toThrow(NotFoundError);
+  });
+});
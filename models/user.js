@@ -2,7 +2,14 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForFilter, sqlForPartialUpdate } = require("../helpers/sql");
+const {
+  addCondition,
+  pageFromQuery,
+  pageResult,
+  sortKeys,
+  sqlForPage
+} = require("../helpers/pagination");
 const {
   ExpressError,
   BadRequestError,
@@ -11,14 +18,37 @@ const {
 } = require("../expressError");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
-
+const { rolesFor } = require("../helpers/permissions");
+const Application = require("./application");
+
+// The fields users can be sorted by. username is unique and breaks ties.
+const SORTABLE = {
+  username: { dbName: "u.username", key: "username", type: "string" },
+  firstName: { dbName: "u.first_name", key: "firstName", type: "string" },
+  lastName: { dbName: "u.last_name", key: "lastName", type: "string" },
+  email: { dbName: "u.email", key: "email", type: "string" }
+};
+
+// The filters for the users list, see sqlForFilter. The *Like filters find the
+//  users whose value contains the text, case-insensitive.
+const FILTERS = {
+  resource: "users",
+  fields: {
+    usernameLike: { dbName: "u.username", type: "string", op: "ilike" },
+    firstNameLike: { dbName: "u.first_name", type: "string", op: "ilike" },
+    lastNameLike: { dbName: "u.last_name", type: "string", op: "ilike" },
+    emailLike: { dbName: "u.email", type: "string", op: "ilike" },
+    isAdmin: { dbName: "u.is_admin", type: "boolean", op: "boolean" }
+  }
+};
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, roles, tokenVersion }
+   *   where roles and tokenVersion are for the access token, see createToken.
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -31,7 +61,12 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  ARRAY(SELECT role
+                          FROM user_roles AS r
+                          WHERE r.username = users.username
+                          ORDER BY role) AS "roles",
+                  token_version AS "tokenVersion"
            FROM users
            WHERE username = $1`,
       [username],
@@ -44,6 +79,7 @@ class User {
       const isValid = await bcrypt.compare(password, user.password);
       if (isValid === true) {
         delete user.password;
+        user.roles = rolesFor(user);
         return user;
       }
     }
@@ -52,7 +88,7 @@ class User {
   }
 
 
-  /** Register user with data.
+  /** Register user with data. The user is a candidate, see models/role.js.
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
@@ -61,46 +97,64 @@ class User {
 
   static async register(
     { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-      `SELECT username
-           FROM users
-           WHERE username = $1`,
-      [username],
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-      `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+    try {
+      return await db.transaction(async () => {
+        const duplicateCheck = await db.query(
+          `SELECT username
+               FROM users
+               WHERE username = $1`,
+          [username],
+        );
+
+        if (duplicateCheck.rows[0]) {
+          throw new BadRequestError(`Duplicate username: ${username}`);
+        }
+
+        const result = await db.query(
+          `INSERT INTO users
+               (username,
+                password,
+                first_name,
+                last_name,
+                email,
+                is_admin)
+               VALUES ($1, $2, $3, $4, $5, $6)
+               RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [
-        username,
-        hashedPassword,
-        firstName,
-        lastName,
-        email,
-        isAdmin
-      ],
-    );
+            isAdmin
+          ],
+        );
 
-    const user = result.rows[0];
+        const user = result.rows[0];
 
-    return user;
+        await db.query(
+          `INSERT INTO user_roles (username, role)
+               VALUES ($1, 'candidate')`,
+          [username]);
+
+        return user;
+      });
+    } catch (error) {
+      // unique violation, the same username was registered after the check.
+      if (error.code === "23505") {
+        throw new BadRequestError(`Duplicate username: ${username}`);
+      }
+      throw error;
+    }
   }
 
 
   /** User applies for a job.
+   *
+   * state is the starting state of the application and is either 'interested'
+   *  or 'applied'. It defaults to 'applied'.
    *
    * Returns { job_id: jobId }
    *
@@ -109,38 +163,46 @@ class User {
    * Throws NotFoundError on username or jobId not found.
    **/
 
-  static async applyForJob({ username, id }) {
-
-    const duplicateCheck = await db.query(
-      `SELECT username, job_id
-      FROM applications
-      WHERE username = $1 AND job_id = $2`,
-      [username, id]
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username} has already applied for job ${id}`);
-    }
+  static async applyForJob({ username, id }, state = "applied") {
 
     try {
+      // the application and its first state are saved together.
+      return await db.transaction(async () => {
+        const duplicateCheck = await db.query(
+          `SELECT username, job_id
+          FROM applications
+          WHERE username = $1 AND job_id = $2`,
+          [username, id]
+        );
+
+        if (duplicateCheck.rows[0]) {
+          throw new BadRequestError(`Duplicate username: ${username} has already applied for job ${id}`);
+        }
 
-      const result = await db.query(
-        `INSERT INTO applications
-         (username,
-         job_id)
-         VALUES ($1, $2)
-         RETURNING job_Id`,
-        [
-          username,
-          id
-        ],
-      );
-
-      const application = result.rows[0];
-
-      return application;
+        const result = await db.query(
+          `INSERT INTO applications
+           (username,
+           job_id,
+           state)
+           VALUES ($1, $2, $3)
+           RETURNING job_Id`,
+          [
+            username,
+            id,
+            state
+          ],
+        );
+
+        const application = result.rows[0];
+
+        await Application.recordState(username, id, state);
+
+        return application;
+      });
 
     } catch (error) {
+      if (error instanceof ExpressError) throw error;
+
       // check for foreign key constraint violation
       if (error.code === "23503") {
         // username and job_id must exist in users and jobs tables respectively.
@@ -155,6 +217,9 @@ class User {
             `Application NOT created: username '${username}' was not found.`
           )
         }
+      } else if (error.code === "23505") {
+        // unique violation, the same application was made after the check.
+        throw new BadRequestError(`Duplicate username: ${username} has already applied for job ${id}`);
       } else {
         // catch all
         throw new ExpressError(error.message, 500)
@@ -163,12 +228,30 @@ class User {
   }
 
 
-  /** Find all users.
+  /** Find all users, one page at a time.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * filterValues can include usernameLike, firstNameLike, lastNameLike, 
+   *  emailLike, and isAdmin.
+   *
+   * page is { limit, offset, cursor, sort } from pageFromQuery. The first page 
+   *  with the default limit is returned when page is not passed. sort can use
+   *  username, firstName, lastName, and email and defaults to username.
+   *
+   * Returns { users, pagination }
+   *   where users is [{ username, first_name, last_name, email, is_admin }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
    **/
 
-  static async findAll() {
+  static async findAll(filterValues = {}, page = pageFromQuery()) {
+    const filter = sqlForFilter(filterValues, FILTERS);
+    const keys = sortKeys(page.sort || "username", SORTABLE, "username", "users");
+    const paging = sqlForPage(page, keys, filter.values.length + 1);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*) AS "total"
+        FROM users AS u
+        ${filter.whereClause}`, filter.values);
+
     const result = await db.query(
       `SELECT  u.username,
               u.first_name AS "firstName",
@@ -178,8 +261,11 @@ class User {
               json_agg(a.job_id) AS "jobs"
         FROM users AS u 
         LEFT JOIN applications AS a ON u.username = a.username 
+        ${addCondition(filter.whereClause, paging.condition)}
         GROUP BY u.username, u.first_name, u.last_name, u.email, u.is_admin
-        ORDER BY u.username`,
+        ${paging.orderBy}
+        ${paging.limitClause}`,
+      [...filter.values, ...paging.values]
     );
 
     // delete the jobs key when it is null.
@@ -189,14 +275,18 @@ class User {
       };
     });
 
-    return result.rows;
+    const { rows, pagination } = pageResult(
+      result.rows, page, keys, paging.cursor, +countRes.rows[0].total);
+
+    return { users: rows, pagination };
   }
 
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
+   * Returns { username, first_name, last_name, email, is_admin, emailVerified, jobs }
    *   where jobs is { id, title, company_handle, company_name, state }
+   *   and emailVerified is true once the email is verified
    *
    * Throws NotFoundError if user not found.
    **/
@@ -208,6 +298,7 @@ class User {
               u.last_name AS "lastName",
               u.email,
               u.is_admin AS "isAdmin",
+              u.email_verified_at IS NOT NULL AS "emailVerified",
               a.job_id
            FROM users AS u
            LEFT JOIN applications AS a ON u.username = a.username 
@@ -251,6 +342,9 @@ class User {
    *
    * Throws NotFoundError if not found.
    *
+   * A new password or a change to isAdmin revokes the user's access and
+   * refresh tokens, see revokeTokens. A new email is not verified.
+   *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
@@ -270,25 +364,73 @@ class User {
       });
     const usernameVarIdx = "$" + (values.length + 1);
 
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+    return await db.transaction(async () => {
+      const currentRes = await db.query(
+        `SELECT is_admin AS "isAdmin",
+                email
+             FROM users
+             WHERE username = $1
+             FOR UPDATE`,
+        [username]);
+
+      const current = currentRes.rows[0];
+      if (!current) throw new NotFoundError(`No user: ${username}`);
+
+      const querySql = `UPDATE users 
+                        SET ${setCols} 
+                        WHERE username = ${usernameVarIdx} 
+                        RETURNING username,
+                                  first_name AS "firstName",
+                                  last_name AS "lastName",
+                                  email,
+                                  is_admin AS "isAdmin"`;
+      const result = await db.query(querySql, [...values, username]);
+      const user = result.rows[0];
+
+      if ((data.password) || (user.isAdmin !== current.isAdmin)) {
+        await User.revokeTokens(username);
+      }
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+      // a new email is not verified, see EmailVerification.
+      if (user.email !== current.email) {
+        await db.query(
+          `UPDATE users
+               SET email_verified_at = NULL
+               WHERE username = $1`,
+          [username]);
+      }
 
-    delete user.password;
-    return user;
+      delete user.password;
+      return user;
+    });
+  }
+
+
+  /** Revoke every access token and refresh token the user has. Adding 1 to
+   *  token_version makes the access tokens not valid, see RevokedToken.
+   *  Returns undefined.
+   **/
+
+  static async revokeTokens(username) {
+    await db.query(
+      `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1`,
+      [username]);
+
+    await db.query(
+      `UPDATE refresh_tokens
+           SET revoked_at = now()
+           WHERE username = $1 AND revoked_at IS NULL`,
+      [username]);
   }
 
 
-  /** Delete given user from database; returns undefined. */
+  /** Delete given user from database; returns undefined.
+   *
+   * The user's access tokens are not valid once the user is removed and the
+   * refresh tokens are deleted with the user.
+   **/
 
   static async remove(username) {
     let result = await db.query(
@@ -7,6 +7,7 @@ const {
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const RefreshToken = require("./refreshToken.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -30,6 +31,8 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      roles: ["candidate"],
+      tokenVersion: 0,
     });
   });
 
@@ -109,7 +112,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -127,6 +130,21 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: filter", async function () {
+    const { users, pagination } = await User.findAll({ lastNameLike: "u2" });
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    expect(pagination.total).toEqual(1);
+  });
+
+  test("bad request on an unknown filter", async function () {
+    try {
+      await User.findAll({ nope: "u2" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** get */
@@ -140,6 +158,7 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      emailVerified: false,
     });
   });
 
@@ -187,6 +206,32 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: new password or isAdmin revokes the tokens", async function () {
+    const refreshToken = await RefreshToken.issue("u1");
+
+    await User.update("u1", { password: "new-password" });
+    await User.update("u1", { isAdmin: true });
+    const found = await db.query("SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(2);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow("Invalid refresh token.");
+  });
+
+  test("works: other changes do not revoke the tokens", async function () {
+    await User.update("u1", { firstName: "New", isAdmin: false });
+    const found = await db.query("SELECT token_version FROM users WHERE username = 'u1'");
+    expect(found.rows[0].token_version).toEqual(0);
+  });
+
+  test("works: a new email is not verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = now()");
+
+    await User.update("u1", { email: "u1@email.com", firstName: "New" });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
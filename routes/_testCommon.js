@@ -1,12 +1,18 @@
 "use strict";
 
 const db = require("../db.js");
+const { migrate } = require("../migrate");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/jobModel");
+const CompanyMember = require("../models/companyMember");
 const { createToken } = require("../helpers/tokens");
+const { createStore, setStore } = require("../helpers/loginThrottle");
 
 async function commonBeforeAll() {
+  // the test database gets the schema from the migrations.
+  await migrate();
+
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
@@ -126,24 +132,36 @@ async function commonBeforeAll() {
     password: "password4",
     isAdmin: true,
   });
-
+  // u3 is a recruiter as well, the role is added here and not with Role.assign,
+  //  which would revoke u3TokenRecruiter.
+  await db.query(`INSERT INTO user_roles (username, role) VALUES ('u3', 'recruiter')`);
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.begin();
+  // failed logins from one test do not lock the users in the next.
+  setStore(createStore("memory"));
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollback();
 }
 
 async function commonAfterAll() {
   await db.end();
 }
 
+/** Makes username a member of the company with role, in the test. */
+
+async function addMember(handle, username, role) {
+  await CompanyMember.invite(handle, { username, role }, "u4");
+  await CompanyMember.accept(handle, username);
+}
+
 
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
+const u3TokenRecruiter = createToken({ username: "u3", isAdmin: false, roles: ["candidate", "recruiter"] });
 const u4TokenAdmin = createToken({ username: "u4", isAdmin: true });
 
 
@@ -152,7 +170,9 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  addMember,
   u1Token,
   u2Token,
+  u3TokenRecruiter,
   u4TokenAdmin,
 };
@@ -5,16 +5,59 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const EmailVerification = require("../models/emailVerification");
+const PasswordReset = require("../models/passwordReset");
+const RefreshToken = require("../models/refreshToken");
+const RevokedToken = require("../models/revokedToken");
+const TwoFactor = require("../models/twoFactor");
+const { ensureLoggedIn } = require("../middleware/auth");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const {
+  createToken,
+  createTwoFactorToken,
+  verifyTwoFactorToken
+} = require("../helpers/tokens");
+const {
+  checkLogin,
+  loginFailed,
+  loginSucceeded,
+  resetRequested
+} = require("../helpers/loginThrottle");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const emailVerificationConfirmSchema = require("../schemas/emailVerificationConfirm.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const twoFactorLoginSchema = require("../schemas/twoFactorLogin.json");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 
-/** POST /auth/token:  { username, password } => { token }
+/** Returns { token, refreshToken } for user. The refresh token starts a new
+ *  family, see models/refreshToken.js.
+ */
+
+async function tokensFor(user) {
+  const refreshToken = await RefreshToken.issue(user.username);
+  return { token: createToken(user), refreshToken };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                            or { twoFactorRequired, twoFactorToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests. The
+ * token expires after ACCESS_TOKEN_TTL seconds, the refreshToken gets a new
+ * one from POST /auth/refresh.
+ *
+ * When the user has two-factor authentication on, this returns
+ * { twoFactorRequired: true, twoFactorToken } instead. The twoFactorToken and
+ * a code go to POST /auth/token/two-factor for the tokens.
+ *
+ * Failed logins for the username, or from the IP address, make the next one
+ * wait and then lock it for a while, see helpers/loginThrottle.js. Until then
+ * this is 429 Too Many Requests with a Retry-After header.
  *
  * Authorization required: none
  */
@@ -28,20 +71,74 @@ router.post("/token", async function (req, res, next) {
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const login = { username, ip: req.ip };
+    await checkLogin(login);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) await loginFailed(login);
+      throw err;
+    }
+
+    // the failures are kept until the second step, so the code can not be
+    //  guessed with the password resetting the count.
+    if (await TwoFactor.isEnabled(user.username)) {
+      return res.json({ twoFactorRequired: true, twoFactorToken: createTwoFactorToken(user) });
+    }
+
+    await loginSucceeded(login);
+    return res.json(await tokensFor(user));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/two-factor:  { twoFactorToken, code } => { token, refreshToken }
+ *
+ * The second step of a login with two-factor authentication. code is from the
+ * authenticator app, or is one of the recovery codes. A wrong code counts as a
+ * failed login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/token/two-factor", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorLoginSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const user = verifyTwoFactorToken(req.body.twoFactorToken);
+    if (!user) throw new UnauthorizedError("Invalid or expired two-factor token.");
+
+    const login = { username: user.username, ip: req.ip };
+    await checkLogin(login);
+
+    if (!await TwoFactor.verify(user.username, req.body.code)) {
+      await loginFailed(login);
+      throw new UnauthorizedError("Invalid two-factor code.");
+    }
+
+    await loginSucceeded(login);
+    return res.json(await tokensFor(user));
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests and
+ * the refreshToken, as POST /auth/token does. A verification token is mailed
+ * to the email, see POST /auth/email-verification/confirm.
  *
  * Authorization required: none
  */
@@ -55,8 +152,238 @@ router.post("/register", async function (req, res, next) {
     }
 
     const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    await EmailVerification.send(newUser.username);
+    return res.status(201).json(await tokensFor(newUser));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Returns a new JWT token, with the user's current isAdmin, and the next
+ * refresh token. The refresh token sent can not be used again. Sending a
+ * refresh token that was already used revokes every refresh token from the
+ * same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { user, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token the request is made with. The refreshToken is
+ * optional, when it is sent every refresh token from the same login is
+ * revoked as well.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/logout", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authLogoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    if (res.locals.user.apiKeyId) {
+      throw new BadRequestError("An API key is not logged out, revoke it from DELETE /users/:username/api-keys/:id.");
+    }
+
+    const { username } = res.locals.user;
+    await RevokedToken.revoke(res.locals.user);
+    if (req.body.refreshToken) await RefreshToken.revoke(req.body.refreshToken, username);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:   { username } or { email } => { message }
+ *
+ * Mails a password reset token to the user with the username or email. The
+ * response is the same whether or not the user exists, so it can not be used
+ * to find out which usernames and emails exist. Requests for the same username
+ * or email are slowed down as failed logins are, see helpers/loginThrottle.js.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await resetRequested(req.body);
+    await PasswordReset.request(req.body);
+    return res.status(202).json({
+      message: "If the account exists, a password reset token has been mailed to it."
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { message }
+ *
+ * Sets the new password with the token from the mail. The token can be used
+ * once. The user's tokens from before the reset are revoked, the user logs in
+ * again with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ message: "The password has been reset." });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/email-verification/request:   {} => { message }
+ *
+ * Mails a new verification token to the logged in user's email. The tokens
+ * mailed before it can not be used.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/email-verification/request", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const sent = await EmailVerification.send(res.locals.user.username);
+    if (!sent) throw new BadRequestError("The email is already verified.");
+    return res.status(202).json({ message: "A verification token has been mailed to the email." });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/email-verification/confirm:   { token } => { message }
+ *
+ * Verifies the email with the token from the mail. The token can be used
+ * once and only for the email it was mailed to.
+ *
+ * Authorization required: none
+ */
+
+router.post("/email-verification/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, emailVerificationConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { email } = await EmailVerification.confirm(req.body.token);
+    return res.json({ message: `The email ${email} is verified.` });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/two-factor/enroll:   {} => { secret, otpauthUri }
+ *
+ * Starts turning on two-factor authentication for the logged in user. The
+ * secret goes into an authenticator app, otpauthUri is for a QR code the app
+ * can read. A code from the app then goes to POST /auth/two-factor/activate.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/two-factor/enroll", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const enrollment = await TwoFactor.enroll(res.locals.user.username);
+    return res.status(201).json(enrollment);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/two-factor/activate:   { code } => { recoveryCodes }
+ *
+ * Turns on two-factor authentication with a code from the authenticator app.
+ * recoveryCodes are for logging in without the app, each one once, and are
+ * not shown again. The user's tokens are revoked, the user logs in again with
+ * the second step.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/two-factor/activate", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recoveryCodes = await TwoFactor.activate(res.locals.user.username, req.body.code);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/two-factor/disable:   { code } => { disabled: username }
+ *
+ * Turns off two-factor authentication for the logged in user. code is from the
+ * authenticator app or is a recovery code. An admin can turn it off for a user
+ * who lost both, see DELETE /users/:username/two-factor.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/two-factor/disable", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, twoFactorCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    if (!await TwoFactor.verify(username, req.body.code)) {
+      throw new UnauthorizedError("Invalid two-factor code.");
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
   } catch (err) {
     return next(err);
   }
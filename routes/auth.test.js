@@ -1,10 +1,17 @@
 "use strict";
 
+const jwt = require("jsonwebtoken");
 const request = require("supertest");
 
 const app = require("../app");
+const ApiKey = require("../models/apiKey");
+const { getTransport, setTransport } = require("../helpers/mail");
+const { codeFor, counterAt } = require("../helpers/totp");
+const { getStore, loginFailed } = require("../helpers/loginThrottle");
+const { ACCESS_TOKEN_TTL, LOGIN_FREE_ATTEMPTS } = require("../config");
 
 const {
+  u1Token,
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
@@ -28,6 +35,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -69,6 +77,52 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("too many requests after failed logins, even with the password", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS; i++) {
+      const failed = await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "wrong" });
+      expect(failed.statusCode).toEqual(401);
+    }
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+    expect(resp.body.error.message).toEqual("Too many failed logins, try again in 1 seconds.");
+  });
+
+  test("too many requests when the username is locked", async function () {
+    await loginFailed({ username: "u1", ip: "10.0.0.1" });
+    await getStore().lock("username:u1", 600);
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("600");
+  });
+
+  test("a login that works forgets the username's failures", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS - 1; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "wrong" });
+    }
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "wrong" });
+
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,6 +141,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -112,3 +167,457 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const payload = jwt.decode(resp.body.token);
+    expect(payload.username).toEqual("u1");
+    expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL);
+  });
+
+  test("works: the new refresh token can be used", async function () {
+    const first = await login();
+    const second = (await request(app).post("/auth/refresh").send({ refreshToken: first })).body.refreshToken;
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: second });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("reuse revokes the family", async function () {
+    const first = await login();
+    const second = (await request(app).post("/auth/refresh").send({ refreshToken: first })).body.refreshToken;
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first });
+    expect(reuse.statusCode).toEqual(401);
+    expect(reuse.body.error.message).toEqual(
+        "Refresh token was already used. Its tokens are revoked, log in again.");
+
+    // the token made from first is revoked as well.
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: second });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Invalid refresh token.");
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  test("works", async function () {
+    const { token, refreshToken } = await login();
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    // the token and the refresh token can not be used.
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(after.statusCode).toEqual(401);
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("works: other tokens for the user are still good", async function () {
+    const { token } = await login();
+    await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${token}`);
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("password change revokes the user's tokens", async function () {
+    const { token } = await login();
+    const patch = await request(app)
+        .patch("/users/u1")
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${token}`);
+    expect(patch.statusCode).toEqual(200);
+
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    // a new login gets tokens that work.
+    const again = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: again.body.refreshToken });
+    const ok = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${refreshed.body.token}`);
+    expect(ok.statusCode).toEqual(200);
+  });
+
+  test("bad request with an API key", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats", scopes: ["read", "write"] });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  beforeEach(function () {
+    getTransport().outbox.length = 0;
+  });
+
+  function mailedToken() {
+    const { outbox } = getTransport();
+    return /^([A-Za-z0-9_-]{43})$/m.exec(outbox[outbox.length - 1].text)[1];
+  }
+
+  test("works", async function () {
+    const requested = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(requested.statusCode).toEqual(202);
+    expect(getTransport().outbox.length).toEqual(1);
+
+    const confirmed = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: mailedToken(), password: "new-password" });
+    expect(confirmed.body).toEqual({ message: "The password has been reset." });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("the response is the same for an unknown user", async function () {
+    const known = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const unknown = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nope@user.com" });
+    expect(unknown.statusCode).toEqual(known.statusCode);
+    expect(unknown.body).toEqual(known.body);
+    expect(getTransport().outbox.length).toEqual(1);
+  });
+
+  test("works when the mail can not be sent", async function () {
+    const transport = getTransport();
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    setTransport({ send: () => Promise.reject(new Error("down")) });
+    try {
+      const resp = await request(app)
+          .post("/auth/password-reset/request")
+          .send({ username: "u1" });
+      expect(resp.statusCode).toEqual(202);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(error).toHaveBeenCalledWith("Mail to user1@user.com was not sent: down");
+    } finally {
+      setTransport(transport);
+      error.mockRestore();
+    }
+  });
+
+  test("too many requests for the same username", async function () {
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS; i++) {
+      const requested = await request(app)
+          .post("/auth/password-reset/request")
+          .send({ username: "nope" });
+      expect(requested.statusCode).toEqual(202);
+    }
+
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+    expect(resp.body.error.message)
+      .toEqual("Too many password reset requests, try again in 1 seconds.");
+  });
+
+  test("bad request with no username or email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a used token", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    const token = mailedToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Invalid or expired password reset token.");
+  });
+
+  test("bad request with a short password", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "abc", password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/email-verification */
+
+describe("POST /auth/email-verification", function () {
+  beforeEach(function () {
+    getTransport().outbox.length = 0;
+  });
+
+  function mailedToken() {
+    const { outbox } = getTransport();
+    return /^([A-Za-z0-9_-]{43})$/m.exec(outbox[outbox.length - 1].text)[1];
+  }
+
+  test("works: the token mailed on register", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["new@email.com"]);
+
+    const resp = await request(app)
+        .post("/auth/email-verification/confirm")
+        .send({ token: mailedToken() });
+    expect(resp.body).toEqual({ message: "The email new@email.com is verified." });
+  });
+
+  test("works: request a new token", async function () {
+    const requested = await request(app)
+        .post("/auth/email-verification/request")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(requested.statusCode).toEqual(202);
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["user1@user.com"]);
+
+    const confirmed = await request(app)
+        .post("/auth/email-verification/confirm")
+        .send({ token: mailedToken() });
+    expect(confirmed.statusCode).toEqual(200);
+
+    const again = await request(app)
+        .post("/auth/email-verification/request")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(again.statusCode).toEqual(400);
+    expect(again.body.error.message).toEqual("The email is already verified.");
+  });
+
+  test("unauth for anon to request a token", async function () {
+    const resp = await request(app)
+        .post("/auth/email-verification/request");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with a bad token", async function () {
+    const resp = await request(app)
+        .post("/auth/email-verification/confirm")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Invalid or expired email verification token.");
+  });
+
+  test("bad request with no token", async function () {
+    const resp = await request(app)
+        .post("/auth/email-verification/confirm")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** two-factor authentication */
+
+describe("two-factor authentication", function () {
+  /** Turn on two-factor authentication for u1 through the routes, returns
+   *  { secret, recoveryCodes }. */
+  async function enableForU1() {
+    const enrolled = await request(app)
+        .post("/auth/two-factor/enroll")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(enrolled.statusCode).toEqual(201);
+    const { secret, otpauthUri } = enrolled.body;
+    expect(otpauthUri).toEqual(expect.stringMatching(/^otpauth:\/\/totp\/Jobly%3Au1\?/));
+
+    const activated = await request(app)
+        .post("/auth/two-factor/activate")
+        .send({ code: codeFor(secret, counterAt() - 1) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(activated.statusCode).toEqual(200);
+    return { secret, recoveryCodes: activated.body.recoveryCodes };
+  }
+
+  async function passwordStep() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.body).toEqual({ twoFactorRequired: true, twoFactorToken: expect.any(String) });
+    return resp.body.twoFactorToken;
+  }
+
+  test("works: login with a code", async function () {
+    const { secret } = await enableForU1();
+    const twoFactorToken = await passwordStep();
+
+    const resp = await request(app)
+        .post("/auth/token/two-factor")
+        .send({ twoFactorToken, code: codeFor(secret, counterAt()) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test("works: login with a recovery code", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const resp = await request(app)
+        .post("/auth/token/two-factor")
+        .send({ twoFactorToken: await passwordStep(), code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("activating revokes the tokens from before", async function () {
+    await enableForU1();
+    const resp = await request(app)
+        .post("/auth/two-factor/enroll")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a wrong code, and they count as failed logins", async function () {
+    await enableForU1();
+    const twoFactorToken = await passwordStep();
+
+    for (let i = 0; i < LOGIN_FREE_ATTEMPTS; i++) {
+      const resp = await request(app)
+          .post("/auth/token/two-factor")
+          .send({ twoFactorToken, code: "abcde-12345" });
+      expect(resp.statusCode).toEqual(401);
+      expect(resp.body.error.message).toEqual("Invalid two-factor code.");
+    }
+
+    const resp = await request(app)
+        .post("/auth/token/two-factor")
+        .send({ twoFactorToken, code: "abcde-12345" });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("unauth with an access token as the two-factor token", async function () {
+    const resp = await request(app)
+        .post("/auth/token/two-factor")
+        .send({ twoFactorToken: u1Token, code: "123456" });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual("Invalid or expired two-factor token.");
+  });
+
+  test("bad request with a wrong code to activate", async function () {
+    await request(app)
+        .post("/auth/two-factor/enroll")
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post("/auth/two-factor/activate")
+        .send({ code: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon to enroll", async function () {
+    const resp = await request(app)
+        .post("/auth/two-factor/enroll");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works: disable with a recovery code", async function () {
+    const { recoveryCodes } = await enableForU1();
+    const { body } = await request(app)
+        .post("/auth/token/two-factor")
+        .send({ twoFactorToken: await passwordStep(), code: recoveryCodes[0] });
+
+    const wrong = await request(app)
+        .post("/auth/two-factor/disable")
+        .send({ code: recoveryCodes[0] })
+        .set("authorization", `Bearer ${body.token}`);
+    expect(wrong.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/two-factor/disable")
+        .send({ code: recoveryCodes[1] })
+        .set("authorization", `Bearer ${body.token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.body.token).toEqual(expect.any(String));
+  });
+});
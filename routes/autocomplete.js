@@ -0,0 +1,55 @@
+"use strict";
+
+/** Routes for autocomplete. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { AUTOCOMPLETE_MAX } = require("../config");
+const Company = require("../models/company");
+const Job = require("../models/jobModel");
+const autocompleteSchema = require("../schemas/autocomplete.json");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { results: [ ... ] }
+ *
+ * Returns the companies or jobs that start with prefix, case-insensitive.
+ * 
+ * Query string:
+ * - type, company or jobTitle
+ * - prefix, the text typed so far
+ * - limit, optional, the most results to return. It is capped at the 
+ *     configured AUTOCOMPLETE_MAX, which is also the default.
+ *
+ * results is [{ handle, name }, ...] for company and 
+ *  [{ id, title, companyHandle }, ...] for jobTitle.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, autocompleteSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { type, prefix } = req.query;
+    const limit = Math.min(+(req.query.limit || AUTOCOMPLETE_MAX), AUTOCOMPLETE_MAX);
+
+    const results = (type === "company")
+      ? await Company.findByPrefix(prefix, limit)
+      : await Job.findByPrefix(prefix, limit);
+
+    return res.json({ results });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
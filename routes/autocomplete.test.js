@@ -0,0 +1,74 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+const { AUTOCOMPLETE_MAX } = require("../config");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /autocomplete */
+
+describe("GET /autocomplete", function () {
+  test("ok for anonymous: company names", async function () {
+    const resp = await request(app).get("/autocomplete?type=company&prefix=c");
+    expect(resp.body).toEqual({
+      results: [
+        { handle: "c1", name: "C1" },
+        { handle: "c2", name: "C2" },
+        { handle: "c3", name: "C3" }
+      ]
+    });
+  });
+
+  test("ok for anonymous: job titles", async function () {
+    const resp = await request(app).get("/autocomplete?type=jobTitle&prefix=J1");
+    expect(resp.body).toEqual({
+      results: [
+        { id: expect.any(Number), title: "j1-c1", companyHandle: "c1" },
+        { id: expect.any(Number), title: "j1-d1", companyHandle: "d1" }
+      ]
+    });
+  });
+
+  test("ok for anonymous: limit", async function () {
+    const resp = await request(app).get("/autocomplete?type=jobTitle&prefix=j&limit=2");
+    expect(resp.body.results.map(r => r.title)).toEqual(["j1-c1", "j1-d1"]);
+  });
+
+  test("ok for anonymous: limit is capped at the configured maximum", async function () {
+    const values = [];
+    for (let i = 0; i <= AUTOCOMPLETE_MAX; i++) values.push(`('job ${i}', 'c1')`);
+    await db.query(`INSERT INTO jobs (title, company_handle) VALUES ${values.join(", ")}`);
+
+    const resp = await request(app)
+      .get(`/autocomplete?type=jobTitle&prefix=job&limit=${AUTOCOMPLETE_MAX + 5}`);
+    expect(resp.body.results.length).toEqual(AUTOCOMPLETE_MAX);
+  });
+
+  test("ok for anonymous: % and _ are not wildcards", async function () {
+    const resp = await request(app).get("/autocomplete?type=company&prefix=%25");
+    expect(resp.body).toEqual({ results: [] });
+  });
+
+  test("bad request for an unknown type", async function () {
+    const resp = await request(app).get("/autocomplete?type=user&prefix=u");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request without a prefix", async function () {
+    const resp = await request(app).get("/autocomplete?type=company");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
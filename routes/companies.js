@@ -6,15 +6,26 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureAdmin, ensureLoggedIn } = require("../middleware/auth");
+const {
+  ensureCompanyPermission,
+  ensureLoggedIn,
+  ensurePermission,
+  ensurePolicy
+} = require("../middleware/auth");
+const { pageFromQuery, pageLinks } = require("../helpers/pagination");
+const { serializeUsers } = require("../helpers/userSerializer");
 const Company = require("../models/company");
 const Job = require("../models/jobModel");
+const Application = require("../models/application");
+const CompanyMember = require("../models/companyMember");
 
 const companyFilterSchema = require("../schemas/companyFilter.json");
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
 
 const jobFilterSchema = require("../schemas/jobFilter.json");
+const applicationFilterSchema = require("../schemas/applicationFilter.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
@@ -25,12 +36,12 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: Admin
+ * Authorization required: companies:write
  *   - JWT token with username and isAdmin flag is passed in via  
  *     'Authorization' keyword in the header.
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensurePermission("companies:write"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -46,12 +57,32 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, next, prev }, didYouMean }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
+ * - q, full-text search of the company name and description. Words, "quoted 
+ *     phrases", OR, and -word work as they do in a web search. Each company 
+ *     has rank and snippet, the matching text with the matches in <mark></mark>.
+ * - fuzzy, finds the companies with a name close to the text, typos and all.
+ *     Each company has similarity, 0 - 1.
+ * When a nameLike or q search finds nothing, didYouMean is the closest company 
+ *  name, or null.
+ *
+ * Sorting:
+ * - sort, comma separated fields, a leading '-' sorts the field descending,
+ *     for example sort=-numEmployees,name.
+ *   Fields: handle, name, numEmployees, relevance with q, and similarity with 
+ *     fuzzy. Default is name, -relevance (best match first) with q, or 
+ *     -similarity (closest first) with fuzzy.
+ *
+ * Paging:
+ * - limit (1 - 100, default 20)
+ * - offset (page by position) OR cursor (from the next / prev links)
+ * next and prev are links to the pages on either side, null when there is none.
  *
  * Authorization required: none
  */
@@ -69,8 +100,12 @@ router.get("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const companies = await Company.findAll(req.query);
-    return res.json({ companies });
+    const { limit, offset, cursor, sort, ...filters } = req.query;
+    const { companies, pagination, didYouMean } = await Company.findAll(
+      filters, pageFromQuery({ limit, offset, cursor, sort }));
+    const result = { companies, pagination: pageLinks(req, pagination) };
+    if (didYouMean !== undefined) result.didYouMean = didYouMean;
+    return res.json(result);
   } catch (err) {
     return next(err);
   }
@@ -106,7 +141,7 @@ router.get("/:handle", async function (req, res, next) {
 
     const company = await Job.findAll(req.params.handle, "LEFT ", req.query);
 
-    return res.json({ company: company[0] });
+    return res.json({ company: company.jobs[0] });
   } catch (err) {
     return next(err);
   }
@@ -114,6 +149,52 @@ router.get("/:handle", async function (req, res, next) {
 
 
 
+/** GET /[handle]/applications  =>  { applications, counts }
+ *
+ * Get the applicants for every job at a company.
+ *
+ * applications is [ { username, firstName, lastName, email, jobId, title, 
+ *   state, appliedAt }, ... ] with the user fields the logged in user can see,
+ *   see helpers/userSerializer.js.
+ * counts is { total, states: { applied: n, screening: n, ... } }
+ *
+ * Can filter on:
+ * - state (one or more, comma separated, state=applied,screening)
+ * - username
+ * - appliedAfter (YYYY-MM-DD, applied on or after the date)
+ * - appliedBefore (YYYY-MM-DD, applied before the date)
+ *
+ * Can sort with sort=appliedAt (oldest first) or sort=-appliedAt (newest 
+ *  first, the default).
+ *
+ * Authorization required: applications:read, or applications:read in the
+ *  company
+ *  - JWT token with username and isAdmin flag is passed in via  
+ *    'Authorization' keyword in the header.
+ */
+
+router.get("/:handle/applications", ensureCompanyPermission("applications:read"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, applicationFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // Company.get throws NotFoundError when the company does not exist.
+    await Company.get(req.params.handle);
+
+    const { sort, ...filters } = req.query;
+    const result = await Application.findAll({ ...filters, handle: req.params.handle }, sort);
+    result.applications = await serializeUsers(res.locals.user, result.applications);
+
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
@@ -141,12 +222,12 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: Admin
+ * Authorization required: companies:write, or companies:write in the company
  *  - JWT token with username and isAdmin flag is passed in via  
  *     'Authorization' keyword in the header.
  */
 
-router.patch("/:handle", ensureAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureCompanyPermission("companies:write"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -163,12 +244,12 @@ router.patch("/:handle", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization required: Admin
+ * Authorization required: companies:write
  *  - JWT token with username and isAdmin flag is passed in via  
  *    'Authorization' keyword in the header.
  */
 
-router.delete("/:handle", ensureAdmin, async function (req, res, next) {
+router.delete("/:handle", ensurePermission("companies:write"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -178,4 +259,92 @@ router.delete("/:handle", ensureAdmin, async function (req, res, next) {
 });
 
 
+/** GET /[handle]/members  =>  { members }
+ *
+ * Returns the company's members and the users invited to it, by username.
+ *
+ * members is [{ username, role, invitedBy, invitedAt, acceptedAt }, ...]
+ *  where role is owner or recruiter and acceptedAt is null for an invitation
+ *  that is not accepted yet.
+ *
+ * Authorization required: members:read, or members:read in the company
+ */
+
+router.get("/:handle/members", ensureCompanyPermission("members:read"), async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findAll(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Invites the user to the company as an owner or a recruiter and mails them.
+ *  They are a member once they accept, see POST /[handle]/members/[username]/accept.
+ *
+ * Returns { username, role, invitedBy, invitedAt, acceptedAt }
+ *
+ * Authorization required: members:write, or members:write in the company
+ */
+
+router.post("/:handle/members", ensureCompanyPermission("members:write"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const member = await CompanyMember.invite(
+      req.params.handle, req.body, res.locals.user.username);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[handle]/members/[username]/accept  =>  { member }
+ *
+ * Accepts the user's invitation to the company.
+ *
+ * Returns { username, role, invitedBy, invitedAt, acceptedAt }
+ *
+ * Authorization required: logged in username === :username
+ */
+
+router.post("/:handle/members/:username/accept", ensurePolicy({ self: true }), async function (req, res, next) {
+  try {
+    const member = await CompanyMember.accept(req.params.handle, req.params.username);
+    return res.json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[handle]/members/[username]  =>  { deleted: username }
+ *
+ * Removes the member from the company, or takes back or turns down their
+ *  invitation. The company's last owner can not be removed.
+ *
+ * Authorization required: logged in username === :username OR members:write,
+ *  or members:write in the company
+ */
+
+router.delete("/:handle/members/:username",
+  ensurePolicy({ self: true, permission: "members:write", company: req => req.params.handle }),
+  async function (req, res, next) {
+    try {
+      await CompanyMember.remove(req.params.handle, req.params.username);
+      return res.json({ deleted: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+
 module.exports = router;
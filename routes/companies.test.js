@@ -5,13 +5,17 @@ const request = require("supertest");
 const db = require("../db");
 const app = require("../app");
 const User = require("../models/user");
+const { getTransport } = require("../helpers/mail");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  addMember,
   u1Token,
+  u2Token,
+  u3TokenRecruiter,
   u4TokenAdmin,
 } = require("./_testCommon");
 
@@ -42,6 +46,14 @@ describe("POST /companies", function () {
     });
   });
 
+  test("unauth for a recruiter", async function () {
+    const resp = await request(app)
+      .post("/companies")
+      .send(newCompany)
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("bad request from admin with missing data", async function () {
     const resp = await request(app)
       .post("/companies")
@@ -152,6 +164,7 @@ describe("GET /companies", function () {
             logoUrl: "http://e1.img"
           }
         ],
+      pagination: { total: 5, limit: 20, next: null, prev: null },
     });
   });
 
@@ -168,9 +181,116 @@ describe("GET /companies", function () {
 });
 
 
+// ************************************** GET /companies  paging
+
+describe("GET /companies paging", function () {
+  test("offset paging", async function () {
+    let resp = await request(app).get("/companies?limit=2&offset=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "d1"]);
+    expect(resp.body.pagination).toEqual({
+      total: 5,
+      limit: 2,
+      next: "/companies?limit=2&offset=4",
+      prev: "/companies?limit=2&offset=0"
+    });
+
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["e1"]);
+    expect(resp.body.pagination.next).toEqual(null);
+  });
+
+  test("cursor paging forwards and back, filters are kept", async function () {
+    let resp = await request(app).get("/companies?nameLike=c&limit=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.pagination.total).toEqual(3);
+    expect(resp.body.pagination.prev).toEqual(null);
+    expect(resp.body.pagination.next).toEqual(expect.stringContaining("/companies?nameLike=c&limit=2&cursor="));
+
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(resp.body.pagination.next).toEqual(null);
+
+    resp = await request(app).get(resp.body.pagination.prev);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.pagination.prev).toEqual(null);
+  });
+
+  test("sorted by most employees first", async function () {
+    let resp = await request(app).get("/companies?sort=-numEmployees&limit=3");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["e1", "d1", "c3"]);
+
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c1"]);
+    expect(resp.body.pagination.next).toEqual(null);
+  });
+
+  test("bad request for a field that cannot be sorted", async function () {
+    const resp = await request(app).get("/companies?sort=-description");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for offset and cursor together", async function () {
+    const resp = await request(app).get("/companies?offset=2&cursor=abc");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid cursor", async function () {
+    const resp = await request(app).get("/companies?cursor=abc");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Invalid cursor: 'abc'.");
+  });
+
+  test("bad request for a company size out of range", async function () {
+    for (const query of ["maxEmployees=99999999999999", "minEmployees=", "minEmployees=2147483648"]) {
+      const resp = await request(app).get(`/companies?${query}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request for limit over 100", async function () {
+    const resp = await request(app).get("/companies?limit=101");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+
 // ************************************** GET /companies  with filters
 
 describe("GET /companies with filters", function () {
+  test("ok for anonymous, fuzzy search", async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862, 'Insurance.')`);
+    const resp = await request(app).get("/companies?fuzzy=Bauer Galager");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["bauer-gallagher"]);
+    expect(resp.body.companies[0].similarity).toBeGreaterThan(0.4);
+  });
+
+  test("ok for anonymous, did you mean when nothing is found", async function () {
+    await db.query(`
+      INSERT INTO companies(handle, name, num_employees, description)
+      VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862, 'Insurance.')`);
+    const resp = await request(app).get("/companies?nameLike=Bauer Galager");
+    expect(resp.body.companies).toEqual([]);
+    expect(resp.body.didYouMean).toEqual("Bauer-Gallagher");
+  });
+
+  test("ok for anonymous, full-text search", async function () {
+    const resp = await request(app).get("/companies?q=d1");
+    expect(resp.body.companies).toEqual([
+      {
+        handle: "d1",
+        name: "D1",
+        description: "Desc d1",
+        numEmployees: 4,
+        logoUrl: "http://d1.img",
+        rank: expect.any(Number),
+        snippet: "<mark>D1</mark>. Desc <mark>d1</mark>"
+      }
+    ]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
   test("ok for anon - filter test", async function () {
     let resp = await request(app).get("/companies?nameLike=1");
     expect(resp.body).toEqual({
@@ -198,6 +318,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://e1.img"
           }
         ],
+      pagination: { total: 3, limit: 20, next: null, prev: null },
     });
 
     // name filter
@@ -213,6 +334,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://d1.img"
           }
         ],
+      pagination: { total: 1, limit: 20, next: null, prev: null },
     });
 
     // min filter
@@ -228,6 +350,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://e1.img"
           }
         ],
+      pagination: { total: 1, limit: 20, next: null, prev: null },
     });
 
     // max filter
@@ -250,6 +373,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://c2.img"
           }
         ],
+      pagination: { total: 2, limit: 20, next: null, prev: null },
     });
 
     // both min and max
@@ -279,6 +403,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://d1.img"
           }
         ],
+      pagination: { total: 3, limit: 20, next: null, prev: null },
     });
 
     // all filters
@@ -294,6 +419,7 @@ describe("GET /companies with filters", function () {
             logoUrl: "http://d1.img"
           }
         ],
+      pagination: { total: 1, limit: 20, next: null, prev: null },
     });
 
   });
@@ -323,7 +449,7 @@ describe("GET /companies with invalid filters", function () {
     resp = await request(app).get("/companies?minEmployees=1o");
     expect(resp.status).toEqual(400);
     expect(resp.body.error.message).toEqual([
-      "instance.minEmployees does not match pattern \"^[0-9]*$\""
+      "instance.minEmployees does not match pattern \"^[0-9]+$\""
     ]);
 
     // invalid filter value
@@ -662,6 +788,24 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("works for an owner of the company", async function () {
+    await addMember("c1", "u1", "owner");
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("unauth for a recruiter of the company", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({ name: "C1-new" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
       .patch(`/companies/c1`)
@@ -770,6 +914,7 @@ describe("DELETE /companies/:handle with cascade delete checks", function () {
         "lastName": "U3L",
         "email": "user3@user.com",
         "isAdmin": false,
+        "emailVerified": false,
         "jobs": [resultJobId.rows[0].id]
       }
     });
@@ -830,6 +975,7 @@ describe("DELETE /companies/:handle with cascade delete checks", function () {
           ]
         }
       ],
+      pagination: { total: 6, limit: 20, next: null, prev: null },
     });
 
     resp = await request(app)
@@ -862,6 +1008,7 @@ describe("DELETE /companies/:handle with cascade delete checks", function () {
           ]
         }
       ],
+      pagination: { total: 1, limit: 20, next: null, prev: null },
     });
 
     // verify no job application
@@ -874,7 +1021,8 @@ describe("DELETE /companies/:handle with cascade delete checks", function () {
         "firstName": "U3F",
         "lastName": "U3L",
         "email": "user3@user.com",
-        "isAdmin": false
+        "isAdmin": false,
+        "emailVerified": false
       }
     });
 
@@ -910,3 +1058,235 @@ describe("DELETE /companies/:handle with cascade delete checks", function () {
 
 });
 
+
+// ************************************** GET /companies/:handle/applications
+
+describe("GET /companies/:handle/applications", function () {
+
+  test("works for a recruiter of the company", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u2", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .get(`/companies/c1/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("unauth for a recruiter of another company", async function () {
+    await addMember("c2", "u1", "recruiter");
+    const resp = await request(app)
+      .get(`/companies/c1/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for admin", async function () {
+    const idResult = await db.query(
+      `SELECT id, title FROM jobs WHERE title IN ('j1-c1', 'j2-c1', 'j1-d1') ORDER BY title`);
+    const jobIds = idResult.rows.map(r => r.id);
+    await User.applyForJob({ username: "u1", id: jobIds[0] });
+    await User.applyForJob({ username: "u2", id: jobIds[1] });
+    await User.applyForJob({ username: "u3", id: jobIds[2] });
+
+    const resp = await request(app)
+      .get(`/companies/c1/applications`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.applications.map(a => [a.username, a.title])).toEqual([
+      ["u3", "j2-c1"],
+      ["u1", "j1-c1"]
+    ]);
+    expect(resp.body.counts).toEqual({ total: 2, states: { applied: 2 } });
+  });
+
+  test("works for admin: filter by username", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await User.applyForJob({ username: "u2", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .get(`/companies/c1/applications?username=u2`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("works for admin: company with no applicants", async function () {
+    const resp = await request(app)
+      .get(`/companies/e1/applications`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ applications: [], counts: { total: 0, states: {} } });
+  });
+
+  test("not found for admin when no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/applications`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+});
+
+
+// ************************************** /companies/:handle/members
+
+describe("GET /companies/:handle/members", function () {
+  test("works for a member", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      members: [{
+        username: "u1",
+        role: "recruiter",
+        invitedBy: "u4",
+        invitedAt: expect.any(String),
+        acceptedAt: expect.any(String)
+      }]
+    });
+  });
+
+  test("unauth for a user who is not a member", async function () {
+    const resp = await request(app)
+      .get(`/companies/c1/members`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for admin if no such company", async function () {
+    const resp = await request(app)
+      .get(`/companies/nope/members`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+
+describe("POST /companies/:handle/members", function () {
+  test("works for an owner", async function () {
+    await addMember("c1", "u1", "owner");
+    getTransport().outbox.length = 0;
+
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u2", role: "recruiter" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.member).toEqual({
+      username: "u2",
+      role: "recruiter",
+      invitedBy: "u1",
+      invitedAt: expect.any(String),
+      acceptedAt: null
+    });
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["user2@user.com"]);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "owner" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for a recruiter", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u2", role: "recruiter" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u2", role: "boss" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "nope", role: "recruiter" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+
+describe("POST /companies/:handle/members/:username/accept", function () {
+  test("works for the invited user", async function () {
+    await request(app)
+      .post(`/companies/c1/members`)
+      .send({ username: "u1", role: "recruiter" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+
+    const resp = await request(app)
+      .post(`/companies/c1/members/u1/accept`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.member.acceptedAt).toEqual(expect.any(String));
+  });
+
+  test("unauth for another user", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/u1/accept`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found without an invitation", async function () {
+    const resp = await request(app)
+      .post(`/companies/c1/members/u1/accept`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for an owner", async function () {
+    await addMember("c1", "u1", "owner");
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: "u2" });
+  });
+
+  test("works for the member leaving", async function () {
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ deleted: "u2" });
+  });
+
+  test("unauth for a recruiter removing another member", async function () {
+    await addMember("c1", "u1", "recruiter");
+    await addMember("c1", "u2", "recruiter");
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u2`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for the last owner", async function () {
+    await addMember("c1", "u1", "owner");
+    const resp = await request(app)
+      .delete(`/companies/c1/members/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -6,15 +6,44 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError, NotFoundError } = require("../expressError");
-const { ensureAdmin, ensureLoggedIn } = require("../middleware/auth");
+const { ensureCompanyPermission, ensureLoggedIn } = require("../middleware/auth");
+const { pageFromQuery, pageLinks } = require("../helpers/pagination");
+const { serializeUsers } = require("../helpers/userSerializer");
 const Job = require("../models/jobModel");
+const Application = require("../models/application");
 
+const applicationFilterSchema = require("../schemas/applicationFilter.json");
 const jobFilterSchema = require("../schemas/jobFilter.json");
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
 
 const router = new express.Router();
 
+// the largest id a jobs.id INTEGER column holds.
+const MAX_JOB_ID = 2147483647;
+
+// :id must be a job id before any route with it queries the database, a job
+//  id that is not an integer is a job that does not exist.
+router.param("id", function (req, res, next, value) {
+  if ((!/^[0-9]+$/.test(value)) || (+value > MAX_JOB_ID)) {
+    return next(new NotFoundError(`No job: ${value}`));
+  }
+  return next();
+});
+
+// the job in the route, fetched once per request and kept on req. Throws
+//  NotFoundError when the job does not exist.
+async function routeJob(req) {
+  if (!req.job) req.job = await Job.get(req.params.id);
+  return req.job;
+}
+
+// the company of the job in the route, for ensureCompanyPermission.
+async function jobCompany(req) {
+  const { handle } = await routeJob(req);
+  return handle;
+}
+
 
 /** POST / { job } 
  * 
@@ -22,12 +51,13 @@ const router = new express.Router();
  *
  * Returns { job: { id, title, salary, equity, companyHandle } }
  *
- * Authorization required: Admin
+ * Authorization required: jobs:write, or jobs:write in the company of
+ *  companyHandle
  *   - JWT token with username and isAdmin flag is passed in via  
  *     'Authorization' keyword in the header.
  */
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensureCompanyPermission("jobs:write", req => req.body.companyHandle), async function (req, res, next) {
 
   try {
     const validator = jsonschema.validate(req.body, jobNewSchema);
@@ -56,15 +86,54 @@ router.post("/", ensureAdmin, async function (req, res, next) {
 
 
 /** GET /  =>
- *   { jobs: { ..company data.., jobs [ { id, title, salary, equity }, ... ] }
+ *   { jobs: { ..company data.., jobs [ { id, title, salary, equity }, ... ] },
+ *     pagination: { total, limit, next, prev }, facets }
  * 
  * Get all jobs.
  * 
  * Can filter on:
  * - title (will find case-insensitive, partial matches)
- * - minSalary
+ * - minSalary, maxSalary
  * - hasEquity (when true, jobs with equity > 0 only are returned, false means
  *     no filtering based on equity)
+ * - minEquity, maxEquity (0 - 1)
+ * - companyName (will find case-insensitive, partial matches)
+ * - minEmployees, maxEmployees (the size of the company)
+ * - handle, one or more company handles, handle=c1,c2 or handle=c1&handle=c2
+ * - q, full-text search of the job title. Words, "quoted phrases", OR, and 
+ *     -word work as they do in a web search. Each job has rank and snippet, 
+ *     the matching text with the matches in <mark></mark>.
+ * - fuzzy, finds the jobs with a title close to the text, typos and all. Each
+ *     job has similarity, 0 - 1.
+ * - query, the search query language, the filters above in one search box:
+ *     title:engineer salary>=120000 equity:yes company:hall-davis remote
+ *   Fields: title:, salary>= salary<=, equity: (yes, equity > 0 / no, no
+ *     equity) equity>= equity<=,
+ *     company: (handle, can repeat), companyName:, employees>= employees<=.
+ *     Values with spaces are in double quotes, other words are the q search.
+ *   A query that does not parse is a 400 with the position of the problem.
+ * Each min must be less than its max.
+ * When nothing is found the 404 error has didYouMean, the closest job title to
+ *  the title or q text, or null.
+ *
+ * Facets:
+ * - facets, comma separated, any of company, salary, equity, companySize.
+ *     Adds facets to the result with the count of the jobs the filters find
+ *     (all pages) by company, by salary range, with and without equity, and
+ *     by company size range. See Job.facets.
+ *
+ * Sorting:
+ * - sort, comma separated fields, a leading '-' sorts the field descending,
+ *     for example sort=-salary,title.
+ *   Fields: handle, name (company name), id, title, salary, equity, relevance 
+ *     with q, and similarity with fuzzy. Default is handle, -relevance (best 
+ *     match first) with q, or -similarity (closest first) with fuzzy.
+ *
+ * Paging:
+ * - limit (1 - 100 jobs, default 20)
+ * - offset (page by position) OR cursor (from the next / prev links)
+ * next and prev are links to the pages on either side, null when there is none.
+ * total is the number of jobs.
  *
  * Authorization required: none
  */
@@ -82,9 +151,14 @@ router.get("/", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
-    const jobs = await Job.findAll("", "", req.query);
+    const { limit, offset, cursor, sort, facets, ...filters } = req.query;
+    const { jobs, pagination } = await Job.findAll(
+      "", "", filters, pageFromQuery({ limit, offset, cursor, sort }));
 
-    return res.json({ jobs });
+    const result = { jobs, pagination: pageLinks(req, pagination) };
+    if (facets) result.facets = await Job.facets(filters, facets.split(","));
+
+    return res.json(result);
   } catch (err) {
     return next(err);
   }
@@ -144,6 +218,53 @@ router.get("/:id", async function (req, res, next) {
 });
 
 
+/** GET /[id]/applications  =>  { applications, counts }
+ *
+ * Get the applicants for a job.
+ *
+ * applications is [ { username, firstName, lastName, email, jobId, title, 
+ *   state, appliedAt }, ... ] with the user fields the logged in user can see,
+ *   see helpers/userSerializer.js.
+ * counts is { total, states: { applied: n, screening: n, ... } }
+ *
+ * Can filter on:
+ * - state (one or more, comma separated, state=applied,screening)
+ * - username
+ * - appliedAfter (YYYY-MM-DD, applied on or after the date)
+ * - appliedBefore (YYYY-MM-DD, applied before the date)
+ *
+ * Can sort with sort=appliedAt (oldest first) or sort=-appliedAt (newest 
+ *  first, the default).
+ *
+ * Authorization required: applications:read, or applications:read in the
+ *  job's company
+ *  - JWT token with username and isAdmin flag is passed in via  
+ *    'Authorization' keyword in the header.
+ */
+
+router.get("/:id/applications", ensureCompanyPermission("applications:read", jobCompany), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, applicationFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    // throws NotFoundError when the job does not exist, the job is already
+    //  fetched when jobCompany checked its company.
+    await routeJob(req);
+
+    const { sort, ...filters } = req.query;
+    const result = await Application.findAll({ ...filters, jobId: req.params.id }, sort);
+    result.applications = await serializeUsers(res.locals.user, result.applications);
+
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job details.
@@ -154,12 +275,12 @@ router.get("/:id", async function (req, res, next) {
  *
  * Returns { job: { companyHandle, id, title, salary, equity } } }
  *
- * Authorization required: Admin
+ * Authorization required: jobs:write, or jobs:write in the job's company
  *  - JWT token with username and isAdmin flag is passed in via  
  *     'Authorization' keyword in the header.
  */
 
-router.patch("/:id", ensureAdmin, async function (req, res, next) {
+router.patch("/:id", ensureCompanyPermission("jobs:write", jobCompany), async function (req, res, next) {
 
   try {
     const validator = jsonschema.validate(req.body, jobUpdateSchema);
@@ -178,11 +299,11 @@ router.patch("/:id", ensureAdmin, async function (req, res, next) {
 
 /** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization required: Admin
+ * Authorization required: jobs:write, or jobs:write in the job's company
  *  - JWT token with username and isAdmin flag is passed in via  
  *    'Authorization' keyword in the header.
  */
-router.delete("/:id", ensureAdmin, async function (req, res, next) {
+router.delete("/:id", ensureCompanyPermission("jobs:write", jobCompany), async function (req, res, next) {
 
   try {
     await Job.remove(req.params.id);
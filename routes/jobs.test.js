@@ -4,13 +4,18 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const User = require("../models/user");
+const Job = require("../models/jobModel");
+const Application = require("../models/application");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  addMember,
   u1Token,
+  u3TokenRecruiter,
   u4TokenAdmin,
 } = require("./_testCommon");
 
@@ -34,6 +39,14 @@ describe("POST /jobs", function () {
     "equity": 1.2
   };
 
+  test("unauth for the recruiter role without a role in the company", async function () {
+    const resp = await request(app)
+      .post("/jobs")
+      .send(newJob)
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("ok for admin, minimal fields", async function () {
     let resp = await request(app)
       .post("/jobs")
@@ -218,6 +231,7 @@ describe("GET /jobs", function () {
         ]
       }
     ],
+    pagination: { total: 6, limit: 20, next: null, prev: null },
   }
   test("ok for anonymous", async function () {
     const resp = await request(app).get("/jobs");
@@ -241,6 +255,86 @@ describe("GET /jobs", function () {
 });
 
 
+// ************************************** GET /jobs  paging
+
+describe("GET /jobs paging", function () {
+  test("limit is the number of jobs, pages can split a company", async function () {
+    let resp = await request(app).get("/jobs?limit=4");
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j1-c1", "j2-c1", "j3-c1", "j4-c1"]]
+    ]);
+    expect(resp.body.pagination.total).toEqual(6);
+
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j5-c1"]],
+      ["d1", ["j1-d1"]]
+    ]);
+    expect(resp.body.pagination.next).toEqual(null);
+    expect(resp.body.pagination.prev).toEqual(expect.stringContaining("/jobs?limit=4&cursor="));
+  });
+
+  test("offset paging with a filter", async function () {
+    const resp = await request(app).get("/jobs?minSalary=20000&limit=2&offset=2");
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j4-c1"]],
+      ["d1", ["j1-d1"]]
+    ]);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      limit: 2,
+      next: null,
+      prev: "/jobs?minSalary=20000&limit=2&offset=0"
+    });
+  });
+
+  test("highest paying first, jobs without a salary last", async function () {
+    let resp = await request(app).get("/jobs?sort=-salary&limit=3");
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j4-c1"]],
+      ["d1", ["j1-d1"]],
+      ["c1", ["j3-c1"]]
+    ]);
+
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j2-c1", "j1-c1", "j5-c1"]]
+    ]);
+    expect(resp.body.pagination.next).toEqual(null);
+
+    resp = await request(app).get(resp.body.pagination.prev);
+    expect(resp.body.jobs.map(c => [c.handle, c.jobs.map(j => j.title)])).toEqual([
+      ["c1", ["j4-c1"]],
+      ["d1", ["j1-d1"]],
+      ["c1", ["j3-c1"]]
+    ]);
+  });
+
+  test("bad request for a field that cannot be sorted", async function () {
+    const resp = await request(app).get("/jobs?sort=companyHandle");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for invalid limit", async function () {
+    const resp = await request(app).get("/jobs?limit=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: the next page by equity, a numeric cursor value", async function () {
+    let resp = await request(app).get("/jobs?sort=-equity&limit=2");
+    resp = await request(app).get(resp.body.pagination.next);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request for a cursor value of the wrong type", async function () {
+    const cursor = Buffer.from(JSON.stringify({ after: ["c1", {}] })).toString("base64url");
+    const resp = await request(app).get(`/jobs?cursor=${cursor}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(`Invalid cursor: '${cursor}'.`);
+  });
+});
+
+
 // ************************************** GET /jobs  with filters
 
 describe("GET /jobs with filters", function () {
@@ -296,7 +390,8 @@ describe("GET /jobs with filters", function () {
           }
         ]
       }
-    ]
+    ],
+    pagination: { total: 6, limit: 20, next: null, prev: null },
   };
 
   test("ok for anonymous, filter title like j1", async function () {
@@ -330,7 +425,8 @@ describe("GET /jobs with filters", function () {
               }
             ]
           }
-        ]
+        ],
+      pagination: { total: 2, limit: 20, next: null, prev: null },
     });
   });
 
@@ -371,6 +467,7 @@ describe("GET /jobs with filters", function () {
           ]
         }
       ],
+      pagination: { total: 3, limit: 20, next: null, prev: null },
     });
   });
 
@@ -405,6 +502,7 @@ describe("GET /jobs with filters", function () {
           ]
         }
       ],
+      pagination: { total: 2, limit: 20, next: null, prev: null },
     });
   });
 
@@ -431,6 +529,7 @@ describe("GET /jobs with filters", function () {
           ]
         }
       ],
+      pagination: { total: 1, limit: 20, next: null, prev: null },
     });
   });
 
@@ -442,13 +541,167 @@ describe("GET /jobs with filters", function () {
   });
 
   test("ok for anonymous, filters invalid", async function () {
-    const resp = await request(app).get("/jobs?maxSalary=90000&");
+    const resp = await request(app).get("/jobs?salary=90000&");
     expect(resp.statusCode).toEqual(400);
     expect(resp.body.error.message).toEqual(
-      ["instance is not allowed to have the additional property \"maxSalary\""]
+      ["instance is not allowed to have the additional property \"salary\""]
     );
   });
 
+  test("ok for anonymous, salary range", async function () {
+    const resp = await request(app).get("/jobs?minSalary=20000&maxSalary=35000&sort=salary");
+    expect(resp.body.jobs.flatMap(c => c.jobs.map(j => j.title)))
+      .toEqual(["j2-c1", "j3-c1", "j1-d1"]);
+  });
+
+  test("ok for anonymous, equity range", async function () {
+    const resp = await request(app).get("/jobs?minEquity=0.01&maxEquity=0.015");
+    expect(resp.body.jobs.flatMap(c => c.jobs.map(j => j.title))).toEqual(["j1-d1"]);
+  });
+
+  test("ok for anonymous, company name and size", async function () {
+    let resp = await request(app).get("/jobs?companyName=d");
+    expect(resp.body.jobs.map(c => c.handle)).toEqual(["d1"]);
+
+    resp = await request(app).get("/jobs?minEmployees=2&maxEmployees=5");
+    expect(resp.body.jobs.map(c => c.handle)).toEqual(["d1"]);
+  });
+
+  test("ok for anonymous, list of handles", async function () {
+    let resp = await request(app).get("/jobs?handle=c1,d1&title=j1");
+    expect(resp.body.jobs.map(c => c.handle)).toEqual(["c1", "d1"]);
+
+    resp = await request(app).get("/jobs?handle=d1&handle=c2");
+    expect(resp.body.jobs.map(c => c.handle)).toEqual(["d1"]);
+  });
+
+  test("ok for anonymous, full-text search", async function () {
+    const resp = await request(app).get("/jobs?q=j3");
+    expect(resp.body.jobs).toEqual([
+      {
+        handle: "c1",
+        name: "C1",
+        numEmployees: 1,
+        jobs: [
+          {
+            id: expect.any(Number),
+            title: "j3-c1",
+            salary: 30000,
+            equity: 0.02,
+            rank: expect.any(Number),
+            snippet: "<mark>j3</mark>"
+          }
+        ]
+      }
+    ]);
+  });
+
+  test("ok for anonymous, fuzzy search", async function () {
+    const resp = await request(app).get("/jobs?fuzzy=j3c1");
+    expect(resp.body.jobs[0].jobs[0].title).toEqual("j3-c1");
+    expect(resp.body.jobs[0].jobs[0].similarity).toEqual(expect.any(Number));
+  });
+
+  test("not found for anonymous, did you mean", async function () {
+    await db.query(`
+      INSERT INTO jobs (title, salary, equity, company_handle)
+      VALUES ('Software Engineer', 100000, 0, 'c2')`);
+    const resp = await request(app).get("/jobs?title=sofware enginer");
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.didYouMean).toEqual("Software Engineer");
+  });
+
+  test("ok for anonymous, facets respect the filters", async function () {
+    const resp = await request(app)
+      .get("/jobs?minSalary=20000&limit=1&facets=company,salary,equity,companySize");
+    expect(resp.body.jobs.length).toEqual(1);
+    expect(resp.body.facets).toEqual({
+      company: [
+        { handle: "c1", name: "C1", count: 3 },
+        { handle: "d1", name: "D1", count: 1 }
+      ],
+      salary: [
+        { range: "0-49999", min: 0, max: 49999, count: 4 },
+        { range: "50000-99999", min: 50000, max: 99999, count: 0 },
+        { range: "100000-149999", min: 100000, max: 149999, count: 0 },
+        { range: "150000+", min: 150000, max: null, count: 0 },
+        { range: "not listed", min: null, max: null, count: 0 }
+      ],
+      equity: [
+        { hasEquity: true, count: 2 },
+        { hasEquity: false, count: 2 }
+      ],
+      companySize: [
+        { range: "0-10", min: 0, max: 10, count: 4 },
+        { range: "11-50", min: 11, max: 50, count: 0 },
+        { range: "51-200", min: 51, max: 200, count: 0 },
+        { range: "201-1000", min: 201, max: 1000, count: 0 },
+        { range: "1001+", min: 1001, max: null, count: 0 },
+        { range: "not listed", min: null, max: null, count: 0 }
+      ]
+    });
+  });
+
+  test("ok for anonymous, no facets unless asked for", async function () {
+    const resp = await request(app).get("/jobs?title=j1");
+    expect(resp.body.facets).toBeUndefined();
+  });
+
+  test("bad request for anonymous, unknown facet", async function () {
+    const resp = await request(app).get("/jobs?facets=title");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("ok for anonymous, query language builds the same filters", async function () {
+    const query = encodeURIComponent("title:j salary>=20000 salary<=35000 equity:yes company:c1 company:d1");
+    const resp = await request(app).get(`/jobs?query=${query}&sort=salary`);
+    const same = await request(app)
+      .get("/jobs?title=j&minSalary=20000&maxSalary=35000&hasEquity=true&handle=c1,d1&sort=salary");
+    expect(resp.body.jobs.flatMap(c => c.jobs.map(j => j.title))).toEqual(["j3-c1", "j1-d1"]);
+    expect(resp.body.jobs).toEqual(same.body.jobs);
+  });
+
+  test("ok for anonymous, query language equity:no finds the jobs without equity", async function () {
+    const resp = await request(app).get(`/jobs?query=${encodeURIComponent("equity:no")}`);
+    const jobs = resp.body.jobs.flatMap(c => c.jobs);
+    expect(jobs.length).toBeGreaterThan(0);
+    expect(jobs.every(j => !j.equity)).toEqual(true);
+
+    const all = await request(app).get("/jobs");
+    expect(all.body.jobs.flatMap(c => c.jobs).filter(j => !j.equity)).toEqual(jobs);
+  });
+
+  test("bad request for anonymous, query parse error with a position", async function () {
+    const resp = await request(app).get(`/jobs?query=${encodeURIComponent("title:j salary>lots")}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors).toEqual([{
+      field: "query",
+      code: "parseError",
+      position: 14,
+      message: "Query error at position 14: use ':', '>=', or '<=' after 'salary'."
+    }]);
+  });
+
+  test("bad request for anonymous, sort by relevance without q", async function () {
+    const resp = await request(app).get("/jobs?sort=relevance");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Sorting 'jobs' by 'relevance' is not possible.");
+  });
+
+  test("bad request for anonymous, salary or company size out of range", async function () {
+    for (const query of ["maxSalary=99999999999999", "minSalary=", "minEmployees=99999999999",
+      "minSalary=2147483648", `query=${encodeURIComponent("salary>=99999999999")}`]) {
+      const resp = await request(app).get(`/jobs?${query}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request for anonymous, min is not less than max", async function () {
+    const resp = await request(app).get("/jobs?minSalary=40000&maxSalary=30000&minEquity=0.5&maxEquity=0.1");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors.map(e => e.field)).toEqual(["maxSalary", "maxEquity"]);
+  });
+
 });
 
 
@@ -482,6 +735,14 @@ describe("GET /jobs/:id -- get job by id", function () {
     expect(resp.body.error.message).toEqual(`No job: ${badJobId}`);
   });
 
+  test("not found for an id that is not an integer", async function () {
+    for (const badJobId of ["nope", "1.5", "1.0", "1e3", "0x1", "99999999999"]) {
+      const resp = await request(app).get(`/jobs/${badJobId}`);
+      expect(resp.statusCode).toEqual(404);
+      expect(resp.body.error.message).toEqual(`No job: ${badJobId}`);
+    }
+  });
+
 });
 
 
@@ -582,6 +843,24 @@ describe("PATCH /jobs/:id -- update job by id", function () {
 
   });
 
+  test("not found for admin when no such job", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/0`)
+      .send({ title: "new title" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No job: 0");
+  });
+
+  test("not found for an id that is not an integer", async function () {
+    const resp = await request(app)
+      .patch(`/jobs/nope`)
+      .send({ title: "new title" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No job: nope");
+  });
+
 });
 
 
@@ -643,4 +922,231 @@ describe("DELETE /jobs/:id -- delete job by id", function () {
 
   });
 
+  test("not found for an id that is not an integer", async function () {
+    const resp = await request(app)
+      .delete(`/jobs/nope`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No job: nope");
+  });
+
+});
+
+
+// ************************************** GET /jobs/:id/applications
+
+describe("GET /jobs/:id/applications", function () {
+
+  test("works for admin", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const jobId = idResult.rows[0].id;
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+    await User.applyForJob({ username: "u3", id: jobId }, "interested");
+    await Application.updateState("u2", jobId, "screening");
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2", "u1", "u3"]);
+    expect(resp.body.applications[0]).toEqual({
+      username: "u2",
+      firstName: "U2F",
+      lastName: "U2L",
+      email: "user2@user.com",
+      jobId,
+      title: "j1-c1",
+      state: "screening",
+      appliedAt: expect.any(String)
+    });
+    expect(resp.body.counts).toEqual({
+      total: 3,
+      states: { applied: 1, screening: 1, interested: 1 }
+    });
+  });
+
+  test("works for admin: oldest first", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const jobId = idResult.rows[0].id;
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications?sort=appliedAt`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u1", "u2"]);
+  });
+
+  test("works for admin: filter by state", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const jobId = idResult.rows[0].id;
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+    await Application.updateState("u2", jobId, "rejected");
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications?state=rejected`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+    expect(resp.body.counts).toEqual({ total: 1, states: { rejected: 1 } });
+  });
+
+  test("works for admin: filter by a list of states", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const jobId = idResult.rows[0].id;
+    await User.applyForJob({ username: "u1", id: jobId });
+    await User.applyForJob({ username: "u2", id: jobId });
+    await User.applyForJob({ username: "u3", id: jobId });
+    await Application.updateState("u2", jobId, "rejected");
+    await Application.updateState("u3", jobId, "screening");
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications?state=rejected,screening&sort=appliedAt`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2", "u3"]);
+    expect(resp.body.counts).toEqual({ total: 2, states: { rejected: 1, screening: 1 } });
+  });
+
+  test("works for admin: filter by applied date", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const jobId = idResult.rows[0].id;
+    await User.applyForJob({ username: "u1", id: jobId });
+
+    const resp = await request(app)
+      .get(`/jobs/${jobId}/applications?appliedBefore=2000-01-01`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ applications: [], counts: { total: 0, states: {} } });
+  });
+
+  test("bad request for admin on invalid filter", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .get(`/jobs/${idResult.rows[0].id}/applications?appliedAfter=yesterday`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for admin with the filter errors listed", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .get(`/jobs/${idResult.rows[0].id}/applications?appliedAfter=2021-02-01&appliedBefore=2021-01-01`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors).toEqual([{
+      field: "appliedBefore",
+      code: "invalidRange",
+      message: "Filter is incorrect: 'appliedAfter', 2021-02-01, is NOT less than 'appliedBefore', 2021-01-01."
+    }]);
+  });
+
+  test("not found for admin when no such job", async function () {
+    const resp = await request(app)
+      .get(`/jobs/0/applications`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an id that is not an integer", async function () {
+    const resp = await request(app)
+      .get(`/jobs/nope/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No job: nope");
+  });
+
+  test("unauth for non-admin", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .get(`/jobs/${idResult.rows[0].id}/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+});
+
+
+// ************************************** company recruiters
+
+describe("jobs for the members of a company", function () {
+  async function jobId(title) {
+    const result = await db.query(`SELECT id FROM jobs WHERE title = $1`, [title]);
+    return result.rows[0].id;
+  }
+
+  test("a recruiter manages the company's jobs", async function () {
+    await addMember("c1", "u1", "recruiter");
+
+    let resp = await request(app)
+      .post("/jobs")
+      .send({ companyHandle: "c1", title: "new job" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    const id = resp.body.job.id;
+
+    resp = await request(app)
+      .patch(`/jobs/${id}`)
+      .send({ salary: 50000 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.job.salary).toEqual(50000);
+
+    resp = await request(app)
+      .delete(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ deleted: `${id}` });
+  });
+
+  test("a recruiter sees the applications for the company's jobs", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const id = await jobId("j1-c1");
+    await User.applyForJob({ username: "u2", id });
+
+    const resp = await request(app)
+      .get(`/jobs/${id}/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u2"]);
+  });
+
+  test("the job is fetched once for the applications", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const id = await jobId("j1-c1");
+    const get = jest.spyOn(Job, "get");
+
+    try {
+      const resp = await request(app)
+        .get(`/jobs/${id}/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(200);
+      expect(get).toHaveBeenCalledTimes(1);
+    } finally {
+      get.mockRestore();
+    }
+  });
+
+  test("unauth for the jobs of another company", async function () {
+    await addMember("c2", "u1", "owner");
+    const id = await jobId("j1-c1");
+
+    let resp = await request(app)
+      .post("/jobs")
+      .send({ companyHandle: "c1", title: "new job" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    resp = await request(app)
+      .patch(`/jobs/${id}`)
+      .send({ salary: 50000 })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    resp = await request(app)
+      .delete(`/jobs/${id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+
+    resp = await request(app)
+      .get(`/jobs/${id}/applications`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
@@ -0,0 +1,46 @@
+"use strict";
+
+/** Routes for roles. */
+
+const express = require("express");
+
+const { ensureLoggedIn } = require("../middleware/auth");
+const Role = require("../models/role");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { roles: [{ name, description, permissions }, ...] }
+ *
+ * Returns every role and the permissions it gives. A user's roles are at
+ *  GET /users/:username/roles.
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const roles = await Role.findAll();
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[name]  =>  { role: { name, description, permissions } }
+ *
+ * Authorization required: logged in
+ */
+
+router.get("/:name", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const role = await Role.get(req.params.name);
+    return res.json({ role });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,60 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /roles */
+
+describe("GET /roles", function () {
+  test("works for users", async function () {
+    const resp = await request(app)
+      .get("/roles")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.roles.map(r => r.name))
+      .toEqual(["admin", "candidate", "recruiter", "support"]);
+    expect(resp.body.roles[2]).toEqual({
+      name: "recruiter",
+      description: expect.any(String),
+      permissions: ["users:read"]
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get("/roles");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /roles/:name */
+
+describe("GET /roles/:name", function () {
+  test("works for users", async function () {
+    const resp = await request(app)
+      .get("/roles/candidate")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      role: { name: "candidate", description: expect.any(String), permissions: [] }
+    });
+  });
+
+  test("not found if no such role", async function () {
+    const resp = await request(app)
+      .get("/roles/nope")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
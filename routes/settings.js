@@ -0,0 +1,62 @@
+"use strict";
+
+/** Routes for the site settings. */
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const { ensurePermission } = require("../middleware/auth");
+const Setting = require("../models/setting");
+const settingsUpdateSchema = require("../schemas/settingsUpdate.json");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { settings: { requireVerifiedEmail, requireAdminTwoFactor } }
+ *
+ * Returns every setting:
+ * - requireVerifiedEmail, users must verify their email before they can apply
+ *     for a job. The default is false.
+ * - requireAdminTwoFactor, admins must have two-factor authentication on to
+ *     use the admin routes. The default is false.
+ *
+ * Authorization required: settings:write
+ */
+
+router.get("/", ensurePermission("settings:write"), async function (req, res, next) {
+  try {
+    const settings = await Setting.getAll();
+    return res.json({ settings });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH / { settings } =>  { settings }
+ *
+ * Changes the settings that are passed, see GET /.
+ *
+ * Returns every setting.
+ *
+ * Authorization required: settings:write
+ */
+
+router.patch("/", ensurePermission("settings:write"), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, settingsUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const settings = await Setting.update(req.body);
+    return res.json({ settings });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,84 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u4TokenAdmin,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /settings */
+
+describe("GET /settings", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get("/settings")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({
+      settings: { requireVerifiedEmail: false, requireAdminTwoFactor: false }
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .get("/settings")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** PATCH /settings */
+
+describe("PATCH /settings", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .patch("/settings")
+      .send({ requireVerifiedEmail: true })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({
+      settings: { requireVerifiedEmail: true, requireAdminTwoFactor: false }
+    });
+
+    const found = await request(app)
+      .get("/settings")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(found.body).toEqual({
+      settings: { requireVerifiedEmail: true, requireAdminTwoFactor: false }
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .patch("/settings")
+      .send({ requireVerifiedEmail: true })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with an unknown setting", async function () {
+    const resp = await request(app)
+      .patch("/settings")
+      .send({ nope: true })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no settings", async function () {
+    const resp = await request(app)
+      .patch("/settings")
+      .send({})
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
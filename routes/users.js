@@ -5,15 +5,94 @@
 const jsonschema = require("jsonschema");
 
 const express = require("express");
-const { ensureAdmin, ensureLoggedIn } = require("../middleware/auth");
-const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { ensurePolicy } = require("../middleware/auth");
+const { hasCompanyPermission, hasPermission } = require("../helpers/permissions");
+const { pageFromQuery, pageLinks } = require("../helpers/pagination");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError
+} = require("../expressError");
 const User = require("../models/user");
+const Application = require("../models/application");
+const Job = require("../models/jobModel");
+const CompanyMember = require("../models/companyMember");
+const ApiKey = require("../models/apiKey");
+const EmailVerification = require("../models/emailVerification");
+const Role = require("../models/role");
+const Setting = require("../models/setting");
+const TwoFactor = require("../models/twoFactor");
 const { createToken } = require("../helpers/tokens");
+const { unlock } = require("../helpers/loginThrottle");
+const { serializeUser, serializeUsers, visibleFields } = require("../helpers/userSerializer");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const userFilterSchema = require("../schemas/userFilter.json");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
 
 const router = express.Router();
 
+// the largest id an INTEGER id column, jobs.id or api_keys.id, holds.
+const MAX_ID = 2147483647;
+
+// the route's :id as an integer. Throws NotFoundError with message when it is
+//  not the digits of an id, no row has it.
+function routeId(req, message) {
+  if ((!/^[0-9]+$/.test(req.params.id)) || (+req.params.id > MAX_ID)) {
+    throw new NotFoundError(message);
+  }
+  return +req.params.id;
+}
+
+// the route's :id as a job id, there is no application for any other :id.
+function applicationJobId(req) {
+  return routeId(req,
+    `No application: username '${req.params.username}', job id '${req.params.id}'`);
+}
+
+// the company of the job in the route, for the company members' permissions.
+//  Throws NotFoundError when the job does not exist.
+async function applicationCompany(req) {
+  const { handle } = await Job.get(applicationJobId(req));
+  return handle;
+}
+
+/** Who can use each route, see ensurePolicy. self lets the user named by
+ *  :username in, permission lets in the users whose roles have it, company
+ *  lets in the members of the job's company whose role there has it.
+ */
+
+const POLICY = {
+  create: { permission: "users:write" },
+  list: { permission: "users:read" },
+  read: { self: true, permission: "users:read" },
+  update: { self: true, permission: "users:write" },
+  remove: { self: true, permission: "users:write" },
+  unlock: { permission: "users:unlock" },
+  createApiKey: { self: true, permission: "users:write", apiKey: false },
+  apiKeys: { self: true, permission: "users:write" },
+  resetTwoFactor: { permission: "users:write" },
+  apply: { self: true, permission: "applications:write" },
+  applications: { self: true, permission: "applications:read" },
+  moveApplication: { self: true, permission: "applications:write", company: applicationCompany },
+  // withdrawing is the applicant's decision, the company rejects instead.
+  withdrawApplication: { self: true, permission: "applications:write" },
+  roles: { self: true, permission: "users:read" },
+  companies: { self: true, permission: "members:read" },
+  assignRole: { permission: "users:write" }
+};
+
+// The user field each filter of GET / is on.
+const FILTER_FIELDS = {
+  usernameLike: "username",
+  firstNameLike: "firstName",
+  lastNameLike: "lastName",
+  emailLike: "email",
+  isAdmin: "isAdmin"
+};
+
 
 /** POST / { user }  => { user, token }
  *
@@ -23,11 +102,15 @@ const router = express.Router();
  *
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  The user has the fields the logged in user can see, see
+ *  helpers/userSerializer.js.
  *
- * Authorization required: Admin
+ * A verification token is mailed to the new user's email.
+ *
+ * Authorization required: users:write
  **/
 
-router.post("/", ensureAdmin, async function (req, res, next) {
+router.post("/", ensurePolicy(POLICY.create), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userNewSchema);
     if (!validator.valid) {
@@ -36,83 +119,406 @@ router.post("/", ensureAdmin, async function (req, res, next) {
     }
 
     const user = await User.register(req.body);
+    await EmailVerification.send(user.username);
     const token = createToken(user);
-    return res.status(201).json({ user, token });
+    return res.status(201).json({ user: await serializeUser(res.locals.user, user), token });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST / { username }/unlock => { unlocked: username }
+ *
+ * Unlocks a username locked by failed logins, see POST /auth/token. Its
+ *  failed logins are forgotten.
+ *
+ * Authorization required: users:unlock
+ **/
+
+router.post("/:username/unlock", ensurePolicy(POLICY.unlock), async function (req, res, next) {
+  try {
+    await unlock(req.params.username);
+    return res.json({ unlocked: req.params.username });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST / { username }/jobs/ { id }  => { applied: jobId }
+/** POST / { username }/api-keys { name, scopes, expiresAt } => { apiKey, key }
+ *
+ * Makes a new API key for the user. scopes is a list of 'read', 'write' and
+ *  'admin', see models/apiKey.js. expiresAt is optional, the key does not
+ *  expire without it.
+ *
+ * Returns { apiKey: { id, name, prefix, scopes, createdAt, expiresAt,
+ *  lastUsedAt, revokedAt }, key } where key is the API key. It is not shown
+ *  again.
+ *
+ * Authorization required: logged in username === :username OR users:write,
+ *  with an access token. An API key can not make API keys.
+ **/
+
+router.post("/:username/api-keys", ensurePolicy(POLICY.createApiKey), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { apiKey, key } = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey, key });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET / { username }/api-keys => { apiKeys: [ { apiKey }, ... ] }
+ *
+ * Returns the user's API keys, newest first, including the revoked ones.
+ *
+ * apiKey is { id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt,
+ *  revokedAt }
+ *
+ * Authorization required: logged in username === :username OR users:write
+ **/
+
+router.get("/:username/api-keys", ensurePolicy(POLICY.apiKeys), async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findAll(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE / { username }/api-keys/ { id } => { revoked: id }
+ *
+ * Revokes the user's API key.
+ *
+ * Authorization required: logged in username === :username OR users:write
+ **/
+
+router.delete("/:username/api-keys/:id", ensurePolicy(POLICY.apiKeys), async function (req, res, next) {
+  try {
+    const id = routeId(req, `No API key: ${req.params.id}`);
+
+    await ApiKey.revoke(req.params.username, id);
+    return res.json({ revoked: id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE / { username }/two-factor => { disabled: username }
+ *
+ * Turns off two-factor authentication for a user who lost their authenticator
+ *  and recovery codes.
+ *
+ * Authorization required: users:write
+ **/
+
+router.delete("/:username/two-factor", ensurePolicy(POLICY.resetTwoFactor), async function (req, res, next) {
+  try {
+    await TwoFactor.disable(req.params.username);
+    return res.json({ disabled: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET / { username }/companies => { companies }
+ *
+ * Returns the companies the user is a member of, and the ones they are
+ *  invited to, by handle.
+ *
+ * companies is [{ companyHandle, role, invitedBy, invitedAt, acceptedAt }, ...]
+ *  where acceptedAt is null for an invitation that is not accepted yet.
+ *
+ * Authorization required: logged in username === :username OR members:read
+ **/
+
+router.get("/:username/companies", ensurePolicy(POLICY.companies), async function (req, res, next) {
+  try {
+    const companies = await CompanyMember.forUser(req.params.username);
+    return res.json({ companies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET / { username }/roles => { roles }
+ *
+ * Returns the user's roles, [role, ...], see GET /roles for what each one can
+ *  do.
+ *
+ * Authorization required: logged in username === :username OR users:read
+ **/
+
+router.get("/:username/roles", ensurePolicy(POLICY.roles), async function (req, res, next) {
+  try {
+    const roles = await Role.forUser(req.params.username);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST / { username }/roles/ { role } => { roles }
+ *
+ * Gives the user the role. Giving admin makes the user an admin. The user's
+ *  tokens are revoked, they log in again to get the new role in their token.
+ *
+ * Returns the user's roles, [role, ...]
+ *
+ * Authorization required: users:write
+ **/
+
+router.post("/:username/roles/:role", ensurePolicy(POLICY.assignRole), async function (req, res, next) {
+  try {
+    const roles = await Role.assign(req.params.username, req.params.role);
+    return res.status(201).json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE / { username }/roles/ { role } => { roles }
+ *
+ * Takes the role from the user and revokes their tokens.
+ *
+ * Returns the user's roles, [role, ...]
+ *
+ * Authorization required: users:write
+ **/
+
+router.delete("/:username/roles/:role", ensurePolicy(POLICY.assignRole), async function (req, res, next) {
+  try {
+    const roles = await Role.unassign(req.params.username, req.params.role);
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST / { username }/jobs/ { id } { state } => { applied: jobId }
  *
  * Allows the logged in user to apply for a job. An admin can apply for the job 
  * for the user. 
  *
+ * The body is optional. state is the starting state of the application and 
+ *  can be 'interested' or 'applied'. The default is 'applied'.
+ *
  * This returns :
  *  {applied: { jobId }
  *
- * Authorization required: logged in username === :username OR 
- *  logged in user is an admin.
- *  - JWT token with username and isAdmin is passed in via 
- *    'Authorization' keyword in the header.
+ * When the requireVerifiedEmail setting is on, the user's email must be
+ *  verified first, or this is 403 Forbidden. See routes/settings.js.
+ *
+ * Authorization required: logged in username === :username OR
+ *  applications:write
  **/
 
-router.post("/:username/jobs/:id", ensureLoggedIn, async function (req, res, next) {
+router.post("/:username/jobs/:id", ensurePolicy(POLICY.apply), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const id = routeId(req, `Application NOT created: job id '${req.params.id}' was not found.`);
 
-  if ((res.locals.user.username !== req.params.username) &&
-    (res.locals.user.isAdmin === false)) {
-    return next(new UnauthorizedError());
+    if (await Setting.get("requireVerifiedEmail")) {
+      const { emailVerified } = await User.get(req.params.username);
+      if (!emailVerified) {
+        throw new ForbiddenError("The email must be verified before applying for a job.");
+      }
+    }
+
+    const job = await User.applyForJob({ username: req.params.username, id }, req.body.state);
+    return res.status(201).json({ applied: job.job_id });
+  } catch (err) {
+    return next(err);
   }
+});
 
+
+/** GET / { username }/jobs => { applications: [ { application }, ... ] }
+ *
+ * Returns the jobs the user applied for, most recent application first.
+ *
+ * application is { jobId, title, companyHandle, companyName, state, appliedAt }
+ *
+ * Authorization required: logged in username === :username OR
+ *  applications:read
+ **/
+
+router.get("/:username/jobs", ensurePolicy(POLICY.applications), async function (req, res, next) {
   try {
-    const job = await User.applyForJob(req.params);
-    return res.status(201).json({ applied: job.job_id });
+    const applications = await Application.findAllForUser(req.params.username);
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH / { username }/jobs/ { id } { state } => { application }
+ *
+ * Moves an application to a new state. The allowed moves are:
+ *  interested -> applied, withdrawn
+ *  applied -> screening, rejected, withdrawn
+ *  screening -> interviewing, rejected, withdrawn
+ *  interviewing -> offered, rejected, withdrawn
+ *  offered -> accepted, rejected, withdrawn
+ *
+ * Returns { username, jobId, state, states }
+ *   where states is [{ state, enteredAt }, ...]
+ *
+ * Authorization required: logged in username === :username OR
+ *  applications:write, or applications:write in the job's company. Without
+ *  applications:write the user can only move their own application to
+ *  'applied' or 'withdrawn', other states raise Forbidden.
+ **/
+
+router.patch("/:username/jobs/:id", ensurePolicy(POLICY.moveApplication), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const jobId = applicationJobId(req);
+
+    // screening through rejected are recruiter decisions, the applicant can
+    //  only move forward to applied or back out.
+    if ((!["applied", "withdrawn"].includes(req.body.state)) &&
+      (!await canMoveApplications(res.locals.user, req))) {
+      throw new ForbiddenError(`Only a recruiter can move an application to '${req.body.state}'.`);
+    }
+
+    const application = await Application.updateState(
+      req.params.username, jobId, req.body.state);
+    return res.json({ application });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** Returns true when user moves applications through every state for the job
+ *  in the route, with applications:write or a role in its company that has it.
+ */
+
+async function canMoveApplications(user, req) {
+  if (hasPermission(user, "applications:write")) return true;
+  const role = await CompanyMember.roleFor(await applicationCompany(req), user.username);
+  return hasCompanyPermission(role, "applications:write");
+}
+
+
+/** DELETE / { username }/jobs/ { id } => { withdrawn: jobId }
  *
- * Returns list of all users.
+ * Withdraws the user's application for a job. The application is kept and
+ *  moved to the 'withdrawn' state so the state history is not lost.
  *
- * Authorization required: Admin
- *  - JWT token with username and isAdmin flag is passed in via  
- *    'Authorization' keyword in the header.
+ * Authorization required: logged in username === :username OR
+ *  applications:write. A member of the job's company rejects the application
+ *  instead, see PATCH.
  **/
 
-router.get("/", ensureAdmin, async function (req, res, next) {
+router.delete("/:username/jobs/:id", ensurePolicy(POLICY.withdrawApplication), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const application = await Application.updateState(
+      req.params.username, applicationJobId(req), "withdrawn");
+    return res.json({ withdrawn: application.jobId });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** GET /[username] => { user }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *              pagination: { total, limit, next, prev } }
+ *
+ * Returns list of all users, each with the fields the logged in user can see,
+ *  see helpers/userSerializer.js.
+ *
+ * Can filter on:
+ * - usernameLike, firstNameLike, lastNameLike, emailLike (will find 
+ *     case-insensitive, partial matches)
+ * - isAdmin (true / false)
+ *
+ * Sorting:
+ * - sort, comma separated fields, a leading '-' sorts the field descending,
+ *     for example sort=lastName,firstName.
+ *   Fields: username, firstName, lastName, email. Default is username.
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Paging:
+ * - limit (1 - 100, default 20)
+ * - offset (page by position) OR cursor (from the next / prev links)
+ * next and prev are links to the pages on either side, null when there is none.
  *
- * Authorization required: logged in username === :username OR 
- *  logged in user is an admin.
- *  - JWT token with username and isAdmin is passed in via 
- *    'Authorization' keyword in the header.
+ * Filtering or sorting on a field the logged in user can not see is a 400, it
+ *  would tell them the field's values.
+ *
+ * Authorization required: users:read
  **/
 
-router.get("/:username", ensureLoggedIn, async function (req, res, next) {
+router.get("/", ensurePolicy(POLICY.list), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.query, userFilterSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { limit, offset, cursor, sort, ...filters } = req.query;
+
+    const fields = visibleFields(res.locals.user);
+    const used = Object.keys(filters).map(filter => FILTER_FIELDS[filter])
+      .concat((sort) ? sort.split(",").map(field => field.replace(/^-/, "")) : []);
+    const hidden = [...new Set(used.filter(field => !fields.has(field)))];
+    if (hidden.length > 0) {
+      throw new BadRequestError(`Can not filter or sort on ${hidden.join(", ")}.`);
+    }
 
-  if ((res.locals.user.username !== req.params.username) &&
-    (res.locals.user.isAdmin === false)) {
-    return next(new UnauthorizedError());
+    const { users, pagination } = await User.findAll(
+      filters, pageFromQuery({ limit, offset, cursor, sort }));
+    return res.json({
+      users: await serializeUsers(res.locals.user, users),
+      pagination: pageLinks(req, pagination)
+    });
+  } catch (err) {
+    return next(err);
   }
+});
 
+
+/** GET /[username] => { user }
+ *
+ * Returns { username, firstName, lastName, email, isAdmin, emailVerified, jobs }
+ *  with the fields the logged in user can see, see helpers/userSerializer.js.
+ *
+ * Authorization required: logged in username === :username OR users:read
+ **/
+
+router.get("/:username", ensurePolicy(POLICY.read), async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
-    return res.json({ user });
+    return res.json({ user: await serializeUser(res.locals.user, user) });
   } catch (err) {
     return next(err);
   }
@@ -124,21 +530,17 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, isAdmin } with the fields
+ *  the logged in user can see.
  *
- * Authorization required: logged in username === :username OR 
- *  logged in user is an admin.
- *  - JWT token with username and isAdmin is passed in via 
- *    'Authorization' keyword in the header.
+ * A new email is not verified until the token mailed to it is used, see
+ * POST /auth/email-verification/confirm. The email it already has is not
+ * mailed again.
+ *
+ * Authorization required: logged in username === :username OR users:write
  **/
 
-router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
-
-  if ((res.locals.user.username !== req.params.username) &&
-    (res.locals.user.isAdmin === false)) {
-    return next(new UnauthorizedError());
-  }
-
+router.patch("/:username", ensurePolicy(POLICY.update), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userUpdateSchema);
     if (!validator.valid) {
@@ -146,8 +548,11 @@ router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
+    const { email } = await User.get(req.params.username);
     const user = await User.update(req.params.username, req.body);
-    return res.json({ user });
+    // the same email keeps its verification, and gets no mail.
+    if (user.email !== email) await EmailVerification.send(user.username);
+    return res.json({ user: await serializeUser(res.locals.user, user) });
   } catch (err) {
     return next(err);
   }
@@ -156,17 +561,10 @@ router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
-* Authorization required: logged in username === :username OR 
-*  logged in user is an admin.
-*  - JWT token with username and isAdmin is passed in via 
-*    'Authorization' keyword in the header.
+ * Authorization required: logged in username === :username OR users:write
  **/
 
-router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
-  if ((res.locals.user.username !== req.params.username) &&
-    (res.locals.user.isAdmin === false)) {
-    return next(new UnauthorizedError());
-  }
+router.delete("/:username", ensurePolicy(POLICY.remove), async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -5,19 +5,31 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const Setting = require("../models/setting");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { codeFor, counterAt } = require("../helpers/totp");
+const { createToken } = require("../helpers/tokens");
+const { getTransport } = require("../helpers/mail");
+const { getStore, loginFailed } = require("../helpers/loginThrottle");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  addMember,
   u1Token,
   u2Token,
+  u3TokenRecruiter,
   u4TokenAdmin,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
+beforeEach(function () {
+  getTransport().outbox.length = 0;
+});
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
@@ -47,6 +59,8 @@ describe("POST /users", function () {
         isAdmin: false,
       }, token: expect.any(String),
     });
+    // the new user is sent a verification token.
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["new@email.com"]);
   });
 
   test("works for admin: create admin", async function () {
@@ -160,6 +174,47 @@ describe("POST /users", function () {
 /************************************** GET /users */
 
 describe("GET /users", function () {
+  test("works for a recruiter, who sees more of the users who applied to their company", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await addMember("c1", "u3", "recruiter");
+
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.users).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", email: "user1@user.com" },
+      { username: "u2" },
+      {
+        username: "u3",
+        firstName: "U3F",
+        lastName: "U3L",
+        email: "user3@user.com",
+        isAdmin: false
+      },
+      { username: "u4" }
+    ]);
+  });
+
+  test("bad request filtering or sorting on a field the user can not see", async function () {
+    let resp = await request(app)
+      .get("/users?emailLike=user1")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Can not filter or sort on email.");
+
+    resp = await request(app)
+      .get("/users?sort=-lastName")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(400);
+
+    resp = await request(app)
+      .get("/users?usernameLike=u&sort=username")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
   test("works for admin", async function () {
     const resp = await request(app)
       .get("/users")
@@ -195,6 +250,7 @@ describe("GET /users", function () {
           isAdmin: true,
         }
       ],
+      pagination: { total: 4, limit: 20, next: null, prev: null },
     });
   });
 
@@ -217,6 +273,56 @@ describe("GET /users", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for admin: paging", async function () {
+    let resp = await request(app)
+      .get("/users?limit=3")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u1", "u2", "u3"]);
+    expect(resp.body.pagination.total).toEqual(4);
+
+    resp = await request(app)
+      .get(resp.body.pagination.next)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u4"]);
+    expect(resp.body.pagination.next).toEqual(null);
+  });
+
+  test("works for admin: sorted by username descending", async function () {
+    const resp = await request(app)
+      .get("/users?sort=-username")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u4", "u3", "u2", "u1"]);
+  });
+
+  test("works for admin: filter by isAdmin", async function () {
+    const resp = await request(app)
+      .get("/users?isAdmin=true")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u4"]);
+    expect(resp.body.pagination.total).toEqual(1);
+  });
+
+  test("works for admin: filter by email and first name", async function () {
+    const resp = await request(app)
+      .get("/users?emailLike=USER&firstNameLike=u2")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u2"]);
+  });
+
+  test("bad request for admin on invalid filter value", async function () {
+    const resp = await request(app)
+      .get("/users?isAdmin=maybe")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request for admin on invalid paging values", async function () {
+    const resp = await request(app)
+      .get("/users?offset=x")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -245,6 +351,7 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: false,
       },
     });
   });
@@ -260,10 +367,34 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: false,
       },
     });
   });
 
+  test("works for support, without isAdmin and jobs", async function () {
+    const supportToken = createToken({ username: "u2", isAdmin: false, roles: ["support"] });
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${supportToken}`);
+    expect(resp.body).toEqual({
+      user: {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "user1@user.com",
+        emailVerified: false,
+      },
+    });
+  });
+
+  test("works for a recruiter: only the username of a user who did not apply", async function () {
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.body).toEqual({ user: { username: "u1" } });
+  });
+
   test("unauth for logged in non-admin when username != logged in user", async function () {
     const resp = await request(app)
       .get(`/users/u1`)
@@ -336,6 +467,42 @@ describe("PATCH /users/:username", () => {
     });
   });
 
+  test("works: a new email is sent a verification token", async function () {
+    await db.query("UPDATE users SET email_verified_at = now() WHERE username = 'u1'");
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({
+        email: "new@email.com",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.user.email).toEqual("new@email.com");
+    expect(getTransport().outbox.map(m => m.to)).toEqual(["new@email.com"]);
+    expect((await User.get("u1")).emailVerified).toEqual(false);
+  });
+
+  test("works: the same email is not sent a token once it is verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = now() WHERE username = 'u1'");
+    await request(app)
+      .patch(`/users/u1`)
+      .send({
+        email: "user1@user.com",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(getTransport().outbox).toEqual([]);
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+  });
+
+  test("works: the same email is not sent a new token", async function () {
+    await request(app)
+      .patch(`/users/u1`)
+      .send({
+        firstName: "Newer",
+        email: "user1@user.com",
+      })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(getTransport().outbox).toEqual([]);
+  });
+
   test("unauth for non-admin when username != logged in non-admin user", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -492,3 +659,673 @@ describe("DELETE /users/:username", function () {
   });
 
 });
+
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admin", async function () {
+    await loginFailed({ username: "u1", ip: "10.0.0.1" });
+    await getStore().lock("username:u1", 600);
+
+    const resp = await request(app)
+      .post("/users/u1/unlock")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+    expect(await getStore().lockedFor("username:u1")).toEqual(0);
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .post("/users/u1/unlock")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+
+/************************************** /users/:username/api-keys */
+
+describe("POST /users/:username/api-keys", function () {
+  test("works for same user, and the key logs in", async function () {
+    const resp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "ats sync", scopes: ["read"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ats sync",
+        prefix: expect.any(String),
+        scopes: ["read"],
+        createdAt: expect.any(String),
+        expiresAt: null,
+        lastUsedAt: null,
+        revokedAt: null
+      },
+      key: expect.any(String)
+    });
+
+    const viaHeader = await request(app)
+      .get("/users/u1")
+      .set("x-api-key", resp.body.key);
+    expect(viaHeader.body.user.username).toEqual("u1");
+
+    const viaBearer = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.key}`);
+    expect(viaBearer.body.user.username).toEqual("u1");
+
+    // read is not enough to make changes.
+    const patch = await request(app)
+      .patch("/users/u1")
+      .send({ firstName: "New" })
+      .set("x-api-key", resp.body.key);
+    expect(patch.statusCode).toEqual(403);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "ats sync", scopes: ["read", "write"], expiresAt: "2999-01-01T00:00:00Z" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "ats sync", scopes: ["read"] })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with an API key", async function () {
+    const { key } = await ApiKey.create("u1", { name: "ats", scopes: ["read", "write"] });
+    const resp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "another", scopes: ["read", "write"] })
+      .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with an unknown scope", async function () {
+    const resp = await request(app)
+      .post("/users/u1/api-keys")
+      .send({ name: "ats sync", scopes: ["everything"] })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/api-keys", function () {
+  test("works", async function () {
+    await ApiKey.create("u1", { name: "ats sync", scopes: ["read"] });
+    const resp = await request(app)
+      .get("/users/u1/api-keys")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.apiKeys.map(k => k.name)).toEqual(["ats sync"]);
+    expect(resp.body.apiKeys[0].key).toBeUndefined();
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get("/users/u1/api-keys")
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works", async function () {
+    const { apiKey, key } = await ApiKey.create("u1", { name: "ats", scopes: ["read"] });
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/${apiKey.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: apiKey.id });
+
+    const after = await request(app)
+      .get("/users/u1")
+      .set("x-api-key", key);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("not found for another user's key", async function () {
+    const { apiKey } = await ApiKey.create("u2", { name: "ats", scopes: ["read"] });
+    const resp = await request(app)
+      .delete(`/users/u1/api-keys/${apiKey.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for an id that is not a number", async function () {
+    for (const id of ["nope", "1e2"]) {
+      const resp = await request(app)
+        .delete(`/users/u1/api-keys/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+      expect(resp.body.error.message).toEqual(`No API key: ${id}`);
+    }
+  });
+});
+
+
+/************************************** DELETE /users/:username/two-factor */
+
+describe("DELETE /users/:username/two-factor", function () {
+  test("works for admin", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    await TwoFactor.activate("u1", codeFor(secret, counterAt()));
+
+    const resp = await request(app)
+      .delete("/users/u1/two-factor")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+    expect(await TwoFactor.isEnabled("u1")).toEqual(false);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .delete("/users/u1/two-factor")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .delete("/users/nope/two-factor")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+
+/************************************** GET /users/:username/companies */
+
+describe("GET /users/:username/companies", function () {
+  test("works for same user", async function () {
+    await addMember("c1", "u1", "recruiter");
+    const resp = await request(app)
+      .get("/users/u1/companies")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      companies: [{
+        companyHandle: "c1",
+        role: "recruiter",
+        invitedBy: "u4",
+        invitedAt: expect.any(String),
+        acceptedAt: expect.any(String)
+      }]
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get("/users/u1/companies")
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+
+/************************************** /users/:username/roles */
+
+describe("GET /users/:username/roles", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get("/users/u3/roles")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.body).toEqual({ roles: ["candidate", "recruiter"] });
+  });
+
+  test("works for a user with users:read", async function () {
+    const resp = await request(app)
+      .get("/users/u4/roles")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.body).toEqual({ roles: ["admin", "candidate"] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get("/users/u3/roles")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .post("/users/u1/roles/support")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ roles: ["candidate", "support"] });
+
+    // u1's token is revoked, the next one has the role.
+    const me = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(me.statusCode).toEqual(401);
+  });
+
+  test("unauth for a recruiter", async function () {
+    const resp = await request(app)
+      .post("/users/u1/roles/recruiter")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for the user", async function () {
+    const resp = await request(app)
+      .post("/users/u1/roles/recruiter")
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such role", async function () {
+    const resp = await request(app)
+      .post("/users/u1/roles/nope")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .delete("/users/u3/roles/recruiter")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ roles: ["candidate"] });
+  });
+
+  test("bad request if the user does not have the role", async function () {
+    const resp = await request(app)
+      .delete("/users/u1/roles/recruiter")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+      .delete("/users/u3/roles/recruiter")
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+
+/************************************** admins and requireAdminTwoFactor */
+
+describe("requireAdminTwoFactor", function () {
+  test("forbidden for an admin without two-factor authentication", async function () {
+    await Setting.update({ requireAdminTwoFactor: true });
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message).toEqual("Admins must turn on two-factor authentication.");
+  });
+
+  test("works for an admin with two-factor authentication", async function () {
+    await Setting.update({ requireAdminTwoFactor: true });
+    await db.query("UPDATE users SET totp_enabled_at = now() WHERE username = 'u4'");
+    const resp = await request(app)
+      .get("/users")
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for non-admin when username = logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ applied: idResult.rows[0].id });
+  });
+
+  test("works for admin with a starting state of interested", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "interested" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(201);
+
+    const stateResult = await db.query(
+      `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`,
+      [idResult.rows[0].id]);
+    expect(stateResult.rows[0].state).toEqual("interested");
+  });
+
+  test("bad request for a starting state other than interested or applied", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin when username != logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden when a verified email is required and it is not verified", async function () {
+    await Setting.update({ requireVerifiedEmail: true });
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message)
+      .toEqual("The email must be verified before applying for a job.");
+  });
+
+  test("works when a verified email is required and it is verified", async function () {
+    await Setting.update({ requireVerifiedEmail: true });
+    await db.query("UPDATE users SET email_verified_at = now() WHERE username = 'u1'");
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("not found for a job id that is not an integer", async function () {
+    for (const id of ["abc", "1.5", "1e2", "99999999999"]) {
+      const resp = await request(app)
+        .post(`/users/u1/jobs/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+      expect(resp.body.error.message)
+        .toEqual(`Application NOT created: job id '${id}' was not found.`);
+    }
+  });
+
+});
+
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for admin", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: idResult.rows[0].id,
+        state: "screening",
+        states: [
+          { state: "applied", enteredAt: expect.any(String) },
+          { state: "screening", enteredAt: expect.any(String) }
+        ]
+      }
+    });
+  });
+
+  test("works for non-admin withdrawing their own application", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("works for a recruiter of the job's company", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await addMember("c1", "u2", "recruiter");
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("screening");
+  });
+
+  test("unauth for the recruiter role without a role in the job's company", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await addMember("c2", "u3", "recruiter");
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u3TokenRecruiter}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden for non-admin moving their own application to a recruiter state", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "offered" })
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message).toEqual(
+      "Only a recruiter can move an application to 'offered'.");
+  });
+
+  test("unauth for non-admin when username != logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "withdrawn" })
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a move the state machine does not allow", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      "Application state cannot change from 'applied' to 'accepted'.");
+  });
+
+  test("bad request for an unknown state", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for admin when no such application", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .patch(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .send({ state: "screening" })
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a job id that is not an integer", async function () {
+    for (const id of ["nope", "1.0", "1e2", "0x1", "99999999999"]) {
+      const resp = await request(app)
+        .patch(`/users/u1/jobs/${id}`)
+        .send({ state: "screening" })
+        .set("authorization", `Bearer ${u4TokenAdmin}`);
+      expect(resp.statusCode).toEqual(404);
+      expect(resp.body.error.message).toEqual(`No application: username 'u1', job id '${id}'`);
+    }
+  });
+
+});
+
+
+/************************************** GET /users/:username/jobs */
+
+describe("GET /users/:username/jobs", function () {
+  test("works for non-admin when username = logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          jobId: idResult.rows[0].id,
+          title: "j1-c1",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+          appliedAt: expect.any(String)
+        }
+      ]
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ applications: [] });
+  });
+
+  test("unauth for non-admin when username != logged in user", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+      .get(`/users/u1/jobs`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for admin when no such user", async function () {
+    const resp = await request(app)
+      .get(`/users/nope/jobs`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+});
+
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for non-admin when username = logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: idResult.rows[0].id });
+
+    const stateResult = await db.query(
+      `SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`,
+      [idResult.rows[0].id]);
+    expect(stateResult.rows[0].state).toEqual("withdrawn");
+  });
+
+  test("works for admin", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u4TokenAdmin}`);
+    expect(resp.body).toEqual({ withdrawn: idResult.rows[0].id });
+  });
+
+  test("bad request when already withdrawn", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin when username != logged in user", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for a recruiter of the job's company", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    await User.applyForJob({ username: "u1", id: idResult.rows[0].id });
+    await addMember("c1", "u2", "recruiter");
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found when no such application", async function () {
+    const idResult = await db.query(`SELECT id FROM jobs WHERE title = 'j1-c1'`);
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/${idResult.rows[0].id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a job id that is not an integer", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/nope`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+    expect(resp.body.error.message).toEqual("No application: username 'u1', job id 'nope'");
+  });
+
+});
@@ -1,7 +1,9 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const { PORT, logConfig } = require("./config");
+
+logConfig();
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);